@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+
+// Single-use, expiring tokens emailed for email verification and password reset.
+// Only the SHA-256 hash is stored. Issuing a new token of a type revokes the
+// user's earlier unused ones, and consuming marks the token used in the same
+// update that checks it, so a token works once even under concurrent requests.
+const TOKEN_TYPES = {
+  email_verification: { ttlMs: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000 },
+  password_reset: { ttlMs: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000 }
+};
+
+// Emails of one type a user can be sent per hour
+const MAX_TOKENS_PER_HOUR = parseInt(process.env.ACCOUNT_TOKENS_PER_HOUR) || 3;
+
+class AccountTokenError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AccountTokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hashAccountToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Whether the user may be sent another token of this type right now
+async function canIssueToken(userId, type) {
+  const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  const { count, error } = await supabase
+    .from('account_tokens')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('type', type)
+    .gte('created_at', since);
+
+  if (error) throw error;
+  return (count || 0) < MAX_TOKENS_PER_HOUR;
+}
+
+// Issue a token; returns { token, expiresAt }. The raw token is only ever emailed.
+async function createAccountToken(userId, type) {
+  const config = TOKEN_TYPES[type];
+  if (!config) throw new Error(`Unknown account token type '${type}'`);
+
+  const now = new Date();
+
+  const { error: revokeError } = await supabase
+    .from('account_tokens')
+    .update({ revoked_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('type', type)
+    .is('used_at', null)
+    .is('revoked_at', null);
+
+  if (revokeError) throw revokeError;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(now.getTime() + config.ttlMs).toISOString();
+
+  const { error } = await supabase
+    .from('account_tokens')
+    .insert([{
+      user_id: userId,
+      type,
+      token_hash: hashAccountToken(token),
+      expires_at: expiresAt
+    }]);
+
+  if (error) throw error;
+  return { token, expiresAt };
+}
+
+// Use up a token; returns the user ID it was issued to
+async function consumeAccountToken(token, type) {
+  if (!token || typeof token !== 'string') {
+    throw new AccountTokenError('Token is required');
+  }
+
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('account_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', hashAccountToken(token))
+    .eq('type', type)
+    .is('used_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', now)
+    .select('user_id');
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw new AccountTokenError('This link is invalid or has expired. Please request a new one.');
+  }
+
+  return data[0].user_id;
+}
+
+module.exports = {
+  AccountTokenError,
+  canIssueToken,
+  createAccountToken,
+  consumeAccountToken
+};
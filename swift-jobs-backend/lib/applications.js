@@ -0,0 +1,204 @@
+const supabase = require('./supabase');
+const { pairToRescore } = require('./matching');
+const { saveScreeningAnswers } = require('./screening');
+const { isJobOpen } = require('./jobListings');
+
+// Direct applications. Every application is tied to the matches row for its
+// job/seeker pair (created if the AI hasn't matched them yet), so the employer moves
+// applicants through the same pipeline statuses as AI-suggested candidates. The
+// application itself is only 'submitted' or 'withdrawn'; one per job and seeker,
+// and a withdrawn application can be submitted again.
+const APPLICATION_STATUSES = ['submitted', 'withdrawn'];
+const MAX_COVER_LETTER_LENGTH = 10000;
+
+class ApplicationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ApplicationError';
+    this.statusCode = statusCode;
+  }
+}
+
+async function getApplication(applicationId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('*, job_listings(id, title, employer_id, location, is_active, blind_screening, employers(company_name)), job_seekers(id, users(full_name)), matches(*), resume_versions(id, version_number, resume_url, original_filename)')
+    .eq('id', applicationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new ApplicationError('Application not found', 404);
+  return data;
+}
+
+// The matches row for a pair, created without scores when there is none yet
+async function findOrCreateMatch(jobId, seekerId) {
+  const { error: upsertError } = await supabase
+    .from('matches')
+    .upsert([{
+      job_seeker_id: seekerId,
+      job_listing_id: jobId,
+      analysis_status: 'pending'
+    }], {
+      onConflict: 'job_seeker_id,job_listing_id',
+      ignoreDuplicates: true
+    });
+
+  if (upsertError) throw upsertError;
+
+  const { data, error } = await supabase
+    .from('matches')
+    .select('*')
+    .eq('job_seeker_id', seekerId)
+    .eq('job_listing_id', jobId)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function resolveResumeVersion(seeker, resumeVersionId) {
+  const versionId = resumeVersionId || seeker.current_resume_version_id;
+  if (!versionId) return null;
+
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .select('id')
+    .eq('id', versionId)
+    .eq('job_seeker_id', seeker.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new ApplicationError('Resume version not found', 404);
+  return data.id;
+}
+
+// Submit (or re-submit a withdrawn) application. job is a job_listings row with
+// employers(*), seeker a job_seekers row, screening the seeker's checked answers to
+// the job's questionnaire (see prepareScreeningAnswers). Returns the application, its
+// match, the screening outcome, and the pair to score when the match has no current
+// score and wasn't disqualified.
+async function submitApplication({ job, seeker, coverLetter, resumeVersionId, screening = null }) {
+  if (!isJobOpen(job)) {
+    throw new ApplicationError('This job is no longer accepting applications', 409);
+  }
+
+  const letter = coverLetter ? String(coverLetter).trim() : null;
+  if (letter && letter.length > MAX_COVER_LETTER_LENGTH) {
+    throw new ApplicationError(`Cover letter cannot be longer than ${MAX_COVER_LETTER_LENGTH} characters`);
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('applications')
+    .select('*')
+    .eq('job_listing_id', job.id)
+    .eq('job_seeker_id', seeker.id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing && existing.status !== 'withdrawn') {
+    throw new ApplicationError('You have already applied to this job', 409);
+  }
+
+  const versionId = await resolveResumeVersion(seeker, resumeVersionId);
+  const match = await findOrCreateMatch(job.id, seeker.id);
+  const now = new Date().toISOString();
+
+  const fields = {
+    match_id: match.id,
+    resume_version_id: versionId,
+    cover_letter: letter,
+    status: 'submitted',
+    withdrawn_at: null,
+    submitted_at: now,
+    updated_at: now
+  };
+
+  const { data, error } = existing
+    ? await supabase.from('applications').update(fields).eq('id', existing.id).select()
+    : await supabase.from('applications').insert([{ ...fields, job_listing_id: job.id, job_seeker_id: seeker.id }]).select();
+
+  // Unique (job_listing_id, job_seeker_id): a concurrent submit got there first
+  if (error && error.code === '23505') {
+    throw new ApplicationError('You have already applied to this job', 409);
+  }
+  if (error) throw error;
+
+  const screeningResult = screening && screening.questions.length > 0
+    ? await saveScreeningAnswers(screening, match)
+    : null;
+  const disqualified = Boolean(screeningResult && screeningResult.status === 'disqualified');
+
+  return {
+    application: data[0],
+    match,
+    screening: screeningResult,
+    pairToScore: disqualified ? null : await pairToRescore(job, seeker, match)
+  };
+}
+
+async function withdrawApplication(application) {
+  if (application.status === 'withdrawn') {
+    throw new ApplicationError('Application is already withdrawn', 409);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('applications')
+    .update({ status: 'withdrawn', withdrawn_at: now, updated_at: now })
+    .eq('id', application.id)
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+async function listApplicationsForJob(jobId, { includeWithdrawn = false } = {}) {
+  let query = supabase
+    .from('applications')
+    .select('*, job_seekers(id, experience_years, prompt_risk, users(email, full_name)), matches(*), resume_versions(id, version_number, resume_url, original_filename)')
+    .eq('job_listing_id', jobId)
+    .order('submitted_at', { ascending: false });
+
+  if (!includeWithdrawn) {
+    query = query.eq('status', 'submitted');
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function listApplicationsForSeeker(seekerId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('*, job_listings(id, title, location, is_active, closed_reason, employers(company_name)), matches(status, status_updated_at, match_score, job_closed_at), resume_versions(id, version_number)')
+    .eq('job_seeker_id', seekerId)
+    .order('submitted_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+// IDs of seekers with a submitted application to the job
+async function applicantSeekerIds(jobId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('job_seeker_id')
+    .eq('job_listing_id', jobId)
+    .eq('status', 'submitted');
+
+  if (error) throw error;
+  return new Set(data.map(row => String(row.job_seeker_id)));
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  ApplicationError,
+  getApplication,
+  submitApplication,
+  withdrawApplication,
+  listApplicationsForJob,
+  listApplicationsForSeeker,
+  applicantSeekerIds
+};
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const supabase = require('./supabase');
+const { THREAD_COLUMNS } = require('./messaging');
+const { INTERVIEW_COLUMNS } = require('./interviews');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// whose SHA-256 hash is stored in the refresh_tokens table so they can be revoked
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, profileId) {
+  return jwt.sign(
+    {
+      sub: String(user.id),
+      role: user.user_type,
+      profileId: profileId != null ? String(profileId) : null
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function verifyAccessToken(token) {
+  return jwt.verify(token, getJwtSecret());
+}
+
+// Issue a new access/refresh token pair and persist the refresh token hash
+async function issueTokens(user, profileId) {
+  const accessToken = signAccessToken(user, profileId);
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert([{
+      user_id: user.id,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) throw error;
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshTokenExpiresAt: expiresAt.toISOString()
+  };
+}
+
+// Look up a refresh token that is neither revoked nor expired
+async function findValidRefreshToken(refreshToken) {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(refreshToken))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || new Date(data.expires_at) <= new Date()) return null;
+
+  return data;
+}
+
+// Revoke a refresh token. Returns false when it was already revoked, so of two
+// concurrent refreshes with the same token only one wins the rotation.
+async function revokeRefreshToken(refreshToken) {
+  const { data, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(refreshToken))
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// Sign the user out everywhere (after a password reset)
+async function revokeAllRefreshTokens(userId) {
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// Middleware: require a valid Bearer access token and expose its claims as req.user
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  try {
+    const claims = verifyAccessToken(token);
+    req.user = {
+      id: claims.sub,
+      userType: claims.role,
+      profileId: claims.profileId
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired access token' });
+  }
+}
+
+// Middleware: for routes open to anonymous visitors. Without an Authorization header
+// the request continues with no req.user; a header with a bad token is still a 401.
+function optionalAuthenticate(req, res, next) {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  authenticate(req, res, next);
+}
+
+// Middleware: same as authenticate, but also accepts ?access_token= for
+// Server-Sent Events, since EventSource can't send an Authorization header
+function authenticateStream(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  authenticate(req, res, next);
+}
+
+// Middleware: only allow the given user types ('job_seeker', 'employer')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.userType)) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Middleware: the route parameter must be the caller's own seeker/employer ID
+function requireSelf(paramName) {
+  return (req, res, next) => {
+    if (!req.user || String(req.params[paramName]) !== req.user.profileId) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this resource' });
+    }
+    next();
+  };
+}
+
+// Middleware: the job in the route parameter must belong to the calling employer (sets req.job)
+function requireJobOwner(paramName) {
+  return async (req, res, next) => {
+    try {
+      const { data: job, error } = await supabase
+        .from('job_listings')
+        .select('*')
+        .eq('id', req.params[paramName])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      // Soft-deleted listings are gone as far as the API is concerned
+      if (!job || job.deleted_at) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      if (!req.user || String(job.employer_id) !== req.user.profileId) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this job' });
+      }
+
+      req.job = job;
+      next();
+    } catch (error) {
+      console.error('Job ownership check error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Middleware: the match in the route parameter must belong to the calling seeker,
+// or to a job owned by the calling employer. The match is exposed as req.match.
+function requireMatchAccess(paramName) {
+  return async (req, res, next) => {
+    try {
+      const { data: match, error } = await supabase
+        .from('matches')
+        .select('*, job_listings(employer_id)')
+        .eq('id', req.params[paramName])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!match) {
+        return res.status(404).json({ success: false, error: 'Match not found' });
+      }
+
+      const ownerId = req.user && req.user.userType === 'employer'
+        ? match.job_listings && match.job_listings.employer_id
+        : match.job_seeker_id;
+
+      if (!req.user || String(ownerId) !== req.user.profileId) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this match' });
+      }
+
+      req.match = match;
+      next();
+    } catch (error) {
+      console.error('Match access check error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Middleware: the application in the route parameter must be the calling seeker's,
+// or be for a job owned by the calling employer. Exposed as req.application.
+function requireApplicationAccess(paramName) {
+  return async (req, res, next) => {
+    try {
+      const { data: application, error } = await supabase
+        .from('applications')
+        .select('*, job_listings(employer_id)')
+        .eq('id', req.params[paramName])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!application) {
+        return res.status(404).json({ success: false, error: 'Application not found' });
+      }
+
+      const ownerId = req.user && req.user.userType === 'employer'
+        ? application.job_listings && application.job_listings.employer_id
+        : application.job_seeker_id;
+
+      if (!req.user || String(ownerId) !== req.user.profileId) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this application' });
+      }
+
+      req.application = application;
+      next();
+    } catch (error) {
+      console.error('Application access check error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Middleware: the message thread in the route parameter must be between the calling
+// seeker or employer and the other side. Exposed as req.thread.
+function requireThreadAccess(paramName) {
+  return async (req, res, next) => {
+    try {
+      const { data: thread, error } = await supabase
+        .from('message_threads')
+        .select(THREAD_COLUMNS)
+        .eq('id', req.params[paramName])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!thread) {
+        return res.status(404).json({ success: false, error: 'Thread not found' });
+      }
+
+      const ownerId = req.user && req.user.userType === 'employer'
+        ? thread.employer_id
+        : thread.job_seeker_id;
+
+      if (!req.user || String(ownerId) !== req.user.profileId) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this thread' });
+      }
+
+      req.thread = thread;
+      next();
+    } catch (error) {
+      console.error('Thread access check error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Middleware: the interview in the route parameter must be the calling seeker's, or
+// be with the calling employer. Exposed as req.interview.
+function requireInterviewAccess(paramName) {
+  return async (req, res, next) => {
+    try {
+      const { data: interview, error } = await supabase
+        .from('interviews')
+        .select(INTERVIEW_COLUMNS)
+        .eq('id', req.params[paramName])
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!interview) {
+        return res.status(404).json({ success: false, error: 'Interview not found' });
+      }
+
+      const ownerId = req.user && req.user.userType === 'employer'
+        ? interview.employer_id
+        : interview.job_seeker_id;
+
+      if (!req.user || String(ownerId) !== req.user.profileId) {
+        return res.status(403).json({ success: false, error: 'You do not have access to this interview' });
+      }
+
+      req.interview = interview;
+      next();
+    } catch (error) {
+      console.error('Interview access check error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  findValidRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  authenticate,
+  optionalAuthenticate,
+  authenticateStream,
+  requireRole,
+  requireSelf,
+  requireJobOwner,
+  requireMatchAccess,
+  requireApplicationAccess,
+  requireThreadAccess,
+  requireInterviewAccess
+};
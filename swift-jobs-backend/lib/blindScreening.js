@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+
+// Blind screening. Resume text is stripped of names, contact details and other
+// personal details before it is sent to the LLM. On jobs with blind_screening
+// turned on, employers see a pseudonymous candidate ID instead of the seeker's
+// name, email and resume until they shortlist the candidate; the match's
+// identity_revealed_at is set at that point and stays set.
+const IDENTITY_REVEALED_STATUSES = ['shortlisted', 'interviewing', 'offered', 'hired'];
+
+// Redaction is pattern based and best effort: it catches the common shapes of
+// each kind of detail, not every possible spelling
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()]+|\b(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com)\/[^\s<>()]+/gi;
+// Digit groups joined by single separators, after an optional country code and
+// opening parenthesis, e.g. +1 (555) 123-4567
+const PHONE_CANDIDATE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?\(?\d+(?:(?:[\s.-]|\)\s?)\d+)*/g;
+const DATE_OF_BIRTH_PATTERN = /\b(?:date of birth|birth ?date|d\.?o\.?b\.?|born(?: on)?)\s*[:-]?\s*(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|(?:\d{1,2}(?:st|nd|rd|th)?\s+)?[A-Z][a-z]{2,8}\.?\s+(?:\d{1,2}(?:st|nd|rd|th)?,?\s+)?\d{4})/gi;
+const ADDRESS_LINE_PATTERN = /\b(?:home |mailing |postal )?address\s*:[^\n]*/gi;
+const STREET_PATTERN = /\b\d{1,5}\s+(?:[A-Z][A-Za-z.'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy)\b\.?(?:,?\s*(?:Apt|Apartment|Suite|Unit|#)\.?\s*[\w-]+)?/g;
+const UK_POSTCODE_PATTERN = /\b[A-Z]{1,2}\d[A-Z\d]?\s+\d[A-Z]{2}\b/g;
+const UNIVERSITY_PATTERNS = [
+  /\b(?:University|College|Institute|Academy|Polytechnic)\s+of\s+(?:(?:the|and)\s+)?[A-Z][\w&'.-]*(?:\s+(?:(?:of|and|at)\s+)?[A-Z][\w&'.-]*){0,4}/g,
+  /\b(?:[A-Z][\w&'.-]*\s+){1,4}(?:University|College|Polytechnic|Institute of Technology)\b/g
+];
+// Name parts that are also everyday words; only the full name is redacted for these
+const COMMON_WORD_NAMES = new Set([
+  'will', 'mark', 'may', 'grant', 'rose', 'june', 'april', 'august', 'bill', 'hope',
+  'faith', 'joy', 'grace', 'art', 'dean', 'drew', 'frank', 'gene', 'guy', 'jack',
+  'miles', 'pat', 'ray', 'rich', 'sandy', 'summer', 'chase', 'hunter', 'page', 'reed',
+  'wade', 'case', 'cash', 'young', 'king', 'long', 'little', 'brown', 'white', 'green',
+  'black', 'gray', 'grey', 'wood', 'stone', 'hill', 'park', 'bell', 'price', 'cook',
+  'baker', 'turner', 'carter', 'mason', 'porter', 'fisher', 'walker', 'hall', 'lane',
+  'field', 'ford', 'rock', 'sky', 'star', 'win', 'sterling', 'major', 'bishop', 'doctor'
+]);
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whether a run of digits is shaped like a phone number: 9-15 digits, and either a
+// leading + or (area code), or groups the way phone numbers are written
+// (555 123 4567, 020-7946-0958); or 10-15 digits written without separators
+// (5551234567); or a 3-4 local number (555-1234). ISBNs, version ranges and lists of
+// years have one-digit groups, only years or too few digits.
+function looksLikePhone(candidate) {
+  if (/^\d{10,15}$/.test(candidate) || /^\d{3}[\s.-]\d{4}$/.test(candidate)) return true;
+
+  const digits = candidate.replace(/\D/g, '').length;
+  if (digits < 9 || digits > 15) return false;
+  if (/^(?:\+|\(\d{1,5}\))/.test(candidate)) return true;
+
+  const groups = candidate.split(/[\s().-]+/).filter(Boolean);
+  if (groups.every(group => /^(?:19|20)\d{2}$/.test(group))) return false;
+  return groups.length >= 2 && groups.every((group, idx) => group.length <= 6 && (idx === 0 || group.length >= 2));
+}
+
+// Candidates glued to letters or a decimal point (A1234567890, 0.5551234567) are
+// part of a code or a longer number, not a phone
+function redactPhones(text) {
+  return text.replace(PHONE_CANDIDATE_PATTERN, (candidate, offset) => {
+    const before = text[offset - 1] || '';
+    const after = text[offset + candidate.length] || '';
+    const standalone = !/[\p{L}\d_.,]/u.test(before) && !/[\p{L}\d_]/u.test(after) && !/^[.,]\d/.test(text.slice(offset + candidate.length));
+    return standalone && looksLikePhone(candidate) ? '[PHONE]' : candidate;
+  });
+}
+
+// Mark -> Mark, garcía-lópez -> García-López, o'brien -> O'Brien
+function capitalize(word) {
+  return word.toLowerCase().replace(/(^|[-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+// A name or name part as it is written in text: as given, Capitalized or UPPERCASE
+// (only the forms that start with a capital letter)
+function nameForms(words) {
+  return [
+    words,
+    words.map(capitalize),
+    words.map(word => word.toUpperCase())
+  ]
+    .filter(form => form.every(word => /^\p{Lu}/u.test(word)))
+    .map(form => form.map(escapeRegExp).join('\\s+'));
+}
+
+// Redact every alternative as a whole word, longest first, matching case exactly
+function redactWords(text, alternatives) {
+  const unique = [...new Set(alternatives)].sort((a, b) => b.length - a.length);
+  if (unique.length === 0) return text;
+  return text.replace(new RegExp(`(?<![\\p{L}])(?:${unique.join('|')})(?![\\p{L}])`, 'gu'), '[NAME]');
+}
+
+// The seeker's own name: the full name first, then each part of it. Only
+// capitalized spellings count (Mark Smith, SMITH), and parts shorter than three
+// letters or that are also common words (Will, Mark, May, Grant, Rose) are only
+// redacted as part of the full name, so ordinary text is left alone.
+function redactNames(text, names) {
+  const nameWords = names
+    .filter(Boolean)
+    .map(name => String(name).split(/\s+/)
+      .map(part => part.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, ''))
+      .filter(Boolean));
+
+  const fullNames = nameWords.filter(words => words.length > 1).flatMap(nameForms);
+  const parts = nameWords
+    .flat()
+    .filter(part => part.length >= 3 && !COMMON_WORD_NAMES.has(part.toLowerCase()))
+    .flatMap(part => nameForms([part]));
+
+  return redactWords(redactWords(text, fullNames), parts);
+}
+
+// Remove personal details from free text before it goes to the LLM. names are the
+// seeker's known names (usually users.full_name).
+function redactPii(text, { names = [] } = {}) {
+  if (!text) return text;
+
+  let redacted = String(text)
+    .replace(EMAIL_PATTERN, '[EMAIL]')
+    .replace(URL_PATTERN, '[URL]')
+    .replace(DATE_OF_BIRTH_PATTERN, '[DATE OF BIRTH]')
+    .replace(ADDRESS_LINE_PATTERN, 'Address: [ADDRESS]')
+    .replace(STREET_PATTERN, '[ADDRESS]')
+    .replace(UK_POSTCODE_PATTERN, '[ADDRESS]');
+
+  redacted = redactPhones(redacted);
+  UNIVERSITY_PATTERNS.forEach(pattern => {
+    redacted = redacted.replace(pattern, '[UNIVERSITY]');
+  });
+
+  return redactNames(redacted, names);
+}
+
+function getPseudonymSecret() {
+  const secret = process.env.BLIND_SCREENING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('BLIND_SCREENING_SECRET (or JWT_SECRET) is not configured');
+  }
+  return secret;
+}
+
+// Stable per-job pseudonym for a seeker, e.g. 'C-7F3A9C2B'. Keyed on the job as
+// well, so the same seeker can't be followed from one job's list to another's.
+function candidatePseudonym(jobId, seekerId) {
+  const digest = crypto
+    .createHmac('sha256', getPseudonymSecret())
+    .update(`${jobId}:${seekerId}`)
+    .digest('hex');
+  return `C-${digest.slice(0, 8).toUpperCase()}`;
+}
+
+function isIdentityRevealed(match) {
+  if (!match) return false;
+  return Boolean(match.identity_revealed_at) || IDENTITY_REVEALED_STATUSES.includes(match.status);
+}
+
+// Whether the employer must not yet see who this candidate is
+function isIdentityHidden(job, match) {
+  return Boolean(job && job.blind_screening) && !isIdentityRevealed(match);
+}
+
+// Candidate fields for an employer-facing list entry. seeker may carry users(email,
+// full_name); match is the stored matches row (null for pairs never stored).
+function candidateIdentity(job, match, seeker) {
+  const seekerId = seeker ? seeker.id : match && match.job_seeker_id;
+
+  if (isIdentityHidden(job, match)) {
+    return {
+      candidateId: candidatePseudonym(job.id, seekerId),
+      candidateName: null,
+      candidateEmail: null,
+      blindScreening: true,
+      identityRevealed: false
+    };
+  }
+
+  const user = seeker && seeker.users ? seeker.users : null;
+  return {
+    candidateId: seekerId,
+    candidateName: user ? user.full_name : null,
+    candidateEmail: user ? user.email : null,
+    blindScreening: Boolean(job && job.blind_screening),
+    identityRevealed: true
+  };
+}
+
+module.exports = {
+  redactPii,
+  candidatePseudonym,
+  isIdentityRevealed,
+  isIdentityHidden,
+  candidateIdentity
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+
+// Per-user calendar feed URLs. Calendar apps can't send an Authorization header, so
+// the feed is addressed by a random token; only its SHA-256 hash is stored, and
+// creating a new one replaces (revokes) the previous URL.
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createFeedToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const { error } = await supabase
+    .from('users')
+    .update({ calendar_token_hash: hashFeedToken(token) })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return token;
+}
+
+// The user a feed token belongs to, or null
+async function findFeedUser(token) {
+  if (!token || !/^[0-9a-f]{64}$/.test(token)) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, user_type, full_name')
+    .eq('calendar_token_hash', hashFeedToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  createFeedToken,
+  findFeedUser
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+
+// Anything shorter than this (ignoring whitespace) is treated as a failed extraction,
+// e.g. a scanned PDF with no text layer or an empty document
+const MIN_TEXT_LENGTH = 50;
+
+class DocumentExtractionError extends Error {
+  constructor(message, code, statusCode = 422) {
+    super(message);
+    this.name = 'DocumentExtractionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const codePoint = code[1].toLowerCase() === 'x'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      return Number.isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Convert mammoth's HTML output to plain text, keeping paragraph breaks,
+// list bullets/numbering (indented by nesting level) and table rows as "a | b | c"
+function htmlToText(html) {
+  const lines = [];
+  const lists = [];
+  let line = '';
+  let row = null;
+
+  const flush = () => {
+    if (line.trim()) {
+      const indent = line.match(/^ */)[0];
+      lines.push(indent + line.trim().replace(/[ \t]+/g, ' '));
+    }
+    line = '';
+  };
+
+  const blankLine = () => {
+    flush();
+    if (lines.length > 0 && lines[lines.length - 1] !== '') {
+      lines.push('');
+    }
+  };
+
+  const tokenPattern = /<(\/?)([a-z0-9]+)[^>]*>|([^<]+)/gi;
+  let token;
+
+  while ((token = tokenPattern.exec(html)) !== null) {
+    const [, closing, rawTag, text] = token;
+
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      if (row && row.length > 0) {
+        row[row.length - 1] += decoded;
+      } else {
+        line += decoded;
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    // Inside a table cell, block-level breaks just separate words
+    if (row && row.length > 0 && ['p', 'br', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
+      row[row.length - 1] += ' ';
+      continue;
+    }
+
+    switch (tag) {
+      case 'p':
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        if (lists.length > 0) {
+          // Paragraphs inside a list item stay on the bullet line
+          break;
+        }
+        if (closing) {
+          blankLine();
+        } else {
+          flush();
+        }
+        break;
+      case 'br':
+        if (lists.length > 0) {
+          flush();
+          line = '  '.repeat(lists.length);
+        } else {
+          flush();
+        }
+        break;
+      case 'ul':
+      case 'ol':
+        flush();
+        if (closing) {
+          lists.pop();
+          if (lists.length === 0) blankLine();
+        } else {
+          lists.push({ ordered: tag === 'ol', index: 0 });
+        }
+        break;
+      case 'li':
+        flush();
+        if (!closing && lists.length > 0) {
+          const list = lists[lists.length - 1];
+          list.index += 1;
+          line = '  '.repeat(lists.length - 1) + (list.ordered ? `${list.index}. ` : '- ');
+        }
+        break;
+      case 'table':
+        blankLine();
+        break;
+      case 'tr':
+        if (closing) {
+          if (row && row.some(cell => cell.trim())) {
+            lines.push(row.map(cell => cell.replace(/\s+/g, ' ').trim()).join(' | '));
+          }
+          row = null;
+        } else {
+          flush();
+          row = [];
+        }
+        break;
+      case 'td':
+      case 'th':
+        if (!closing && row) {
+          row.push('');
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  flush();
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Identify Word files by content rather than extension: DOCX is a ZIP container,
+// legacy DOC is an OLE2 compound document
+function detectWordFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504B0304) {
+    return 'docx';
+  }
+  if (buffer.length >= 8 && buffer.toString('hex', 0, 8) === 'd0cf11e0a1b11ae1') {
+    return 'doc';
+  }
+  return null;
+}
+
+async function extractWordText(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  const format = detectWordFormat(buffer);
+
+  if (format === 'docx') {
+    const result = await mammoth.convertToHtml({ buffer });
+    return htmlToText(result.value);
+  }
+
+  if (format === 'doc') {
+    const extractor = new WordExtractor();
+    const document = await extractor.extract(buffer);
+    return [document.getHeaders({ includeFooters: false }), document.getBody()]
+      .map(part => (part || '').trim())
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  throw new DocumentExtractionError(
+    `${path.basename(filePath)} is not a valid Word document`,
+    'UNSUPPORTED_FORMAT'
+  );
+}
+
+// Extract plain text from an uploaded resume or job description.
+// Throws DocumentExtractionError when the file can't be read or yields no usable text.
+async function extractDocumentText(filePath) {
+  const fileExt = path.extname(filePath).toLowerCase();
+  const fileName = path.basename(filePath);
+  let text;
+
+  try {
+    if (fileExt === '.txt') {
+      text = fs.readFileSync(filePath, 'utf8');
+    } else if (fileExt === '.pdf') {
+      const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+      try {
+        const pdfData = await parser.getText();
+        text = pdfData.text;
+      } finally {
+        await parser.destroy();
+      }
+    } else if (fileExt === '.docx' || fileExt === '.doc') {
+      text = await extractWordText(filePath);
+    } else {
+      throw new DocumentExtractionError(
+        `Unsupported file type '${fileExt || 'none'}'. Use PDF, DOC, DOCX or TXT`,
+        'UNSUPPORTED_FORMAT'
+      );
+    }
+  } catch (error) {
+    if (error instanceof DocumentExtractionError) throw error;
+    console.error('Error extracting text:', error);
+    throw new DocumentExtractionError(
+      `Unable to read ${fileName}. The file may be corrupted or password protected`,
+      'PARSE_FAILED'
+    );
+  }
+
+  text = (text || '').replace(/\r\n?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  if (text.replace(/\s/g, '').length < MIN_TEXT_LENGTH) {
+    throw new DocumentExtractionError(
+      `No usable text could be extracted from ${fileName}. Scanned or image-only documents are not supported`,
+      'EMPTY_TEXT'
+    );
+  }
+
+  return text;
+}
+
+module.exports = {
+  DocumentExtractionError,
+  extractDocumentText
+};
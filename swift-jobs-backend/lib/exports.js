@@ -0,0 +1,342 @@
+const ExcelJS = require('exceljs');
+const supabase = require('./supabase');
+const { MATCH_STATUSES } = require('./matchWorkflow');
+const { candidateIdentity, isIdentityHidden } = require('./blindScreening');
+const { describePromptRisk, mergePromptRisk } = require('./promptSafety');
+const { storedFileName, signedFileUrl, recordFileAccess } = require('./fileAccess');
+
+// Spreadsheet exports of stored matches: an employer's candidates for one job, or a
+// seeker's matches. Nothing is scored here. Scores are exported as 0-1 numbers (XLSX
+// cells are formatted as percentages). Resume links are ordinary signed download
+// links with the usual short lifetime (FILE_URL_TTL_SECONDS), so a forwarded export
+// doesn't carry working links to candidates' files; each one issued is logged like
+// any other file link.
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// type: 'score' (0-1), 'list', 'link', 'date' or plain; width is for XLSX
+const CANDIDATE_COLUMNS = [
+  { key: 'candidateId', header: 'Candidate ID', width: 38 },
+  { key: 'candidateName', header: 'Name', width: 24 },
+  { key: 'candidateEmail', header: 'Email', width: 28 },
+  { key: 'source', header: 'Source', width: 12 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'screeningStatus', header: 'Screening', width: 14 },
+  { key: 'matchScore', header: 'Match score', type: 'score', width: 12 },
+  { key: 'technicalFit', header: 'Technical fit', type: 'score', width: 12 },
+  { key: 'behavioralFit', header: 'Behavioral fit', type: 'score', width: 12 },
+  { key: 'explanation', header: 'Explanation', width: 60 },
+  { key: 'analysisStatus', header: 'Analysis status', width: 14 },
+  { key: 'skills', header: 'Skills', type: 'list', width: 40 },
+  { key: 'experienceYears', header: 'Experience (years)', width: 10 },
+  { key: 'resumeUrl', header: 'Resume', type: 'link', width: 20 },
+  { key: 'riskFlagged', header: 'Prompt risk flagged', width: 10 },
+  { key: 'appliedAt', header: 'Applied at', type: 'date', width: 22 },
+  { key: 'scoredAt', header: 'Scored at', type: 'date', width: 22 },
+  { key: 'matchId', header: 'Match ID', width: 38 }
+];
+
+const SEEKER_MATCH_COLUMNS = [
+  { key: 'jobTitle', header: 'Job title', width: 30 },
+  { key: 'company', header: 'Company', width: 24 },
+  { key: 'location', header: 'Location', width: 20 },
+  { key: 'workMode', header: 'Work mode', width: 10 },
+  { key: 'salaryRange', header: 'Salary range', width: 18 },
+  { key: 'salaryMin', header: 'Salary min', width: 12 },
+  { key: 'salaryMax', header: 'Salary max', width: 12 },
+  { key: 'salaryCurrency', header: 'Currency', width: 10 },
+  { key: 'salaryPeriod', header: 'Salary period', width: 10 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'screeningStatus', header: 'Screening', width: 14 },
+  { key: 'applicationStatus', header: 'Application', width: 12 },
+  { key: 'matchScore', header: 'Match score', type: 'score', width: 12 },
+  { key: 'technicalFit', header: 'Technical fit', type: 'score', width: 12 },
+  { key: 'behavioralFit', header: 'Behavioral fit', type: 'score', width: 12 },
+  { key: 'explanation', header: 'Explanation', width: 60 },
+  { key: 'analysisStatus', header: 'Analysis status', width: 14 },
+  { key: 'requiredSkills', header: 'Required skills', type: 'list', width: 40 },
+  { key: 'jobOpen', header: 'Job open', width: 10 },
+  { key: 'jobUrl', header: 'Job link', type: 'link', width: 20 },
+  { key: 'scoredAt', header: 'Scored at', type: 'date', width: 22 },
+  { key: 'jobId', header: 'Job ID', width: 38 },
+  { key: 'matchId', header: 'Match ID', width: 38 }
+];
+
+class ExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+function parseScoreBound(value, name) {
+  if (value === undefined || value === '') return null;
+  const score = Number(value);
+  if (Number.isNaN(score) || score < 0 || score > 1) {
+    throw new ExportError(`${name} must be a number between 0 and 1`);
+  }
+  return score;
+}
+
+// Read ?format=csv|json|xlsx, ?columns=a,b (in that order; default all),
+// ?status=shortlisted,interviewing and ?minScore= / ?maxScore= (0-1)
+function parseExportOptions(query, columnDefs) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const requested = parseList(query.columns);
+  const unknown = requested.filter(key => !columnDefs.some(column => column.key === key));
+  if (unknown.length > 0) {
+    throw new ExportError(`Unknown columns: ${unknown.join(', ')}. Available: ${columnDefs.map(column => column.key).join(', ')}`);
+  }
+  const columns = requested.length > 0
+    ? [...new Set(requested)].map(key => columnDefs.find(column => column.key === key))
+    : columnDefs;
+
+  const statuses = parseList(query.status);
+  const invalid = statuses.filter(status => !MATCH_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new ExportError(`Unknown status: ${invalid.join(', ')}. Valid statuses: ${MATCH_STATUSES.join(', ')}`);
+  }
+
+  const minScore = parseScoreBound(query.minScore, 'minScore');
+  const maxScore = parseScoreBound(query.maxScore, 'maxScore');
+  if (minScore !== null && maxScore !== null && minScore > maxScore) {
+    throw new ExportError('minScore cannot be greater than maxScore');
+  }
+
+  return { format, columns, statuses, minScore, maxScore };
+}
+
+// Status and score filters on a stored match; a score bound leaves out unscored matches
+function matchesFilters(match, { statuses, minScore, maxScore }) {
+  const score = match.match_score;
+  if (statuses.length > 0 && !statuses.includes(match.status || 'pending')) return false;
+  if (minScore !== null && (score === null || score === undefined || score < minScore)) return false;
+  if (maxScore !== null && (score === null || score === undefined || score > maxScore)) return false;
+  return true;
+}
+
+function byScore(a, b) {
+  return (b.matchScore ?? -1) - (a.matchScore ?? -1);
+}
+
+// Employer export for one job: its stored matches (applicants included) that pass
+// the filters. Resume links are only issued when the resumeUrl column is exported.
+async function buildCandidateRows(job, options, { viewerId, baseUrl, req }) {
+  const { data: matches, error } = await supabase
+    .from('matches')
+    .select('*, job_seekers(id, skills, experience_years, resume_url, prompt_risk, users(email, full_name))')
+    .eq('job_listing_id', job.id);
+
+  if (error) throw error;
+
+  const { data: applications, error: applicationsError } = await supabase
+    .from('applications')
+    .select('job_seeker_id, submitted_at, resume_versions(resume_url, original_filename)')
+    .eq('job_listing_id', job.id)
+    .eq('status', 'submitted');
+
+  if (applicationsError) throw applicationsError;
+
+  const applicationsBySeeker = new Map(applications.map(application => [String(application.job_seeker_id), application]));
+
+  const withLinks = options.columns.some(column => column.key === 'resumeUrl');
+  const issued = [];
+  const rows = matches.filter(match => matchesFilters(match, options)).map(match => {
+    const seeker = match.job_seekers || { id: match.job_seeker_id };
+    const application = applicationsBySeeker.get(String(match.job_seeker_id)) || null;
+    const hidden = isIdentityHidden(job, match);
+
+    // Applicants are linked to the resume version they applied with
+    const resume = application && application.resume_versions
+      ? { url: application.resume_versions.resume_url, filename: application.resume_versions.original_filename }
+      : { url: seeker.resume_url, filename: null };
+    const resumeUrl = hidden || !withLinks ? null : signedFileUrl(resume.url, viewerId, { filename: resume.filename });
+
+    if (resumeUrl) {
+      issued.push({ fileName: storedFileName(resume.url), seekerId: seeker.id, userId: viewerId, event: 'link_issued', reason: 'export', req });
+    }
+
+    const { candidateId, candidateName, candidateEmail } = candidateIdentity(job, match, seeker);
+    const risk = describePromptRisk(mergePromptRisk(seeker.prompt_risk, match.prompt_risk));
+
+    return {
+      candidateId,
+      candidateName,
+      candidateEmail,
+      source: application ? 'application' : 'ai',
+      status: match.status || 'pending',
+      screeningStatus: match.screening_status || null,
+      matchScore: match.match_score,
+      technicalFit: match.technical_fit,
+      behavioralFit: match.behavioral_fit,
+      explanation: match.explanation,
+      analysisStatus: match.analysis_status,
+      skills: seeker.skills || [],
+      experienceYears: seeker.experience_years ?? null,
+      resumeUrl: resumeUrl ? `${baseUrl}${resumeUrl}` : null,
+      riskFlagged: risk ? risk.flagged : null,
+      appliedAt: application ? application.submitted_at : null,
+      scoredAt: match.match_date || null,
+      matchId: match.id
+    };
+  });
+
+  await Promise.all(issued.map(recordFileAccess));
+  return rows.sort(byScore);
+}
+
+// Seeker export: their stored matches that pass the filters, on listings that
+// still exist
+async function buildSeekerMatchRows(seekerId, options) {
+  const { data: matches, error } = await supabase
+    .from('matches')
+    .select('*, job_listings(id, title, location, work_mode, salary_range, salary_min, salary_max, salary_currency, salary_period, required_skills, is_active, deleted_at, employers(company_name))')
+    .eq('job_seeker_id', seekerId);
+
+  if (error) throw error;
+
+  const { data: applications, error: applicationsError } = await supabase
+    .from('applications')
+    .select('job_listing_id, status')
+    .eq('job_seeker_id', seekerId);
+
+  if (applicationsError) throw applicationsError;
+
+  const applicationStatus = new Map(applications.map(application => [String(application.job_listing_id), application.status]));
+
+  return matches
+    .filter(match => match.job_listings && !match.job_listings.deleted_at && matchesFilters(match, options))
+    .map(match => {
+      const job = match.job_listings;
+      return {
+        jobTitle: job.title,
+        company: job.employers ? job.employers.company_name : null,
+        location: job.location,
+        workMode: job.work_mode || null,
+        salaryRange: job.salary_range || null,
+        salaryMin: job.salary_min ?? null,
+        salaryMax: job.salary_max ?? null,
+        salaryCurrency: job.salary_currency || null,
+        salaryPeriod: job.salary_period || null,
+        status: match.status || 'pending',
+        screeningStatus: match.screening_status || null,
+        applicationStatus: applicationStatus.get(String(job.id)) || null,
+        matchScore: match.match_score,
+        technicalFit: match.technical_fit,
+        behavioralFit: match.behavioral_fit,
+        explanation: match.explanation,
+        analysisStatus: match.analysis_status,
+        requiredSkills: job.required_skills || [],
+        jobOpen: Boolean(job.is_active),
+        jobUrl: `${APP_URL}/jobs/${job.id}`,
+        scoredAt: match.match_date || null,
+        jobId: job.id,
+        matchId: match.id
+      };
+    })
+    .sort(byScore);
+}
+
+// Plain text for a cell in CSV. Text starting with =, +, - or @ is prefixed with '
+// so spreadsheet apps don't run it as a formula.
+function textCell(value, column) {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'list') return value.join('; ');
+  if (typeof value !== 'string') return String(value);
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function toCsv(rows, columns) {
+  const escape = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const lines = [
+    columns.map(column => escape(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escape(textCell(row[column.key], column))).join(','))
+  ];
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+async function toXlsx(rows, columns, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Swift Jobs';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(sheetName.replace(/[*?:\\/[\]]/g, ' ').slice(0, 31) || 'Export', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width || 16 }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(column => {
+      const value = row[column.key];
+      if (value === null || value === undefined) {
+        values[column.key] = null;
+      } else if (column.type === 'list') {
+        values[column.key] = value.join('; ');
+      } else if (column.type === 'link') {
+        values[column.key] = { text: 'Open', hyperlink: value };
+      } else if (column.type === 'date') {
+        values[column.key] = new Date(value);
+      } else {
+        values[column.key] = value;
+      }
+    });
+    sheet.addRow(values);
+  });
+
+  columns.forEach(column => {
+    if (column.type === 'score') sheet.getColumn(column.key).numFmt = '0%';
+    if (column.type === 'date') sheet.getColumn(column.key).numFmt = 'yyyy-mm-dd hh:mm';
+  });
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Render filtered rows; returns { body, contentType, extension }
+async function renderExport(rows, { format, columns }, { sheetName, meta = {} }) {
+  if (format === 'json') {
+    const body = JSON.stringify({
+      ...meta,
+      exportedAt: new Date().toISOString(),
+      rowCount: rows.length,
+      columns: columns.map(column => column.key),
+      rows: rows.map(row => Object.fromEntries(columns.map(column => [column.key, row[column.key] ?? null])))
+    }, null, 2);
+    return { body, contentType: CONTENT_TYPES.json, extension: 'json' };
+  }
+
+  if (format === 'xlsx') {
+    return { body: await toXlsx(rows, columns, sheetName), contentType: CONTENT_TYPES.xlsx, extension: 'xlsx' };
+  }
+
+  return { body: toCsv(rows, columns), contentType: CONTENT_TYPES.csv, extension: 'csv' };
+}
+
+module.exports = {
+  CANDIDATE_COLUMNS,
+  SEEKER_MATCH_COLUMNS,
+  ExportError,
+  parseExportOptions,
+  buildCandidateRows,
+  buildSeekerMatchRows,
+  renderExport
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const supabase = require('./supabase');
+const { isIdentityHidden } = require('./blindScreening');
+
+// Uploaded files (resumes, job description files, message attachments) are not
+// served statically. A caller who is allowed to see a file gets a short-lived
+// signed URL for it, /api/files/<token>, where the token carries the file name,
+// the user it was issued to and an expiry, signed with HMAC-SHA256. Downloads
+// check the signature and expiry, sniff the file's content against its extension,
+// and are recorded in file_access_log along with refused attempts.
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS) || 5 * 60;
+const SNIFF_BYTES = 64 * 1024;
+
+// Content types served for each accepted extension
+const FILE_TYPES = {
+  '.pdf': { type: 'pdf', contentType: 'application/pdf' },
+  '.doc': { type: 'doc', contentType: 'application/msword' },
+  '.docx': { type: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  '.txt': { type: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// code says why access was refused; fileName/userId are set when the link was genuine
+class FileAccessError extends Error {
+  constructor(message, statusCode = 400, code = null, { fileName = null, userId = null } = {}) {
+    super(message);
+    this.name = 'FileAccessError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.fileName = fileName;
+    this.userId = userId;
+  }
+}
+
+function getSigningSecret() {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('FILE_URL_SECRET (or JWT_SECRET) is not configured');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+}
+
+// File name of a stored '/uploads/<name>' URL (null when there is none)
+function storedFileName(storedUrl) {
+  if (!storedUrl) return null;
+  return path.basename(String(storedUrl));
+}
+
+// Signed download URL for a stored upload, issued to userId. Only call this once
+// the caller has been checked for access to the file. filename is the name the
+// browser saves the download as; ttlSeconds overrides FILE_URL_TTL_SECONDS.
+function signedFileUrl(storedUrl, userId, { filename = null, ttlSeconds = FILE_URL_TTL_SECONDS } = {}) {
+  const fileName = storedFileName(storedUrl);
+  if (!fileName) return null;
+
+  const payload = Buffer.from(JSON.stringify({
+    f: fileName,
+    u: userId != null ? String(userId) : null,
+    n: filename || null,
+    e: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+
+  return `/api/files/${payload}.${sign(payload)}`;
+}
+
+// Check a download token; returns { fileName, userId, filename }
+function verifyFileToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) {
+    throw new FileAccessError('Invalid file link', 403, 'invalid_signature');
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new FileAccessError('Invalid file link', 403, 'invalid_signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  if (claims.e < Math.floor(Date.now() / 1000)) {
+    throw new FileAccessError('This file link has expired', 410, 'expired', { fileName: claims.f, userId: claims.u });
+  }
+
+  return { fileName: claims.f, userId: claims.u, filename: claims.n };
+}
+
+function looksLikeText(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    // stream: true tolerates a multi-byte character cut off at the sniff boundary
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The document type the bytes look like: 'pdf', 'docx', 'doc', 'txt' or null
+function detectFileType(buffer) {
+  if (buffer.slice(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.slice(0, 8).equals(OLE_SIGNATURE)) return 'doc';
+  if (buffer.slice(0, 4).toString('latin1') === 'PK\u0003\u0004') {
+    const head = buffer.toString('latin1');
+    return head.includes('word/') || head.includes('[Content_Types].xml') ? 'docx' : null;
+  }
+  return looksLikeText(buffer) ? 'txt' : null;
+}
+
+async function readHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.slice(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check a file's content against the extension of name. Returns the served type
+// ({ type, contentType }) or throws when the two disagree.
+async function checkFileType(filePath, name) {
+  const extension = path.extname(name || filePath).toLowerCase();
+  const expected = FILE_TYPES[extension];
+  if (!expected) {
+    throw new FileAccessError(`Files of type '${extension || 'unknown'}' are not allowed`, 415, 'unsupported_type');
+  }
+
+  const detected = detectFileType(await readHead(filePath));
+  if (detected !== expected.type) {
+    throw new FileAccessError(
+      `File content does not match its ${extension} extension` + (detected ? ` (looks like ${detected})` : ''),
+      415,
+      'content_mismatch'
+    );
+  }
+
+  return expected;
+}
+
+// Resolve a token to a servable file: { filePath, fileName, userId, filename, contentType }
+async function openSignedFile(token) {
+  const { fileName, userId, filename } = verifyFileToken(token);
+
+  // Tokens only name files directly inside the uploads directory
+  if (!fileName || fileName !== path.basename(fileName) || fileName.startsWith('.')) {
+    throw new FileAccessError('Invalid file link', 403, 'invalid_signature');
+  }
+
+  const filePath = path.join(UPLOAD_DIR, fileName);
+  if (!fs.existsSync(filePath)) {
+    throw new FileAccessError('File not found', 404, 'not_found', { fileName, userId });
+  }
+
+  let contentType;
+  try {
+    ({ contentType } = await checkFileType(filePath, fileName));
+  } catch (error) {
+    if (error instanceof FileAccessError) {
+      error.fileName = fileName;
+      error.userId = userId;
+    }
+    throw error;
+  }
+
+  return { filePath, fileName, userId, filename, contentType };
+}
+
+// Whether a user may see a seeker's resumes: the seeker themself, or an employer
+// with a match or an application from that seeker on one of their jobs. A match on
+// a blind-screening job only counts once the candidate has been shortlisted.
+async function canAccessResume(user, seekerId) {
+  if (!user) return false;
+  if (user.userType === 'job_seeker') return String(seekerId) === user.profileId;
+  if (user.userType !== 'employer') return false;
+
+  const { data: matches, error: matchError } = await supabase
+    .from('matches')
+    .select('id, status, identity_revealed_at, job_listings!inner(employer_id, blind_screening)')
+    .eq('job_seeker_id', seekerId)
+    .eq('job_listings.employer_id', user.profileId);
+
+  if (matchError) throw matchError;
+  if (matches.some(match => !isIdentityHidden(match.job_listings, match))) return true;
+
+  const { data: applications, error: applicationError } = await supabase
+    .from('applications')
+    .select('id, matches(status, identity_revealed_at), job_listings!inner(employer_id, blind_screening)')
+    .eq('job_seeker_id', seekerId)
+    .eq('job_listings.employer_id', user.profileId);
+
+  if (applicationError) throw applicationError;
+  return applications.some(application => !isIdentityHidden(application.job_listings, application.matches));
+}
+
+// Record a file access (event: 'link_issued', 'download' or 'denied'). Logging
+// failures are reported but never block the request.
+async function recordFileAccess({ fileName = null, seekerId = null, userId = null, event, reason = null, req = null }) {
+  const { error } = await supabase
+    .from('file_access_log')
+    .insert([{
+      file_name: fileName,
+      job_seeker_id: seekerId,
+      user_id: userId,
+      event,
+      reason,
+      ip_address: req ? req.ip : null,
+      user_agent: req ? req.get('user-agent') || null : null
+    }]);
+
+  if (error) console.error('File access log error:', error);
+}
+
+module.exports = {
+  FILE_URL_TTL_SECONDS,
+  FileAccessError,
+  storedFileName,
+  signedFileUrl,
+  checkFileType,
+  openSignedFile,
+  canAccessResume,
+  recordFileAccess
+};
@@ -0,0 +1,85 @@
+// Minimal RFC 5545 (iCalendar) writer for interview events. Times are written in
+// UTC ('Z' form), which every client converts to the viewer's zone, so no VTIMEZONE
+// blocks are needed; the organiser's zone is kept in the description.
+const PRODID = '-//Swift Jobs//Interviews//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'swift-jobs';
+
+// TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 20260310T133000Z
+function formatUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 3.1), without
+// splitting multi-byte characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// event: { uid, sequence, status ('CONFIRMED' | 'CANCELLED'), start, end, summary,
+// description, location, url, updatedAt }
+function eventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// A VCALENDAR with the given events. name is shown by clients subscribing to a feed.
+function buildCalendar(events, { name = null, method = 'PUBLISH' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  events.forEach(event => lines.push(...eventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar
+};
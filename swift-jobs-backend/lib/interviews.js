@@ -0,0 +1,475 @@
+const supabase = require('./supabase');
+const { transitionMatch } = require('./matchWorkflow');
+const { isValidTimeZone, parseDateTime, formatInTimeZone } = require('./timeZones');
+
+// Interview scheduling. Employers publish slots per job; inviting a shortlisted
+// candidate creates an 'invited' interview (and moves the match to interviewing),
+// the candidate books one open slot ('scheduled'), and either side can move it to
+// another slot or cancel it. Every change bumps sequence so calendar clients update
+// the event they already have.
+//
+// Double booking is prevented at both levels: an employer's live slots may not
+// overlap (across all their jobs), and a candidate's scheduled interviews may not
+// overlap. Both are also enforced by exclusion constraints in the database.
+const INTERVIEW_STATUSES = ['invited', 'scheduled', 'cancelled'];
+const INVITABLE_MATCH_STATUSES = ['shortlisted', 'interviewing'];
+const MIN_SLOT_MINUTES = 10;
+const MAX_SLOT_MINUTES = 8 * 60;
+const MAX_SLOTS_PER_REQUEST = 50;
+
+const INTERVIEW_COLUMNS = '*, job_listings(id, title, employers(company_name)), job_seekers(id, users(full_name, email))';
+
+class InterviewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InterviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+function overlaps(a, b) {
+  return new Date(a.starts_at) < new Date(b.ends_at) && new Date(b.starts_at) < new Date(a.ends_at);
+}
+
+// Validate slots from a request ({ startsAt, endsAt, timeZone, location }) into rows.
+// Times without an offset are read in the slot's timeZone (or defaultTimeZone).
+function normalizeSlots(input, defaultTimeZone) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new InterviewError('slots must be a non-empty array');
+  }
+  if (input.length > MAX_SLOTS_PER_REQUEST) {
+    throw new InterviewError(`At most ${MAX_SLOTS_PER_REQUEST} slots can be published at once`);
+  }
+
+  return input.map((slot, index) => {
+    const label = `slots[${index}]`;
+    const timeZone = slot.timeZone || defaultTimeZone || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+      throw new InterviewError(`${label}.timeZone '${timeZone}' is not a valid IANA time zone`);
+    }
+
+    const start = parseDateTime(slot.startsAt, timeZone);
+    if (start.error) throw new InterviewError(`${label}.startsAt ${start.error}`);
+    const end = parseDateTime(slot.endsAt, timeZone);
+    if (end.error) throw new InterviewError(`${label}.endsAt ${end.error}`);
+
+    const minutes = (end.date - start.date) / 60000;
+    if (minutes < MIN_SLOT_MINUTES || minutes > MAX_SLOT_MINUTES) {
+      throw new InterviewError(`${label} must last between ${MIN_SLOT_MINUTES} minutes and ${MAX_SLOT_MINUTES / 60} hours`);
+    }
+    if (start.date <= new Date()) {
+      throw new InterviewError(`${label} must start in the future`);
+    }
+
+    return {
+      starts_at: start.date.toISOString(),
+      ends_at: end.date.toISOString(),
+      time_zone: timeZone,
+      location: slot.location ? String(slot.location).trim() : null
+    };
+  });
+}
+
+// Publish slots for a job (a job_listings row owned by the caller)
+async function createSlots(job, slots) {
+  for (let i = 0; i < slots.length; i++) {
+    for (let j = i + 1; j < slots.length; j++) {
+      if (overlaps(slots[i], slots[j])) {
+        throw new InterviewError(`slots[${i}] and slots[${j}] overlap`, 409);
+      }
+    }
+  }
+
+  const earliest = slots.reduce((min, slot) => (slot.starts_at < min ? slot.starts_at : min), slots[0].starts_at);
+  const latest = slots.reduce((max, slot) => (slot.ends_at > max ? slot.ends_at : max), slots[0].ends_at);
+
+  const { data: existing, error: existingError } = await supabase
+    .from('interview_slots')
+    .select('id, job_listing_id, starts_at, ends_at')
+    .eq('employer_id', job.employer_id)
+    .neq('status', 'cancelled')
+    .lt('starts_at', latest)
+    .gt('ends_at', earliest);
+
+  if (existingError) throw existingError;
+
+  slots.forEach((slot, index) => {
+    const clash = existing.find(other => overlaps(slot, other));
+    if (clash) {
+      throw new InterviewError(`slots[${index}] overlaps an existing slot (${clash.id})`, 409);
+    }
+  });
+
+  const { data, error } = await supabase
+    .from('interview_slots')
+    .insert(slots.map(slot => ({ ...slot, job_listing_id: job.id, employer_id: job.employer_id, status: 'open' })))
+    .select();
+
+  // Exclusion constraint: another request published an overlapping slot meanwhile
+  if (error && error.code === '23P01') {
+    throw new InterviewError('One of the slots overlaps an existing slot', 409);
+  }
+  if (error) throw error;
+  return data;
+}
+
+async function listSlots(jobId, { openOnly = false } = {}) {
+  let query = supabase
+    .from('interview_slots')
+    .select('*')
+    .eq('job_listing_id', jobId)
+    .neq('status', 'cancelled')
+    .order('starts_at', { ascending: true });
+
+  if (openOnly) {
+    query = query.eq('status', 'open').gt('starts_at', new Date().toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// Withdraw an unbooked slot (slot must belong to jobId)
+async function cancelSlot(jobId, slotId) {
+  const { data: slot, error } = await supabase
+    .from('interview_slots')
+    .select('*')
+    .eq('id', slotId)
+    .eq('job_listing_id', jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!slot || slot.status === 'cancelled') {
+    throw new InterviewError('Slot not found', 404);
+  }
+  if (slot.status === 'booked') {
+    throw new InterviewError('This slot is booked. Reschedule or cancel the interview first.', 409);
+  }
+
+  const { data, error: updateError } = await supabase
+    .from('interview_slots')
+    .update({ status: 'cancelled' })
+    .eq('id', slotId)
+    .eq('status', 'open')
+    .select();
+
+  if (updateError) throw updateError;
+  if (!data || data.length === 0) {
+    throw new InterviewError('This slot was just booked. Reschedule or cancel the interview first.', 409);
+  }
+  return data[0];
+}
+
+// Invite the candidate of a match (with job_listings(employer_id)) to book a slot
+async function inviteCandidate(match, { note = null, invitedBy = null } = {}) {
+  const status = match.status || 'pending';
+  if (!INVITABLE_MATCH_STATUSES.includes(status)) {
+    throw new InterviewError('Only shortlisted candidates can be invited to interview', 409);
+  }
+
+  const { data, error } = await supabase
+    .from('interviews')
+    .insert([{
+      match_id: match.id,
+      job_listing_id: match.job_listing_id,
+      job_seeker_id: match.job_seeker_id,
+      employer_id: match.job_listings.employer_id,
+      status: 'invited',
+      note: note ? String(note).trim() : null,
+      invited_by: invitedBy
+    }])
+    .select(INTERVIEW_COLUMNS);
+
+  // One open (invited or scheduled) interview per match
+  if (error && error.code === '23505') {
+    throw new InterviewError('This candidate already has an open interview for this job', 409);
+  }
+  if (error) throw error;
+
+  if (status === 'shortlisted') {
+    await transitionMatch(match.id, 'interviewing', { changedBy: invitedBy, note: 'Invited to interview' });
+  }
+
+  return data[0];
+}
+
+async function releaseSlot(slotId) {
+  if (!slotId) return;
+
+  const { error } = await supabase
+    .from('interview_slots')
+    .update({ status: 'open', interview_id: null })
+    .eq('id', slotId)
+    .eq('status', 'booked');
+
+  if (error) throw error;
+}
+
+// Claim an open slot of the interview's job for it, then move the interview onto
+// it. The slot update only succeeds while the slot is still open, so two bookings
+// can't both get it.
+async function bookSlot(interview, slotId) {
+  if (interview.status === 'cancelled') {
+    throw new InterviewError('This interview has been cancelled', 409);
+  }
+  if (!slotId) {
+    throw new InterviewError('slotId is required');
+  }
+  if (String(slotId) === String(interview.slot_id)) {
+    throw new InterviewError('The interview is already booked in this slot', 409);
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('interview_slots')
+    .update({ status: 'booked', interview_id: interview.id })
+    .eq('id', slotId)
+    .eq('job_listing_id', interview.job_listing_id)
+    .eq('status', 'open')
+    .gt('starts_at', new Date().toISOString())
+    .select();
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    throw new InterviewError('This slot is not available', 409);
+  }
+  const slot = claimed[0];
+
+  const { data: clashes, error: clashError } = await supabase
+    .from('interviews')
+    .select('id')
+    .eq('job_seeker_id', interview.job_seeker_id)
+    .eq('status', 'scheduled')
+    .neq('id', interview.id)
+    .lt('starts_at', slot.ends_at)
+    .gt('ends_at', slot.starts_at);
+
+  if (clashError || clashes.length > 0) {
+    await releaseSlot(slot.id);
+    if (clashError) throw clashError;
+    throw new InterviewError('The candidate already has an interview at this time', 409);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('interviews')
+    .update({
+      slot_id: slot.id,
+      status: 'scheduled',
+      starts_at: slot.starts_at,
+      ends_at: slot.ends_at,
+      time_zone: slot.time_zone,
+      location: slot.location,
+      scheduled_at: now,
+      sequence: (interview.sequence || 0) + 1,
+      updated_at: now
+    })
+    .eq('id', interview.id)
+    .eq('sequence', interview.sequence || 0)
+    .select(INTERVIEW_COLUMNS);
+
+  if (error || !data || data.length === 0) {
+    await releaseSlot(slot.id);
+    // Exclusion constraint: a concurrent booking for the same candidate overlaps
+    if (error && error.code === '23P01') {
+      throw new InterviewError('The candidate already has an interview at this time', 409);
+    }
+    if (error) throw error;
+    throw new InterviewError('The interview was changed by another request, please retry', 409);
+  }
+
+  // Rescheduling frees the previous slot for other candidates
+  if (interview.slot_id) {
+    await releaseSlot(interview.slot_id);
+  }
+
+  return data[0];
+}
+
+// Employer rescheduling without a new slot sends the interview back to 'invited'
+// so the candidate picks again
+async function reopenInvitation(interview) {
+  if (interview.status !== 'scheduled') {
+    throw new InterviewError('Only scheduled interviews can be rescheduled', 409);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('interviews')
+    .update({
+      slot_id: null,
+      status: 'invited',
+      starts_at: null,
+      ends_at: null,
+      scheduled_at: null,
+      sequence: (interview.sequence || 0) + 1,
+      updated_at: now
+    })
+    .eq('id', interview.id)
+    .eq('sequence', interview.sequence || 0)
+    .select(INTERVIEW_COLUMNS);
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw new InterviewError('The interview was changed by another request, please retry', 409);
+  }
+
+  await releaseSlot(interview.slot_id);
+  return data[0];
+}
+
+// Cancel by either side ('employer' or 'seeker'). The slot goes back on offer.
+// Start and end are kept so calendar clients can match the cancelled event.
+async function cancelInterview(interview, { role, reason = null }) {
+  if (interview.status === 'cancelled') {
+    throw new InterviewError('This interview is already cancelled', 409);
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('interviews')
+    .update({
+      status: 'cancelled',
+      cancelled_at: now,
+      cancelled_by: role,
+      cancel_reason: reason ? String(reason).trim() : null,
+      sequence: (interview.sequence || 0) + 1,
+      updated_at: now
+    })
+    .eq('id', interview.id)
+    .eq('sequence', interview.sequence || 0)
+    .select(INTERVIEW_COLUMNS);
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    throw new InterviewError('The interview was changed by another request, please retry', 409);
+  }
+
+  await releaseSlot(interview.slot_id);
+  return data[0];
+}
+
+// Interviews of a seeker or employer ('seeker' | 'employer'), soonest first.
+// since drops interviews that ended before it.
+async function listInterviews(role, profileId, { status = null, jobId = null, since = null } = {}) {
+  if (status && !INTERVIEW_STATUSES.includes(status)) {
+    throw new InterviewError(`status must be one of: ${INTERVIEW_STATUSES.join(', ')}`);
+  }
+
+  let query = supabase
+    .from('interviews')
+    .select(INTERVIEW_COLUMNS)
+    .eq(role === 'employer' ? 'employer_id' : 'job_seeker_id', profileId)
+    .order('starts_at', { ascending: true, nullsFirst: false })
+    .order('invited_at', { ascending: false });
+
+  if (status) query = query.eq('status', status);
+  if (jobId) query = query.eq('job_listing_id', jobId);
+  if (since) query = query.or(`ends_at.is.null,ends_at.gte.${since}`);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// Optional zone to show local times in (e.g. ?timeZone= from the viewer)
+function viewerTimeZone(value) {
+  if (!value) return null;
+  if (!isValidTimeZone(value)) {
+    throw new InterviewError(`timeZone '${value}' is not a valid IANA time zone`);
+  }
+  return value;
+}
+
+function describeSlot(slot, viewerTimeZone) {
+  const timeZone = viewerTimeZone || slot.time_zone;
+
+  return {
+    slotId: slot.id,
+    jobId: slot.job_listing_id,
+    status: slot.status,
+    startsAt: slot.starts_at,
+    endsAt: slot.ends_at,
+    timeZone: slot.time_zone,
+    localStart: formatInTimeZone(slot.starts_at, timeZone),
+    localEnd: formatInTimeZone(slot.ends_at, timeZone),
+    location: slot.location
+  };
+}
+
+function describeInterview(interview, viewerTimeZone) {
+  const job = interview.job_listings || {};
+  const seeker = interview.job_seekers || {};
+  const timeZone = viewerTimeZone || interview.time_zone;
+
+  return {
+    interviewId: interview.id,
+    matchId: interview.match_id,
+    jobId: interview.job_listing_id,
+    jobTitle: job.title || null,
+    company: job.employers ? job.employers.company_name : null,
+    candidateId: interview.job_seeker_id,
+    candidateName: seeker.users ? seeker.users.full_name : null,
+    status: interview.status,
+    slotId: interview.slot_id,
+    startsAt: interview.starts_at,
+    endsAt: interview.ends_at,
+    timeZone: interview.time_zone,
+    localStart: interview.starts_at ? formatInTimeZone(interview.starts_at, timeZone) : null,
+    localEnd: interview.ends_at ? formatInTimeZone(interview.ends_at, timeZone) : null,
+    location: interview.location,
+    note: interview.note,
+    sequence: interview.sequence,
+    invitedAt: interview.invited_at,
+    scheduledAt: interview.scheduled_at,
+    cancelledAt: interview.cancelled_at,
+    cancelledBy: interview.cancelled_by,
+    cancelReason: interview.cancel_reason
+  };
+}
+
+// The iCalendar event for an interview that has (or had) a time
+function interviewEvent(interview) {
+  const job = interview.job_listings || {};
+  const seeker = interview.job_seekers || {};
+  const company = job.employers ? job.employers.company_name : null;
+  const candidate = seeker.users ? seeker.users.full_name : null;
+
+  const description = [
+    company && `Company: ${company}`,
+    candidate && `Candidate: ${candidate}`,
+    interview.time_zone && `Scheduled in ${interview.time_zone}: ${formatInTimeZone(interview.starts_at, interview.time_zone)}`,
+    interview.note
+  ].filter(Boolean).join('\n');
+
+  return {
+    uid: `interview-${interview.id}`,
+    sequence: interview.sequence,
+    status: interview.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    start: interview.starts_at,
+    end: interview.ends_at,
+    summary: `Interview: ${job.title || 'Job'}${company ? ` at ${company}` : ''}`,
+    description,
+    location: interview.location,
+    updatedAt: interview.updated_at
+  };
+}
+
+module.exports = {
+  INTERVIEW_STATUSES,
+  INTERVIEW_COLUMNS,
+  InterviewError,
+  normalizeSlots,
+  createSlots,
+  listSlots,
+  cancelSlot,
+  inviteCandidate,
+  bookSlot,
+  reopenInvitation,
+  cancelInterview,
+  listInterviews,
+  viewerTimeZone,
+  describeSlot,
+  describeInterview,
+  interviewEvent
+};
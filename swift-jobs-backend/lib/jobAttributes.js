@@ -0,0 +1,317 @@
+const gazetteer = require('../data/gazetteer.json');
+
+// Structured fields derived from the free-text salary_range and location an
+// employer types, so listings can be filtered and compared:
+//   salary    min/max in the stated period, currency, period, and annualized min/max
+//   location  city, region and country (ISO 3166 alpha-2) from the offline gazetteer
+//             in data/gazetteer.json, plus a remote/hybrid/onsite work mode
+const WORK_MODES = ['remote', 'hybrid', 'onsite'];
+const SALARY_PERIODS = ['hourly', 'daily', 'weekly', 'monthly', 'annual'];
+
+// Working hours/days/weeks/months in a year, for annualizing
+const ANNUAL_MULTIPLIERS = { hourly: 2080, daily: 260, weekly: 52, monthly: 12, annual: 1 };
+
+// Approximate USD value of one unit of each currency. Only used to compare a
+// seeker's minimum salary with listings in another currency, never displayed.
+const APPROX_USD_RATES = {
+  USD: 1, EUR: 1.08, GBP: 1.27, CAD: 0.73, AUD: 0.66, NZD: 0.6, CHF: 1.13,
+  SEK: 0.095, NOK: 0.094, DKK: 0.145, PLN: 0.25, CZK: 0.043, INR: 0.012,
+  JPY: 0.0067, CNY: 0.138, HKD: 0.128, SGD: 0.74, MXN: 0.055, BRL: 0.18,
+  ZAR: 0.054, AED: 0.272, ILS: 0.27
+};
+const CURRENCIES = Object.keys(APPROX_USD_RATES);
+
+// Currency assumed for a bare "$" (or no symbol at all) by listing country
+const COUNTRY_CURRENCIES = {
+  US: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD', SG: 'SGD', HK: 'HKD', MX: 'MXN',
+  GB: 'GBP', IN: 'INR', JP: 'JPY', CN: 'CNY', CH: 'CHF', SE: 'SEK', NO: 'NOK',
+  DK: 'DKK', PL: 'PLN', CZ: 'CZK', BR: 'BRL', ZA: 'ZAR', AE: 'AED', IL: 'ILS',
+  DE: 'EUR', FR: 'EUR', NL: 'EUR', BE: 'EUR', LU: 'EUR', AT: 'EUR', ES: 'EUR',
+  PT: 'EUR', IT: 'EUR', IE: 'EUR', FI: 'EUR', GR: 'EUR', EE: 'EUR', LV: 'EUR', LT: 'EUR'
+};
+
+// Checked in order, so prefixed dollars come before the bare "$"
+const CURRENCY_SYMBOLS = [
+  [/\b(c|ca)\$/i, 'CAD'],
+  [/\b(a|au)\$/i, 'AUD'],
+  [/\bnz\$/i, 'NZD'],
+  [/\bs\$/i, 'SGD'],
+  [/\bhk\$/i, 'HKD'],
+  [/\br\$/i, 'BRL'],
+  [/€|\beuros?\b/i, 'EUR'],
+  [/£|\bpounds?\b/i, 'GBP'],
+  [/₹|\brs\.?(?=\s*\d)|\brupees?\b|\blakhs?\b|\blacs?\b|\blpa\b/i, 'INR'],
+  [/¥|\byen\b/i, 'JPY'],
+  [/zł/i, 'PLN']
+];
+
+const PERIOD_PATTERNS = [
+  ['hourly', /\/\s*(h|hr|hour)\b|\bper\s+hour\b|\ban?\s+hour\b|\bhourly\b|\bph\b/i],
+  ['daily', /\/\s*(d|day)\b|\bper\s+day\b|\ba\s+day\b|\bdaily\b|\bday\s+rate\b/i],
+  ['weekly', /\/\s*(wk|week)\b|\bper\s+week\b|\ba\s+week\b|\bweekly\b/i],
+  ['monthly', /\/\s*(mo|mth|month)\b|\bper\s+month\b|\ba\s+month\b|\bmonthly\b/i],
+  ['annual', /\/\s*(y|yr|year|annum)\b|\bper\s+(year|annum)\b|\ba\s+year\b|\bannual(ly)?\b|\byearly\b|\bp\.?a\.?(?=\W|$)|\blpa\b/i]
+];
+
+// "$80,000 - $100,000", "80k-100k", "80-100K", "up to 120000", "12-15 LPA"
+const AMOUNT_PATTERN = /(\d[\d,]*(?:\.\d+)?)\s*(k\b|m\b|lakhs?\b|lacs?\b|lpa\b)?/gi;
+const AMOUNT_MULTIPLIERS = { k: 1000, m: 1000000, lakh: 100000, lakhs: 100000, lac: 100000, lacs: 100000, lpa: 100000 };
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+function detectCurrency(text, country) {
+  const code = String(text).toUpperCase().match(new RegExp(`\\b(${CURRENCIES.join('|')})\\b`));
+  if (code) return code[1];
+
+  const symbol = CURRENCY_SYMBOLS.find(([pattern]) => pattern.test(text));
+  if (symbol) return symbol[1];
+
+  if (/\$|\bdollars?\b/i.test(text)) {
+    return country && COUNTRY_CURRENCIES[country] && ['CAD', 'AUD', 'NZD', 'SGD', 'HKD', 'MXN'].includes(COUNTRY_CURRENCIES[country])
+      ? COUNTRY_CURRENCIES[country]
+      : 'USD';
+  }
+
+  return country ? COUNTRY_CURRENCIES[country] || null : null;
+}
+
+function detectPeriod(text, maxAmount) {
+  const found = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (found) return found[0];
+
+  // Unstated: small amounts are hourly rates, anything else a yearly salary
+  return maxAmount <= 500 ? 'hourly' : 'annual';
+}
+
+function parseAmounts(text) {
+  const amounts = [];
+  let match;
+
+  AMOUNT_PATTERN.lastIndex = 0;
+  while ((match = AMOUNT_PATTERN.exec(text)) !== null && amounts.length < 2) {
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    if (Number.isNaN(value)) continue;
+    amounts.push({ value, unit: match[2] ? match[2].toLowerCase() : null });
+  }
+
+  // "80-100k", "12-15 LPA": the unit applies to both ends
+  if (amounts.length === 2 && amounts[1].unit && !amounts[0].unit && amounts[0].value < 1000) {
+    amounts[0].unit = amounts[1].unit;
+  }
+
+  return amounts.map(amount => amount.value * (AMOUNT_MULTIPLIERS[amount.unit] || 1));
+}
+
+// { min, max, currency, period, minAnnual, maxAnnual }, all null when no amount is found.
+// country (ISO code) resolves ambiguous "$" and missing currency symbols.
+function parseSalary(text, { country = null } = {}) {
+  const empty = { min: null, max: null, currency: null, period: null, minAnnual: null, maxAnnual: null };
+  const source = String(text || '');
+  const values = parseAmounts(source);
+
+  if (values.length === 0) return empty;
+
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (values.length === 1 && /\b(up to|max(imum)?|under)\b/i.test(source)) min = null;
+  if (values.length === 1 && /\b(from|min(imum)?|at least|starting)\b/i.test(source)) max = null;
+
+  const period = detectPeriod(source, max !== null ? max : min);
+  const multiplier = ANNUAL_MULTIPLIERS[period];
+
+  return {
+    min: round(min),
+    max: round(max),
+    currency: detectCurrency(source, country),
+    period,
+    minAnnual: min === null ? null : round(min * multiplier),
+    maxAnnual: max === null ? null : round(max * multiplier)
+  };
+}
+
+// Convert an amount between currencies with the approximate rates (null if unknown)
+function convertCurrency(amount, from, to) {
+  if (amount === null || amount === undefined) return null;
+  if (from === to) return amount;
+  if (!APPROX_USD_RATES[from] || !APPROX_USD_RATES[to]) return null;
+  return (amount * APPROX_USD_RATES[from]) / APPROX_USD_RATES[to];
+}
+
+// Gazetteer lookup keys: lowercase, without accents or punctuation
+function placeKey(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function addToIndex(index, key, entry) {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, []);
+  index.get(key).push(entry);
+}
+
+const countriesByCode = new Map();
+const countryIndex = new Map();
+const regionIndex = new Map();
+const regionCodeIndex = new Map();
+const cityIndex = new Map();
+
+gazetteer.countries.forEach(country => {
+  countriesByCode.set(country.code, country);
+  [country.name, ...country.aliases].forEach(alias => addToIndex(countryIndex, placeKey(alias), country));
+});
+gazetteer.regions.forEach(region => {
+  addToIndex(regionIndex, placeKey(region.name), region);
+  addToIndex(regionCodeIndex, region.code, region);
+});
+gazetteer.cities.forEach(city => {
+  [city.name, ...city.aliases].forEach(alias => addToIndex(cityIndex, placeKey(alias), city));
+});
+
+function findCountry(text) {
+  const trimmed = String(text || '').trim();
+  if (countriesByCode.has(trimmed.toUpperCase()) && trimmed.length === 2 && trimmed === trimmed.toUpperCase()) {
+    return countriesByCode.get(trimmed);
+  }
+  const matches = countryIndex.get(placeKey(trimmed));
+  return matches ? matches[0] : null;
+}
+
+// Region codes ("CA", "NSW") only count when written in capitals, so "in" or "or"
+// in running text aren't taken for Indiana or Oregon
+function findRegions(part) {
+  const byName = regionIndex.get(placeKey(part));
+  if (byName) return byName;
+  const trimmed = part.trim();
+  if (/^[A-Z]{2,3}$/.test(trimmed)) return regionCodeIndex.get(trimmed) || null;
+  return null;
+}
+
+// Words around place names in "Remote (US only)", "Hybrid - London based" or
+// "remote within Canada". Connectors are matched in lowercase only, so the region
+// codes "OR" and "IN" survive.
+const MODE_WORDS = /\b(fully|remote|hybrid|on-?site|in[- ]office|office|wfh|work from home|anywhere|only|based|first|friendly)\b/gi;
+const CONNECTOR_WORDS = /\b(or|and|in|within|from)\b/g;
+
+function isKnownPlace(part) {
+  return Boolean(cityIndex.get(placeKey(part)) || findRegions(part) || findCountry(part));
+}
+
+// "Sydney NSW" or "Berlin Germany" written without a comma: split off a trailing
+// region/country when the rest is a known place
+function splitTrailingPlace(part) {
+  if (isKnownPlace(part)) return [part];
+
+  const words = part.split(' ');
+  for (let idx = words.length - 1; idx > 0; idx -= 1) {
+    const head = words.slice(0, idx).join(' ');
+    const tail = words.slice(idx).join(' ');
+    if (isKnownPlace(head) && (findRegions(tail) || findCountry(tail))) {
+      return [head, tail];
+    }
+  }
+
+  return [part];
+}
+
+// { city, region, country, workMode } from a free-text location. Unknown places are
+// left null; the work mode is still detected.
+function parseLocation(text) {
+  const source = String(text || '');
+  const result = { city: null, region: null, country: null, workMode: detectWorkMode(source) };
+
+  const parts = source
+    .split(/[,/|;()\n]|\s[-–]\s/)
+    .map(part => part.replace(MODE_WORDS, ' ').replace(CONNECTOR_WORDS, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(splitTrailingPlace);
+
+  let cityCandidates = null;
+  let regionCandidates = null;
+  let country = null;
+
+  parts.forEach((part, idx) => {
+    const cities = cityIndex.get(placeKey(part));
+    const regions = findRegions(part);
+    const partCountry = findCountry(part);
+
+    // The first part is usually the city ("Portland, OR"); later parts narrow it down
+    if (idx === 0 && cities) {
+      cityCandidates = cities;
+    } else if (regions && !regionCandidates) {
+      regionCandidates = regions;
+    } else if (partCountry && !country) {
+      country = partCountry;
+    } else if (cities && !cityCandidates) {
+      cityCandidates = cities;
+    }
+  });
+
+  if (country && regionCandidates) {
+    regionCandidates = regionCandidates.filter(region => region.country === country.code);
+  }
+
+  let city = null;
+  if (cityCandidates) {
+    city = cityCandidates.find(candidate =>
+      (!regionCandidates || regionCandidates.some(region => region.code === candidate.region && region.country === candidate.country)) &&
+      (!country || candidate.country === country.code)
+    ) || null;
+  }
+
+  const region = city && city.region
+    ? gazetteer.regions.find(r => r.code === city.region && r.country === city.country)
+    : (regionCandidates && regionCandidates.length > 0 ? regionCandidates[0] : null);
+
+  result.city = city ? city.name : null;
+  result.region = region ? region.name : null;
+  result.country = (city && city.country) || (region && region.country) || (country && country.code) || null;
+
+  return result;
+}
+
+function detectWorkMode(location) {
+  const text = String(location || '').toLowerCase();
+  if (!text.trim()) return null;
+  if (/\bhybrid\b/.test(text)) return 'hybrid';
+  if (/\b(remote|anywhere|work from home|wfh)\b/.test(text)) return 'remote';
+  return 'onsite';
+}
+
+// job_listings columns derived from salary_range and location
+function jobAttributeColumns({ salaryRange, location }) {
+  const place = parseLocation(location);
+  const salary = parseSalary(salaryRange, { country: place.country });
+
+  return {
+    salary_min: salary.min,
+    salary_max: salary.max,
+    salary_currency: salary.currency,
+    salary_period: salary.period,
+    salary_min_annual: salary.minAnnual,
+    salary_max_annual: salary.maxAnnual,
+    location_city: place.city,
+    location_region: place.region,
+    location_country: place.country,
+    work_mode: place.workMode
+  };
+}
+
+module.exports = {
+  WORK_MODES,
+  SALARY_PERIODS,
+  CURRENCIES,
+  ANNUAL_MULTIPLIERS,
+  parseSalary,
+  convertCurrency,
+  parseLocation,
+  findCountry,
+  detectWorkMode,
+  jobAttributeColumns
+};
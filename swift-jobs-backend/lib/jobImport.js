@@ -0,0 +1,669 @@
+const { XMLParser } = require('fast-xml-parser');
+const supabase = require('./supabase');
+const { parseExpiresAt } = require('./jobListings');
+const { jobAttributeColumns } = require('./jobAttributes');
+const { jobSkillColumns } = require('./skillTaxonomy');
+
+// Bulk job imports. A feed (CSV, JSON or an ATS/job-board XML feed) is parsed into
+// one record per job, field names are mapped from the common feed spellings
+// (referencenumber, requisition_id, jobtitle, content, city/state/country, ...)
+// and every record is validated. Valid rows are matched to the employer's
+// listings by external reference ID: unknown refs are created, known ones updated,
+// identical ones left alone. Creates and updates then run in the background in
+// small batches (one import at a time), each followed by queued matching, and the
+// report in job_imports is updated after every batch.
+const IMPORT_FORMATS = ['csv', 'json', 'xml'];
+const MAX_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS) || 500;
+const BATCH_SIZE = parseInt(process.env.JOB_IMPORT_BATCH_SIZE) || 5;
+const BATCH_DELAY_MS = parseInt(process.env.JOB_IMPORT_BATCH_DELAY_MS) || 2000;
+const MAX_REF_LENGTH = 100;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 100000;
+const REF_LOOKUP_CHUNK = 100;
+
+// Feed field spellings per listing field, compared lowercased without punctuation
+const FIELD_ALIASES = {
+  externalRef: ['externalref', 'externalid', 'referencenumber', 'reference', 'refid', 'ref', 'requisitionid', 'reqid', 'jobid', 'shortcode', 'id'],
+  title: ['title', 'jobtitle', 'positiontitle', 'position', 'text'],
+  description: ['description', 'jobdescription', 'descriptionplain', 'content', 'body', 'summary'],
+  requirements: ['requirements', 'qualifications', 'requiredqualifications', 'lists'],
+  location: ['location', 'joblocation', 'locationname'],
+  city: ['city'],
+  region: ['state', 'region', 'province'],
+  country: ['country', 'countrycode'],
+  remote: ['remote', 'isremote', 'telecommuting'],
+  salaryRange: ['salaryrange', 'salary', 'compensation', 'payrange', 'pay'],
+  expiresAt: ['expiresat', 'expirydate', 'expirationdate', 'closingdate', 'validthrough', 'enddate'],
+  blindScreening: ['blindscreening']
+};
+
+// XML elements that hold one job each (Indeed, ZipRecruiter, Workable, RSS, ...)
+const XML_JOB_ELEMENTS = ['job', 'jobposting', 'posting', 'vacancy', 'position', 'item'];
+// JSON keys that hold the job array when the body isn't an array itself
+const JSON_JOB_KEYS = ['jobs', 'postings', 'positions', 'vacancies', 'items', 'results', 'data'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+class JobImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 'csv', 'json' or 'xml' from an explicit format, the file name, the content type
+// or, failing those, the first character of the content
+function detectFormat({ format, filename, contentType, content }) {
+  if (format) {
+    const requested = String(format).toLowerCase();
+    if (!IMPORT_FORMATS.includes(requested)) {
+      throw new JobImportError(`format must be one of ${IMPORT_FORMATS.join(', ')}`);
+    }
+    return requested;
+  }
+
+  const extension = filename ? String(filename).toLowerCase().split('.').pop() : null;
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+
+  if (/json/i.test(contentType || '')) return 'json';
+  if (/xml/i.test(contentType || '')) return 'xml';
+  if (/csv/i.test(contentType || '')) return 'csv';
+
+  if (typeof content !== 'string') return 'json';
+  const start = content.replace(/^\uFEFF/, '').trimStart()[0];
+  if (start === '<') return 'xml';
+  if (start === '[' || start === '{') return 'json';
+  return 'csv';
+}
+
+// The delimiter (comma, semicolon or tab) used most in the header line
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: header.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// RFC 4180 CSV: quoted fields may hold delimiters, doubled quotes and line breaks
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const lines = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new JobImportError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    lines.push(fields);
+  }
+
+  const rows = lines.filter(line => line.some(value => value.trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const [header, ...records] = rows;
+  return records.map(values => Object.fromEntries(header.map((name, idx) => [name.trim(), values[idx]])));
+}
+
+function parseJson(content) {
+  let body = content;
+  if (typeof content === 'string') {
+    try {
+      body = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new JobImportError(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  if (Array.isArray(body)) return body;
+  if (isPlainObject(body)) {
+    const key = Object.keys(body).find(name => JSON_JOB_KEYS.includes(name.toLowerCase()) && Array.isArray(body[name]));
+    if (key) return body[key];
+  }
+  throw new JobImportError(`JSON must be an array of jobs or an object with a ${JSON_JOB_KEYS.join('/')} array`);
+}
+
+// The first job elements found, searching the document level by level
+function findXmlJobs(root) {
+  let level = [root];
+  while (level.length > 0) {
+    for (const node of level) {
+      const key = Object.keys(node).find(name => XML_JOB_ELEMENTS.includes(name.toLowerCase()));
+      if (key) return [].concat(node[key]).filter(isPlainObject);
+    }
+    level = level.flatMap(node => Object.values(node).flatMap(value => [].concat(value)).filter(isPlainObject));
+  }
+  return [];
+}
+
+function parseXml(content) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: true
+  });
+
+  let document;
+  try {
+    document = parser.parse(content, true);
+  } catch (error) {
+    throw new JobImportError(`Invalid XML: ${error.message}`);
+  }
+  return findXmlJobs(document);
+}
+
+// Parse a feed into raw job records. Returns { format, records }.
+function readFeed({ content, format, filename = null, contentType = null }) {
+  const empty = content === undefined || content === null ||
+    (typeof content === 'string' && !content.trim()) ||
+    (isPlainObject(content) && Object.keys(content).length === 0);
+  if (empty) {
+    throw new JobImportError('The import is empty. Send a CSV, JSON or XML feed as the body or as a "file" upload');
+  }
+
+  const detected = detectFormat({ format, filename, contentType, content });
+  if (detected !== 'json' && typeof content !== 'string') {
+    throw new JobImportError(`Expected ${detected.toUpperCase()} text but got a JSON body`);
+  }
+
+  const records = detected === 'csv' ? parseCsv(content)
+    : detected === 'xml' ? parseXml(content)
+      : parseJson(content);
+
+  if (records.length === 0) {
+    throw new JobImportError('The feed has no jobs');
+  }
+  if (records.length > MAX_ROWS) {
+    throw new JobImportError(`An import can have at most ${MAX_ROWS} jobs (this one has ${records.length})`, 413);
+  }
+
+  return { format: detected, records };
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Plain text from HTML descriptions (Greenhouse sends them entity-escaped)
+function htmlToText(value) {
+  let text = String(value);
+  if (!/<[a-z!/][^>]*>/i.test(text) && /&lt;[a-z/]/i.test(text)) text = decodeEntities(text);
+  if (!/<[a-z!/][^>]*>/i.test(text)) return decodeEntities(text).trim();
+
+  return decodeEntities(text
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|ul|ol|h[1-6]|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Text of a feed value: XML text nodes, Lever-style { text, content } lists, arrays
+function valueText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(valueText).filter(Boolean).join('\n');
+  if (isPlainObject(value)) {
+    if (value['#text'] !== undefined) return valueText(value['#text']);
+    return [value.text, value.content].filter(part => part !== undefined).map(valueText).filter(Boolean).join('\n');
+  }
+  return htmlToText(value);
+}
+
+// One level of nesting is lifted into the record, so { location: { city } } and
+// Lever's { categories: { location } } are found like top-level fields. Top-level
+// fields win; an object with a name ({ location: { name } }) stands for that name.
+function flattenRecord(record) {
+  const flat = {};
+  const entries = Object.entries(record);
+
+  entries.filter(([, value]) => !isPlainObject(value)).forEach(([key, value]) => {
+    flat[normalizeKey(key)] = value;
+  });
+  entries.filter(([, value]) => isPlainObject(value)).forEach(([key, value]) => {
+    const name = normalizeKey(key);
+    if (!(name in flat)) {
+      flat[name] = typeof value.name === 'string' ? value.name : value;
+    }
+    Object.entries(value)
+      .filter(([childKey, childValue]) => !['id', 'name'].includes(childKey) && !isPlainObject(childValue))
+      .forEach(([childKey, childValue]) => {
+        const childName = normalizeKey(childKey);
+        if (!(childName in flat)) flat[childName] = childValue;
+      });
+  });
+
+  return flat;
+}
+
+function pickField(flat, field) {
+  const key = FIELD_ALIASES[field].find(alias => flat[alias] !== undefined && valueText(flat[alias]) !== '');
+  return key === undefined ? undefined : flat[key];
+}
+
+function parseFlag(value) {
+  if (value === undefined) return undefined;
+  if (typeof value === 'boolean') return value;
+  const text = valueText(value).toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+}
+
+// Validate one record. Returns { fields, errors }; fields uses the listing's names
+// (title, description, requirements, location, salaryRange, expiresAt, blindScreening).
+function normalizeRecord(record) {
+  const errors = [];
+  if (!isPlainObject(record)) {
+    return { externalRef: null, fields: null, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+
+  const flat = flattenRecord(record);
+  const text = field => valueText(pickField(flat, field));
+
+  const externalRef = text('externalRef');
+  if (!externalRef) {
+    errors.push({ field: 'externalRef', message: 'externalRef (the job\'s ID in your ATS) is required' });
+  } else if (externalRef.length > MAX_REF_LENGTH) {
+    errors.push({ field: 'externalRef', message: `externalRef cannot be longer than ${MAX_REF_LENGTH} characters` });
+  }
+
+  const title = text('title');
+  if (!title) {
+    errors.push({ field: 'title', message: 'title is required' });
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push({ field: 'title', message: `title cannot be longer than ${MAX_TITLE_LENGTH} characters` });
+  }
+
+  const description = text('description');
+  if (!description) {
+    errors.push({ field: 'description', message: 'description is required' });
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.push({ field: 'description', message: `description cannot be longer than ${MAX_DESCRIPTION_LENGTH} characters` });
+  }
+
+  // JSON feeds may send requirements as a list; it is stored as sent, like the post form
+  const rawRequirements = pickField(flat, 'requirements');
+  const requirements = Array.isArray(rawRequirements) && rawRequirements.every(item => typeof item === 'string')
+    ? rawRequirements.map(item => item.trim()).filter(Boolean)
+    : text('requirements') || null;
+
+  let location = text('location') || [text('city'), text('region'), text('country')].filter(Boolean).join(', ') || null;
+  if (parseFlag(pickField(flat, 'remote')) === true && !/remote/i.test(location || '')) {
+    location = location ? `${location} (Remote)` : 'Remote';
+  }
+
+  const expiresAt = parseExpiresAt(text('expiresAt') || null);
+  if (expiresAt.error) {
+    errors.push({ field: 'expiresAt', message: expiresAt.error });
+  }
+
+  const blindScreening = parseFlag(pickField(flat, 'blindScreening'));
+  if (blindScreening === null) {
+    errors.push({ field: 'blindScreening', message: 'blindScreening must be true or false' });
+  }
+
+  return {
+    externalRef: externalRef || null,
+    fields: {
+      title,
+      description,
+      requirements,
+      location,
+      salaryRange: text('salaryRange') || null,
+      expiresAt: expiresAt.value || null,
+      blindScreening
+    },
+    errors
+  };
+}
+
+// The employer's listings (deleted ones excluded) with these external refs, by ref
+async function findListingsByRef(employerId, refs) {
+  const byRef = new Map();
+
+  for (let i = 0; i < refs.length; i += REF_LOOKUP_CHUNK) {
+    const { data, error } = await supabase
+      .from('job_listings')
+      .select('id, external_ref, title, description, requirements, location, salary_range, expires_at, blind_screening, is_active')
+      .eq('employer_id', employerId)
+      .in('external_ref', refs.slice(i, i + REF_LOOKUP_CHUNK))
+      .is('deleted_at', null);
+
+    if (error) throw error;
+    data.forEach(job => byRef.set(job.external_ref, job));
+  }
+
+  return byRef;
+}
+
+function sameDate(a, b) {
+  if (!a || !b) return !a && !b;
+  return new Date(a).getTime() === new Date(b).getTime();
+}
+
+// Columns of an existing listing that a row changes (empty when nothing does)
+function listingChanges(job, fields) {
+  const changes = {};
+  if (fields.title !== job.title) changes.title = fields.title;
+  if (fields.description !== job.description) changes.description = fields.description;
+  if (JSON.stringify(fields.requirements) !== JSON.stringify(job.requirements ?? null)) changes.requirements = fields.requirements;
+  if (fields.location !== job.location) changes.location = fields.location;
+  if (fields.salaryRange !== job.salary_range) changes.salary_range = fields.salaryRange;
+  if (!sameDate(fields.expiresAt, job.expires_at)) changes.expires_at = fields.expiresAt;
+  if (fields.blindScreening !== undefined && fields.blindScreening !== Boolean(job.blind_screening)) {
+    changes.blind_screening = fields.blindScreening;
+  }
+  if (changes.location !== undefined || changes.salary_range !== undefined) {
+    Object.assign(changes, jobAttributeColumns({ salaryRange: fields.salaryRange, location: fields.location }));
+  }
+  return changes;
+}
+
+// Validate a feed and plan each row against the employer's listings. Nothing is
+// written. Rows are numbered from 1 in feed order (a CSV header is not a row).
+// Returns { format, rows } where each row has an action of 'create', 'update',
+// 'unchanged' or null (invalid; see errors).
+async function planImport(employerId, feed) {
+  const { format, records } = readFeed(feed);
+  const rows = records.map((record, idx) => ({ row: idx + 1, ...normalizeRecord(record) }));
+
+  const firstRowByRef = new Map();
+  rows.forEach(row => {
+    if (!row.externalRef) return;
+    if (firstRowByRef.has(row.externalRef)) {
+      row.errors.push({ field: 'externalRef', message: `Duplicate externalRef '${row.externalRef}' (also on row ${firstRowByRef.get(row.externalRef)})` });
+    } else {
+      firstRowByRef.set(row.externalRef, row.row);
+    }
+  });
+
+  const valid = rows.filter(row => row.errors.length === 0);
+  const existing = await findListingsByRef(employerId, valid.map(row => row.externalRef));
+
+  rows.forEach(row => {
+    if (row.errors.length > 0) {
+      row.action = null;
+      return;
+    }
+    const job = existing.get(row.externalRef);
+    if (!job) {
+      row.action = 'create';
+      return;
+    }
+    row.job = job;
+    row.changes = listingChanges(job, row.fields);
+    row.action = Object.keys(row.changes).length > 0 ? 'update' : 'unchanged';
+  });
+
+  return { format, rows };
+}
+
+// Report entry of a planned or processed row
+function reportRow(row) {
+  return {
+    row: row.row,
+    externalRef: row.externalRef,
+    title: row.fields ? row.fields.title || null : null,
+    action: row.action,
+    result: row.result || (row.action === null ? 'failed' : row.action === 'unchanged' ? 'unchanged' : 'pending'),
+    jobId: row.jobId || (row.job ? row.job.id : null),
+    analysisStatus: row.analysisStatus || null,
+    matchingJobId: row.matchingJobId || null,
+    errors: row.errors
+  };
+}
+
+function countResults(reportRows) {
+  const count = result => reportRows.filter(row => row.result === result).length;
+  return {
+    total_rows: reportRows.length,
+    created_count: count('created'),
+    updated_count: count('updated'),
+    unchanged_count: count('unchanged'),
+    failed_count: count('failed')
+  };
+}
+
+// Record a planned import in job_imports (status 'queued')
+async function createImportRecord(employerId, { format, sourceName, rows }) {
+  const reportRows = rows.map(reportRow);
+  const { data, error } = await supabase
+    .from('job_imports')
+    .insert([{
+      employer_id: employerId,
+      format,
+      source_name: sourceName,
+      ...countResults(reportRows),
+      rows: reportRows
+    }])
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+async function saveProgress(importId, rows, updates = {}) {
+  const reportRows = rows.map(reportRow);
+  const { error } = await supabase
+    .from('job_imports')
+    .update({ ...countResults(reportRows), rows: reportRows, ...updates })
+    .eq('id', importId);
+
+  if (error) console.error(`Error saving job import ${importId}:`, error);
+}
+
+// Create or update one row's listing, re-running the analysis when its content changed
+async function importRow(employerId, row, analyzeJobPosting) {
+  const { fields } = row;
+  const contentChanged = row.action === 'create' || ['title', 'description', 'requirements'].some(field => row.changes[field] !== undefined);
+  const columns = row.action === 'create'
+    ? {
+      title: fields.title,
+      description: fields.description,
+      requirements: fields.requirements,
+      location: fields.location,
+      salary_range: fields.salaryRange,
+      ...jobAttributeColumns({ salaryRange: fields.salaryRange, location: fields.location }),
+      expires_at: fields.expiresAt,
+      blind_screening: Boolean(fields.blindScreening)
+    }
+    : { ...row.changes };
+
+  if (contentChanged) {
+    const { jobData, analysisError, requiredSkills, promptRisk } = await analyzeJobPosting({
+      title: fields.title,
+      description: fields.description,
+      requirements: fields.requirements
+    });
+    Object.assign(columns, {
+      ...jobSkillColumns(requiredSkills),
+      behavioral_traits: jobData.behavioral_traits,
+      experience_level: jobData.experience_level,
+      analysis_status: analysisError ? 'failed' : 'completed',
+      analysis_error: analysisError,
+      prompt_risk: promptRisk
+    });
+    row.analysisStatus = analysisError ? 'failed' : 'completed';
+  }
+
+  const query = row.action === 'create'
+    ? supabase.from('job_listings').insert([{ ...columns, employer_id: employerId, external_ref: row.externalRef, is_active: true }])
+    : supabase.from('job_listings').update(columns).eq('id', row.job.id);
+
+  const { data, error } = await query.select('id, is_active');
+
+  // Unique (employer_id, external_ref): created meanwhile by another import
+  if (error && error.code === '23505') {
+    throw new JobImportError(`A listing with externalRef '${row.externalRef}' already exists`, 409);
+  }
+  if (error) throw error;
+
+  row.jobId = data[0].id;
+  row.result = row.action === 'create' ? 'created' : 'updated';
+  // Closed listings are updated but not rescored, as with a single edit
+  row.needsMatching = contentChanged && data[0].is_active;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Work through the create/update rows BATCH_SIZE at a time. analyzeJobPosting and
+// queueMatching(kind, targetId, ownerProfileId) are the server's own helpers.
+async function runImport(importId, employerId, rows, { analyzeJobPosting, queueMatching }) {
+  const work = rows.filter(row => row.action === 'create' || row.action === 'update');
+  await saveProgress(importId, rows, { status: 'running', started_at: new Date().toISOString() });
+
+  for (let i = 0; i < work.length; i += BATCH_SIZE) {
+    const batch = work.slice(i, i + BATCH_SIZE);
+
+    await Promise.all(batch.map(row => importRow(employerId, row, analyzeJobPosting).catch(error => {
+      if (!(error instanceof JobImportError)) console.error(`Job import ${importId} row ${row.row} failed:`, error);
+      row.result = 'failed';
+      row.errors.push({ field: null, message: error.message });
+    })));
+
+    for (const row of batch.filter(item => item.needsMatching)) {
+      const matchingJob = await queueMatching('job', row.jobId, employerId);
+      row.matchingJobId = matchingJob ? matchingJob.id : null;
+    }
+
+    await saveProgress(importId, rows);
+    if (i + BATCH_SIZE < work.length) await sleep(BATCH_DELAY_MS);
+  }
+
+  const failedAll = work.length > 0 && work.every(row => row.result === 'failed');
+  await saveProgress(importId, rows, { status: failedAll ? 'failed' : 'completed', finished_at: new Date().toISOString() });
+}
+
+let importChain = Promise.resolve();
+
+// Queue a planned import's creates and updates; imports run one after another
+function startImport(importRecord, rows, helpers) {
+  importChain = importChain
+    .then(() => runImport(importRecord.id, importRecord.employer_id, rows, helpers))
+    .catch(async error => {
+      console.error(`Job import ${importRecord.id} failed:`, error);
+      await saveProgress(importRecord.id, rows, { status: 'failed', finished_at: new Date().toISOString() });
+    });
+}
+
+// Imports left queued or running by a restart can't resume; mark them interrupted
+async function markInterruptedImports() {
+  const { data, error } = await supabase
+    .from('job_imports')
+    .update({ status: 'interrupted', finished_at: new Date().toISOString() })
+    .in('status', ['queued', 'running'])
+    .select('id');
+
+  if (error) throw error;
+  return data.length;
+}
+
+async function getImport(importId, employerId) {
+  const { data, error } = await supabase
+    .from('job_imports')
+    .select('*')
+    .eq('id', importId)
+    .eq('employer_id', employerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new JobImportError('Import not found', 404);
+  return data;
+}
+
+async function listImports(employerId, { limit = 20 } = {}) {
+  const { data, error } = await supabase
+    .from('job_imports')
+    .select('id, format, source_name, status, total_rows, created_count, updated_count, unchanged_count, failed_count, created_at, started_at, finished_at')
+    .eq('employer_id', employerId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+// API shape of an import; rows are included when loaded
+function describeImport(record) {
+  return {
+    importId: record.id,
+    format: record.format,
+    sourceName: record.source_name,
+    status: record.status,
+    totalRows: record.total_rows,
+    created: record.created_count,
+    updated: record.updated_count,
+    unchanged: record.unchanged_count,
+    failed: record.failed_count,
+    pending: record.total_rows - record.created_count - record.updated_count - record.unchanged_count - record.failed_count,
+    createdAt: record.created_at,
+    startedAt: record.started_at,
+    finishedAt: record.finished_at,
+    ...(record.rows ? { rows: record.rows } : {})
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  JobImportError,
+  planImport,
+  reportRow,
+  createImportRecord,
+  startImport,
+  markInterruptedImports,
+  getImport,
+  listImports,
+  describeImport
+};
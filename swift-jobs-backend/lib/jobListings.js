@@ -0,0 +1,201 @@
+const supabase = require('./supabase');
+
+// Listing lifecycle: active → closed (manually, when filled, or by expiry) → reopened,
+// plus soft delete. Closing keeps the listing and its matches; the matches are
+// stamped with job_closed_at so both sides can see the role is no longer open.
+const CLOSE_REASONS = ['filled', 'cancelled', 'on_hold', 'expired', 'deleted', 'other'];
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+class JobListingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobListingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Whether a listing's expires_at has passed. The sweep only closes expired listings
+// once an hour, so anything matching or listing open jobs checks this as well.
+function isExpired(job, now = new Date()) {
+  return Boolean(job.expires_at) && new Date(job.expires_at) <= now;
+}
+
+// Active, not deleted and not past its expiry
+function isJobOpen(job) {
+  return Boolean(job.is_active) && !job.deleted_at && !isExpired(job);
+}
+
+// Limit a job_listings query to listings without an expiry or with one still ahead
+function whereNotExpired(query, now = new Date()) {
+  return query.or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`);
+}
+
+// 'active', 'closed', 'expired' or 'deleted'
+function jobListingStatus(job) {
+  if (job.deleted_at) return 'deleted';
+  if (job.is_active) return isExpired(job) ? 'expired' : 'active';
+  return job.closed_reason === 'expired' ? 'expired' : 'closed';
+}
+
+// Parse an optional expiry date from a request. Returns { value } (ISO string or null) or { error }.
+function parseExpiresAt(value, { allowPast = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'expiresAt must be a valid date' };
+  }
+  if (!allowPast && date <= new Date()) {
+    return { error: 'expiresAt must be in the future' };
+  }
+
+  return { value: date.toISOString() };
+}
+
+async function setMatchesJobClosed(jobId, closedAt) {
+  const { error } = await supabase
+    .from('matches')
+    .update({ job_closed_at: closedAt })
+    .eq('job_listing_id', jobId);
+
+  if (error) throw error;
+}
+
+async function closeJob(jobId, reason = 'other') {
+  if (!CLOSE_REASONS.includes(reason)) {
+    throw new JobListingError(`Reason must be one of: ${CLOSE_REASONS.join(', ')}`);
+  }
+
+  const closedAt = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('job_listings')
+    .update({ is_active: false, closed_at: closedAt, closed_reason: reason })
+    .eq('id', jobId)
+    .select();
+
+  if (error) throw error;
+
+  await setMatchesJobClosed(jobId, closedAt);
+  return data[0];
+}
+
+async function reopenJob(job, { expiresAt } = {}) {
+  if (job.deleted_at) {
+    throw new JobListingError('Deleted listings cannot be reopened', 409);
+  }
+  if (job.is_active) {
+    throw new JobListingError('Listing is already open', 409);
+  }
+
+  const newExpiry = expiresAt !== undefined ? expiresAt : job.expires_at;
+  if (newExpiry && new Date(newExpiry) <= new Date()) {
+    throw new JobListingError('Listing has expired, provide a new expiresAt to reopen it', 409);
+  }
+
+  const { data, error } = await supabase
+    .from('job_listings')
+    .update({ is_active: true, closed_at: null, closed_reason: null, expires_at: newExpiry })
+    .eq('id', job.id)
+    .select();
+
+  if (error) throw error;
+
+  await setMatchesJobClosed(job.id, null);
+  return data[0];
+}
+
+async function softDeleteJob(jobId) {
+  const deletedAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('job_listings')
+    .update({ is_active: false, deleted_at: deletedAt, closed_at: deletedAt, closed_reason: 'deleted' })
+    .eq('id', jobId);
+
+  if (error) throw error;
+
+  await setMatchesJobClosed(jobId, deletedAt);
+}
+
+// Close every active listing whose expires_at has passed
+async function expireJobs() {
+  const { data: expired, error } = await supabase
+    .from('job_listings')
+    .select('id')
+    .eq('is_active', true)
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  for (const job of expired) {
+    await closeJob(job.id, 'expired');
+  }
+
+  return expired.length;
+}
+
+function startExpirySweep(intervalMs = EXPIRY_SWEEP_INTERVAL_MS) {
+  const sweep = () => {
+    expireJobs()
+      .then(count => {
+        if (count > 0) console.log(`Expired ${count} job listing(s)`);
+      })
+      .catch(error => console.error('Job expiry sweep error:', error.message));
+  };
+
+  sweep();
+  return setInterval(sweep, intervalMs).unref();
+}
+
+// An employer's listings (soft-deleted ones excluded) with match counts per pipeline status.
+// status filters by 'active', 'closed', 'expired' or 'all'.
+async function listEmployerJobs(employerId, { status = 'all' } = {}) {
+  const { data: jobs, error } = await supabase
+    .from('job_listings')
+    .select('*')
+    .eq('employer_id', employerId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const filtered = status === 'all' ? jobs : jobs.filter(job => jobListingStatus(job) === status);
+  if (filtered.length === 0) return [];
+
+  const { data: matches, error: matchesError } = await supabase
+    .from('matches')
+    .select('job_listing_id, status')
+    .in('job_listing_id', filtered.map(job => job.id));
+
+  if (matchesError) throw matchesError;
+
+  return filtered.map(job => {
+    const matchCounts = { total: 0 };
+    matches
+      .filter(match => String(match.job_listing_id) === String(job.id))
+      .forEach(match => {
+        matchCounts.total += 1;
+        matchCounts[match.status] = (matchCounts[match.status] || 0) + 1;
+      });
+
+    return { ...job, status: jobListingStatus(job), matchCounts };
+  });
+}
+
+module.exports = {
+  CLOSE_REASONS,
+  JobListingError,
+  jobListingStatus,
+  isJobOpen,
+  whereNotExpired,
+  parseExpiresAt,
+  closeJob,
+  reopenJob,
+  softDeleteJob,
+  expireJobs,
+  startExpirySweep,
+  listEmployerJobs
+};
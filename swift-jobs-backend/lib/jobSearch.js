@@ -0,0 +1,373 @@
+const supabase = require('./supabase');
+const { normalizeSkills } = require('./skillTaxonomy');
+const { WORK_MODES, CURRENCIES, findCountry } = require('./jobAttributes');
+const { matchInputHash } = require('./matching');
+const { loadFreeTextAnswers } = require('./screening');
+const { jobListingStatus, whereNotExpired } = require('./jobListings');
+
+// Public browse/search over open job listings. Results are ordered by a sort field
+// plus id, and paged with an opaque cursor holding the last row's (value, id), so
+// pages stay stable while new listings are posted.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// field: column to order by; ascending: direction (nulls always sort last)
+const SORT_OPTIONS = {
+  newest: { field: 'created_at', ascending: false },
+  oldest: { field: 'created_at', ascending: true },
+  salary_high: { field: 'salary_max_annual', ascending: false },
+  salary_low: { field: 'salary_min_annual', ascending: true }
+};
+
+const EXPERIENCE_LEVELS = ['junior', 'mid', 'senior'];
+
+// Columns visitors may see; internal analysis fields stay out
+const PUBLIC_JOB_COLUMNS = [
+  'id',
+  'employer_id',
+  'title',
+  'description',
+  'requirements',
+  'location',
+  'salary_range',
+  'salary_min',
+  'salary_max',
+  'salary_currency',
+  'salary_period',
+  'salary_min_annual',
+  'salary_max_annual',
+  'location_city',
+  'location_region',
+  'location_country',
+  'work_mode',
+  'required_skills',
+  'required_skill_ids',
+  'behavioral_traits',
+  'experience_level',
+  'is_active',
+  'closed_reason',
+  'expires_at',
+  'created_at'
+].join(', ');
+
+const PUBLIC_EMPLOYER_COLUMNS = 'id, company_name, company_size, industry';
+
+class JobSearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'JobSearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+function encodeCursor(job, sort) {
+  const { field } = SORT_OPTIONS[sort];
+  return Buffer.from(JSON.stringify({ sort, value: job[field], id: job.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || !decoded.id) throw new Error('Cursor does not match sort');
+    return decoded;
+  } catch (error) {
+    throw new JobSearchError('Invalid cursor');
+  }
+}
+
+// Quote a value for a PostgREST or() filter
+function filterValue(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`;
+}
+
+// Rows after the cursor in (field, id) order, with nulls last
+function cursorFilter({ field, ascending }, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+  const id = filterValue(cursor.id);
+
+  if (cursor.value === null || cursor.value === undefined) {
+    return `and(${field}.is.null,id.${op}.${id})`;
+  }
+
+  const value = filterValue(cursor.value);
+  return `${field}.${op}.${value},and(${field}.eq.${value},id.${op}.${id}),${field}.is.null`;
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (Number.isNaN(number) || number < 0) {
+    throw new JobSearchError(`${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+function parseList(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Validate the query string of GET /api/jobs into search options
+function parseSearchParams(query) {
+  const sort = query.sort || 'newest';
+  if (!SORT_OPTIONS[sort]) {
+    throw new JobSearchError(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new JobSearchError('limit must be a positive number');
+  }
+
+  const experienceLevels = parseList(query.experienceLevel).map(level => level.toLowerCase());
+  const unknownLevel = experienceLevels.find(level => !EXPERIENCE_LEVELS.includes(level));
+  if (unknownLevel) {
+    throw new JobSearchError(`experienceLevel must be one of: ${EXPERIENCE_LEVELS.join(', ')}`);
+  }
+
+  const workModes = parseList(query.workMode).map(mode => mode.toLowerCase());
+  if (query.remote === 'true' && !workModes.includes('remote')) {
+    workModes.push('remote');
+  }
+  const unknownMode = workModes.find(mode => !WORK_MODES.includes(mode));
+  if (unknownMode) {
+    throw new JobSearchError(`workMode must be one of: ${WORK_MODES.join(', ')}`);
+  }
+
+  let postedAfter = null;
+  if (query.postedWithinDays !== undefined) {
+    const days = parseNumber(query.postedWithinDays, 'postedWithinDays');
+    postedAfter = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (query.postedAfter !== undefined) {
+    const date = new Date(query.postedAfter);
+    if (Number.isNaN(date.getTime())) {
+      throw new JobSearchError('postedAfter must be a valid date');
+    }
+    postedAfter = date.toISOString();
+  }
+
+  const salaryMin = parseNumber(query.salaryMin, 'salaryMin');
+  const salaryMax = parseNumber(query.salaryMax, 'salaryMax');
+  if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+    throw new JobSearchError('salaryMin cannot be greater than salaryMax');
+  }
+
+  let salaryCurrency = null;
+  if (query.salaryCurrency) {
+    salaryCurrency = String(query.salaryCurrency).toUpperCase();
+    if (!CURRENCIES.includes(salaryCurrency)) {
+      throw new JobSearchError(`salaryCurrency must be one of: ${CURRENCIES.join(', ')}`);
+    }
+  }
+
+  let country = null;
+  if (query.country) {
+    const found = findCountry(query.country);
+    if (!found) {
+      throw new JobSearchError(`Unknown country '${query.country}'`);
+    }
+    country = found.code;
+  }
+
+  const skillsMatch = query.skillsMatch || 'all';
+  if (!['all', 'any'].includes(skillsMatch)) {
+    throw new JobSearchError('skillsMatch must be all or any');
+  }
+
+  return {
+    q: query.q ? String(query.q).trim() : null,
+    location: query.location ? String(query.location).trim() : null,
+    city: query.city ? String(query.city).trim() : null,
+    country,
+    workModes,
+    salaryMin,
+    salaryMax,
+    salaryCurrency,
+    skills: normalizeSkills(parseList(query.skills)),
+    skillsMatch,
+    experienceLevels,
+    company: query.company ? String(query.company).trim() : null,
+    industry: query.industry ? String(query.industry).trim() : null,
+    postedAfter,
+    sort,
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null
+  };
+}
+
+// Escape % and _ for ilike patterns
+function likePattern(text) {
+  return `%${text.replace(/[%_\\]/g, '\\$&')}%`;
+}
+
+// Canonical skills are matched on required_skill_ids, skills the taxonomy doesn't
+// know on the slugs in unknown_required_skills
+function filterBySkills(query, skills, skillsMatch) {
+  const knownIds = skills.filter(skill => skill.known).map(skill => skill.id);
+  const unknownFilters = skills
+    .filter(skill => !skill.known)
+    .map(skill => JSON.stringify([{ id: skill.id }]));
+
+  if (skillsMatch === 'any') {
+    const conditions = unknownFilters.map(filter => `unknown_required_skills.cs.${filterValue(filter)}`);
+    if (knownIds.length > 0) conditions.unshift(`required_skill_ids.ov.{${knownIds.join(',')}}`);
+    return query.or(conditions.join(','));
+  }
+
+  if (knownIds.length > 0) query = query.contains('required_skill_ids', knownIds);
+  unknownFilters.forEach(filter => {
+    query = query.contains('unknown_required_skills', filter);
+  });
+  return query;
+}
+
+async function searchJobs(options) {
+  const sortOption = SORT_OPTIONS[options.sort];
+  // Company/industry filters need an inner join so non-matching listings drop out
+  const employerJoin = options.company || options.industry ? 'employers!inner' : 'employers';
+
+  let query = whereNotExpired(
+    supabase
+      .from('job_listings')
+      .select(`${PUBLIC_JOB_COLUMNS}, employers:${employerJoin}(${PUBLIC_EMPLOYER_COLUMNS})`)
+      .eq('is_active', true)
+      .is('deleted_at', null)
+  );
+
+  if (options.q) {
+    query = query.textSearch('search_vector', options.q, { type: 'websearch', config: 'english' });
+  }
+  if (options.location) {
+    query = query.ilike('location', likePattern(options.location));
+  }
+  if (options.city) {
+    query = query.ilike('location_city', likePattern(options.city));
+  }
+  if (options.country) {
+    query = query.eq('location_country', options.country);
+  }
+  if (options.workModes.length > 0) {
+    query = query.in('work_mode', options.workModes);
+  }
+  // Yearly ranges overlap: the listing pays at least salaryMin somewhere in its range.
+  // Without salaryCurrency the amounts are compared as-is across currencies.
+  if (options.salaryCurrency) {
+    query = query.eq('salary_currency', options.salaryCurrency);
+  }
+  if (options.salaryMin !== null) {
+    query = query.gte('salary_max_annual', options.salaryMin);
+  }
+  if (options.salaryMax !== null) {
+    query = query.lte('salary_min_annual', options.salaryMax);
+  }
+  if (options.skills.length > 0) {
+    query = filterBySkills(query, options.skills, options.skillsMatch);
+  }
+  if (options.experienceLevels.length > 0) {
+    query = query.in('experience_level', options.experienceLevels);
+  }
+  if (options.company) {
+    query = query.ilike('employers.company_name', likePattern(options.company));
+  }
+  if (options.industry) {
+    query = query.ilike('employers.industry', likePattern(options.industry));
+  }
+  if (options.postedAfter) {
+    query = query.gte('created_at', options.postedAfter);
+  }
+  if (options.cursor) {
+    query = query.or(cursorFilter(sortOption, options.cursor));
+  }
+
+  // One extra row tells us whether there is a next page
+  const { data, error } = await query
+    .order(sortOption.field, { ascending: sortOption.ascending, nullsFirst: false })
+    .order('id', { ascending: sortOption.ascending })
+    .limit(options.limit + 1);
+
+  if (error) throw error;
+
+  const jobs = data.slice(0, options.limit);
+  const hasMore = data.length > options.limit;
+
+  return {
+    jobs,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(jobs[jobs.length - 1], options.sort) : null
+  };
+}
+
+// One listing with its employer. Closed listings are still shown (with their status)
+// so shared links keep working; deleted ones are not found.
+async function getPublicJob(jobId) {
+  const { data, error } = await supabase
+    .from('job_listings')
+    .select(`${PUBLIC_JOB_COLUMNS}, deleted_at, employers(${PUBLIC_EMPLOYER_COLUMNS})`)
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.deleted_at) {
+    throw new JobSearchError('Job not found', 404);
+  }
+
+  const { deleted_at: deletedAt, ...job } = data;
+  return { ...job, status: jobListingStatus(data) };
+}
+
+// The seeker's stored match for each listing, if any. Scores are never computed
+// here; stale is true when the job or profile changed since the score was stored.
+async function attachMatchScores(jobs, seekerId) {
+  if (jobs.length === 0) return jobs;
+
+  const { data: seeker, error: seekerError } = await supabase
+    .from('job_seekers')
+    .select('*')
+    .eq('id', seekerId)
+    .maybeSingle();
+
+  if (seekerError) throw seekerError;
+  if (!seeker) return jobs;
+
+  const { data: matches, error } = await supabase
+    .from('matches')
+    .select('id, job_listing_id, match_score, technical_fit, behavioral_fit, status, analysis_status, input_hash, match_date')
+    .eq('job_seeker_id', seekerId)
+    .in('job_listing_id', jobs.map(job => job.id));
+
+  if (error) throw error;
+
+  const screeningAnswers = await loadFreeTextAnswers({ seekerId, jobIds: jobs.map(job => job.id) });
+
+  return jobs.map(job => {
+    const match = matches.find(m => String(m.job_listing_id) === String(job.id));
+    if (!match || match.analysis_status !== 'completed') {
+      return { ...job, match: null };
+    }
+
+    return {
+      ...job,
+      match: {
+        matchId: match.id,
+        matchScore: match.match_score,
+        technicalFit: match.technical_fit,
+        behavioralFit: match.behavioral_fit,
+        status: match.status,
+        scoredAt: match.match_date,
+        stale: match.input_hash !== matchInputHash(job, seeker, screeningAnswers.get(`${job.id}:${seekerId}`) || [])
+      }
+    };
+  });
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  JobSearchError,
+  parseSearchParams,
+  searchJobs,
+  getPublicJob,
+  attachMatchScores
+};
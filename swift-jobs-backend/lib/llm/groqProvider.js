@@ -0,0 +1,28 @@
+const Groq = require('groq-sdk');
+
+// Groq hosted models through the official SDK
+function createGroqProvider({ apiKey, defaultModel }) {
+  const groq = new Groq({ apiKey });
+
+  return {
+    name: 'groq',
+    defaultModel: defaultModel || 'llama-3.3-70b-versatile',
+
+    async complete(messages, { model, temperature, maxTokens }) {
+      const completion = await groq.chat.completions.create({
+        messages,
+        model,
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: completion.usage
+      };
+    }
+  };
+}
+
+module.exports = createGroqProvider;
@@ -0,0 +1,137 @@
+const createGroqProvider = require('./groqProvider');
+const createOpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const createMockProvider = require('./mockProvider');
+
+// Provider is chosen with LLM_PROVIDER: 'groq' (default), 'openai' for any
+// OpenAI-compatible server (set LLM_BASE_URL for a local one) or 'mock' for
+// deterministic offline responses (optionally from LLM_MOCK_FIXTURES)
+const PROVIDER_FACTORIES = {
+  groq: () => createGroqProvider({
+    apiKey: process.env.LLM_API_KEY || process.env.GROQ_API_KEY,
+    defaultModel: process.env.LLM_MODEL
+  }),
+  openai: () => createOpenAICompatibleProvider({
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL,
+    defaultModel: process.env.LLM_MODEL
+  }),
+  mock: () => createMockProvider({
+    fixturesPath: process.env.LLM_MOCK_FIXTURES,
+    defaultModel: process.env.LLM_MODEL
+  })
+};
+
+const DEFAULT_PROVIDER = 'groq';
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert HR and talent matching AI. Analyze candidates and jobs to provide accurate matching scores as numbers from 0 to 1 (e.g. 0.85, never a percentage) and detailed explanations.';
+const DEFAULT_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS) || 1500;
+
+// Problems with the LLM_* settings; the defaults are used instead and /api/health
+// lists them
+const configWarnings = [];
+
+function readTemperature(value) {
+  if (value === undefined || value.trim() === '') return 0.5;
+  const temperature = Number(value);
+  if (Number.isNaN(temperature) || temperature < 0 || temperature > 2) {
+    configWarnings.push(`LLM_TEMPERATURE '${value}' is not a number between 0 and 2; using 0.5`);
+    return 0.5;
+  }
+  return temperature;
+}
+
+function readProviderName(value) {
+  const name = (value || '').trim().toLowerCase();
+  if (!name) return DEFAULT_PROVIDER;
+  if (!PROVIDER_FACTORIES[name]) {
+    configWarnings.push(`Unknown LLM_PROVIDER '${value}' (use one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}); using ${DEFAULT_PROVIDER}`);
+    return DEFAULT_PROVIDER;
+  }
+  return name;
+}
+
+const DEFAULT_TEMPERATURE = readTemperature(process.env.LLM_TEMPERATURE);
+const PROVIDER_NAME = readProviderName(process.env.LLM_PROVIDER);
+configWarnings.forEach(warning => console.warn(`LLM configuration: ${warning}`));
+
+let provider = null;
+
+// Running token totals since process start, per provider/model
+const usageTotals = {};
+
+function getProvider() {
+  if (!provider) {
+    provider = PROVIDER_FACTORIES[PROVIDER_NAME]();
+  }
+  return provider;
+}
+
+function normalizeUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || ((usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0))
+  };
+}
+
+function recordUsage(providerName, model, usage) {
+  const key = `${providerName}:${model}`;
+  const totals = usageTotals[key] || (usageTotals[key] = {
+    provider: providerName,
+    model,
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0
+  });
+
+  totals.calls += 1;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.totalTokens += usage.totalTokens;
+}
+
+// Run a single chat completion against the configured provider.
+// options: { system, model, temperature, maxTokens, task } where task names the
+// kind of analysis ('seeker_profile', 'job_analysis', 'match_score') for the mock provider.
+// Resolves to { content, model, provider, usage }.
+async function complete(prompt, options = {}) {
+  const llm = getProvider();
+  const model = options.model || llm.defaultModel;
+
+  const messages = [
+    { role: 'system', content: options.system || DEFAULT_SYSTEM_PROMPT },
+    { role: 'user', content: prompt }
+  ];
+
+  const result = await llm.complete(messages, {
+    model,
+    temperature: options.temperature !== undefined ? options.temperature : DEFAULT_TEMPERATURE,
+    maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+    task: options.task
+  });
+
+  const usage = normalizeUsage(result.usage);
+  recordUsage(llm.name, result.model || model, usage);
+
+  return {
+    content: result.content,
+    model: result.model || model,
+    provider: llm.name,
+    usage
+  };
+}
+
+function getUsageTotals() {
+  return Object.values(usageTotals);
+}
+
+function getConfigWarnings() {
+  return [...configWarnings];
+}
+
+module.exports = {
+  complete,
+  getProvider,
+  getUsageTotals,
+  getConfigWarnings
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Deterministic offline provider for tests and CI. Responses come from a fixture
+// file keyed by the SHA-256 of the user prompt when one matches, otherwise they are
+// derived from the prompt with simple keyword heuristics so the same input always
+// produces the same output.
+
+const TECHNICAL_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'C++', 'C#', 'Go', 'Rust', 'Solidity', 'Ruby', 'PHP',
+  'SQL', 'HTML/CSS', 'React', 'Angular', 'Vue', 'Node.js', 'Express', 'Django', 'Flask',
+  'PostgreSQL', 'MySQL', 'MongoDB', 'Redis', 'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes',
+  'Git', 'Linux', 'Machine Learning', 'Data Analysis', 'Excel', 'Google Analytics', 'SEO', 'Figma'
+];
+
+const SOFT_SKILLS = [
+  'Communication', 'Teamwork', 'Leadership', 'Problem Solving', 'Time Management',
+  'Adaptability', 'Collaboration', 'Creativity', 'Critical Thinking'
+];
+
+const ROLE_PATTERN = /\b((?:[A-Z][a-zA-Z]+ ){0,2}(?:Developer|Engineer|Intern|Analyst|Designer|Manager|Specialist|Consultant))\b/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function findSkills(text, vocabulary) {
+  return vocabulary.filter(skill => {
+    const pattern = new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(skill.toLowerCase())}($|[^a-z0-9+#])`);
+    return pattern.test(text.toLowerCase());
+  });
+}
+
+function traitLevel(text, pattern) {
+  const hits = (text.match(pattern) || []).length;
+  if (hits >= 2) return 'high';
+  if (hits === 1) return 'medium';
+  return 'low';
+}
+
+function readPromptField(prompt, label) {
+  const match = prompt.match(new RegExp(`^${escapeRegExp(label)}: (.*)$`, 'm'));
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+}
+
+function mockSeekerProfile(prompt) {
+  const yearsMentioned = [...prompt.matchAll(/(\d{1,2})\+?\s*(?:years?|yrs?)/gi)].map(m => parseInt(m[1]));
+  const roles = [...new Set([...prompt.matchAll(ROLE_PATTERN)].map(m => m[1]))].slice(0, 3);
+
+  return {
+    technical_skills: findSkills(prompt, TECHNICAL_SKILLS),
+    soft_skills: findSkills(prompt, SOFT_SKILLS),
+    work_style: 'Collaborative and detail-oriented',
+    experience_years: yearsMentioned.length > 0 ? Math.min(Math.max(...yearsMentioned), 40) : 0,
+    preferred_roles: roles,
+    behavioral_traits: {
+      teamwork: traitLevel(prompt, /\bteam/gi),
+      leadership: traitLevel(prompt, /\b(led|lead|leadership|mentor)/gi),
+      adaptability: traitLevel(prompt, /\b(adapt|flexib|fast-paced|learn)/gi)
+    }
+  };
+}
+
+function mockJobAnalysis(prompt) {
+  let experienceLevel = 'mid';
+  if (/\b(senior|lead|principal|staff)\b/i.test(prompt)) {
+    experienceLevel = 'senior';
+  } else if (/\b(junior|intern|entry[- ]level|graduate)\b/i.test(prompt)) {
+    experienceLevel = 'junior';
+  }
+
+  return {
+    required_skills: findSkills(prompt, [...TECHNICAL_SKILLS, ...SOFT_SKILLS]),
+    behavioral_traits: {
+      teamwork: traitLevel(prompt, /\b(team|collaborat)/gi),
+      leadership: traitLevel(prompt, /\b(lead|mentor|own)/gi),
+      independence: traitLevel(prompt, /\b(independen|autonom|self-)/gi)
+    },
+    experience_level: experienceLevel
+  };
+}
+
+function mockMatchScore(prompt) {
+  const normalize = list => (Array.isArray(list) ? list : []).map(s => String(s).toLowerCase());
+  const required = normalize(readPromptField(prompt, 'Required Skills'));
+  const skills = normalize(readPromptField(prompt, 'Skills'));
+  const jobTraits = readPromptField(prompt, 'Behavioral Requirements') || {};
+  const seekerTraits = readPromptField(prompt, 'Behavioral Traits') || {};
+
+  const matchedSkills = required.filter(skill => skills.includes(skill));
+  const technicalFit = required.length > 0 ? matchedSkills.length / required.length : 0.5;
+
+  const traitNames = Object.keys(jobTraits).filter(trait => seekerTraits[trait]);
+  const behavioralFit = traitNames.length > 0
+    ? traitNames.filter(trait => jobTraits[trait] === seekerTraits[trait]).length / traitNames.length
+    : 0.5;
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    match_score: round(technicalFit * 0.7 + behavioralFit * 0.3),
+    technical_fit: round(technicalFit),
+    behavioral_fit: round(behavioralFit),
+    explanation: `Matches ${matchedSkills.length} of ${required.length} required skills` +
+      (matchedSkills.length > 0 ? ` (${matchedSkills.join(', ')})` : '') + '.'
+  };
+}
+
+const TASK_HANDLERS = {
+  seeker_profile: mockSeekerProfile,
+  job_analysis: mockJobAnalysis,
+  match_score: mockMatchScore
+};
+
+// Fall back to recognising the prompt when the caller didn't name a task
+function detectTask(prompt) {
+  if (/^Analyze this job seeker profile/m.test(prompt)) return 'seeker_profile';
+  if (/^Analyze this job posting/m.test(prompt)) return 'job_analysis';
+  if (/^Score this (candidate|job) match/m.test(prompt)) return 'match_score';
+  return null;
+}
+
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return {};
+  return JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function createMockProvider({ fixturesPath, defaultModel }) {
+  const fixtures = loadFixtures(fixturesPath);
+
+  return {
+    name: 'mock',
+    defaultModel: defaultModel || 'mock-deterministic',
+
+    async complete(messages, { model, task }) {
+      const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+
+      let content;
+      if (fixtures[promptHash] !== undefined) {
+        const fixture = fixtures[promptHash];
+        content = typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+      } else {
+        const handler = TASK_HANDLERS[task || detectTask(prompt)];
+        content = handler ? JSON.stringify(handler(prompt), null, 2) : '{}';
+      }
+
+      const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+      const completionTokens = estimateTokens(content);
+
+      return {
+        content,
+        model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        }
+      };
+    }
+  };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,45 @@
+// Any server exposing the OpenAI /chat/completions API: OpenAI itself, or a local
+// Ollama / LM Studio / llama.cpp / vLLM instance pointed to by LLM_BASE_URL
+function createOpenAICompatibleProvider({ apiKey, baseUrl, defaultModel }) {
+  const endpoint = `${(baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    defaultModel: defaultModel || 'gpt-4o-mini',
+
+    async complete(messages, { model, temperature, maxTokens }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          messages,
+          model,
+          temperature,
+          max_tokens: maxTokens
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        const error = new Error(`LLM request failed with status ${response.status}: ${body.slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const completion = await response.json();
+
+      return {
+        content: completion.choices?.[0]?.message?.content || '',
+        model: completion.model || model,
+        usage: completion.usage
+      };
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,212 @@
+// Declared shapes of the JSON the analysis prompts ask for. validate() coerces
+// near-misses from the model (numeric strings, "85%" scores, comma-separated lists,
+// "High" trait levels) and reports anything it can't repair.
+
+const TRAIT_LEVELS = ['high', 'medium', 'low'];
+
+const seekerProfileSchema = {
+  name: 'seeker_profile',
+  fields: {
+    technical_skills: { type: 'stringArray', required: true },
+    soft_skills: { type: 'stringArray', required: true },
+    work_style: { type: 'string', default: 'Not specified' },
+    experience_years: { type: 'integer', min: 0, max: 60, required: true },
+    preferred_roles: { type: 'stringArray', default: [] },
+    behavioral_traits: { type: 'traitLevels', default: {} }
+  }
+};
+
+const jobAnalysisSchema = {
+  name: 'job_analysis',
+  fields: {
+    required_skills: { type: 'stringArray', required: true },
+    behavioral_traits: { type: 'traitLevels', default: {} },
+    experience_level: { type: 'enum', values: ['junior', 'mid', 'senior'], required: true }
+  }
+};
+
+const matchScoreSchema = {
+  name: 'match_score',
+  fields: {
+    match_score: { type: 'score', required: true },
+    technical_fit: { type: 'score', required: true },
+    behavioral_fit: { type: 'score', required: true },
+    explanation: { type: 'string', required: true }
+  }
+};
+
+// Scores are expected in 0-1, but models also answer 85, "85%" or "0.85". Values
+// just above 1 are overshoot and get clamped. A bare number is only read as a
+// percentage from 10 to 100: something like 2 or 7 could be on a 1-5 or 1-10 scale,
+// so it is rejected (and sent back for repair) rather than guessed at.
+function coerceScore(value) {
+  let number = value;
+  let isPercent = false;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    isPercent = text.endsWith('%');
+    number = text.replace(/%$/, '').trim() === '' ? NaN : Number(text.replace(/%$/, ''));
+  }
+
+  if (typeof number !== 'number' || Number.isNaN(number)) {
+    return { error: 'must be a number between 0 and 1' };
+  }
+
+  if (isPercent) {
+    if (number < 0 || number > 100) return { error: 'must be a percentage between 0% and 100%' };
+    number = number / 100;
+  } else if (number > 1.5) {
+    if (number < 10 || number > 100) return { error: 'must be a number between 0 and 1' };
+    number = number / 100;
+  } else if (number < 0) {
+    return { error: 'must be a number between 0 and 1' };
+  }
+
+  return { value: Math.round(Math.min(number, 1) * 100) / 100 };
+}
+
+function coerceInteger(value, { min = -Infinity, max = Infinity }) {
+  let number = NaN;
+  if (typeof value === 'string') {
+    number = parseInt(value, 10);
+  } else if (typeof value === 'number') {
+    number = Math.round(value);
+  }
+
+  if (Number.isNaN(number)) {
+    return { error: 'must be a whole number' };
+  }
+
+  return { value: Math.min(Math.max(number, min), max) };
+}
+
+function coerceStringArray(value) {
+  let items = value;
+
+  if (typeof value === 'string') {
+    items = value.split(',');
+  }
+
+  if (!Array.isArray(items)) {
+    return { error: 'must be an array of strings' };
+  }
+
+  return {
+    value: items
+      .filter(item => typeof item === 'string' || typeof item === 'number')
+      .map(item => String(item).trim())
+      .filter(Boolean)
+  };
+}
+
+function coerceTraitLevels(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'must be an object of trait: "high"/"medium"/"low"' };
+  }
+
+  const traits = {};
+  const invalid = [];
+
+  Object.entries(value).forEach(([trait, level]) => {
+    const normalized = String(level).toLowerCase().trim();
+    const known = TRAIT_LEVELS.find(l => normalized === l || normalized.startsWith(l));
+    if (known) {
+      traits[trait.toLowerCase()] = known;
+    } else {
+      invalid.push(trait);
+    }
+  });
+
+  if (invalid.length > 0) {
+    return { error: `has invalid levels for ${invalid.join(', ')} (use high/medium/low)` };
+  }
+
+  return { value: traits };
+}
+
+function coerceEnum(value, { values }) {
+  const normalized = String(value).toLowerCase().trim();
+  const known = values.find(v => normalized === v || normalized.startsWith(v));
+
+  if (!known) {
+    return { error: `must be one of ${values.join(', ')}` };
+  }
+
+  return { value: known };
+}
+
+function coerceString(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'must be a non-empty string' };
+  }
+  return { value: value.trim() };
+}
+
+const COERCERS = {
+  score: coerceScore,
+  integer: coerceInteger,
+  stringArray: coerceStringArray,
+  traitLevels: coerceTraitLevels,
+  enum: coerceEnum,
+  string: coerceString
+};
+
+// Validate a parsed response against a schema. Returns { value, errors } where
+// value holds the coerced fields and errors lists every field that failed.
+function validate(schema, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['response must be a JSON object'] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema.fields).forEach(([field, spec]) => {
+    const raw = data[field];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) {
+        errors.push(`${field} is required`);
+      } else {
+        value[field] = spec.default;
+      }
+      return;
+    }
+
+    const result = COERCERS[spec.type](raw, spec);
+    if (result.error) {
+      errors.push(`${field} ${result.error}`);
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value: errors.length === 0 ? value : null, errors };
+}
+
+// One-line description of the expected fields, used in repair prompts
+function describeSchema(schema) {
+  const types = {
+    score: 'number between 0 and 1',
+    integer: 'whole number',
+    stringArray: 'array of strings',
+    traitLevels: 'object of trait: "high"/"medium"/"low"',
+    string: 'string'
+  };
+
+  return Object.entries(schema.fields)
+    .map(([field, spec]) => {
+      const type = spec.type === 'enum' ? `one of ${spec.values.map(v => `"${v}"`).join('/')}` : types[spec.type];
+      return `"${field}": ${type}`;
+    })
+    .join(', ');
+}
+
+module.exports = {
+  seekerProfileSchema,
+  jobAnalysisSchema,
+  matchScoreSchema,
+  validate,
+  describeSchema
+};
@@ -0,0 +1,103 @@
+const { complete } = require('./index');
+const { validate, describeSchema } = require('./schemas');
+
+// How many times a response that fails validation is sent back for repair
+// (0 disables repairs; anything that isn't a whole number uses the default of 2)
+const REPAIR_ATTEMPTS_SETTING = (process.env.LLM_REPAIR_ATTEMPTS || '').trim();
+const MAX_REPAIR_ATTEMPTS = /^\d+$/.test(REPAIR_ATTEMPTS_SETTING) ? parseInt(REPAIR_ATTEMPTS_SETTING, 10) : 2;
+
+class StructuredOutputError extends Error {
+  constructor(schemaName, errors, rawResponse) {
+    super(`AI response for ${schemaName} failed validation: ${errors.join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.schemaName = schemaName;
+    this.errors = errors;
+    this.rawResponse = rawResponse;
+  }
+}
+
+// Pull the JSON object out of a response that may be wrapped in prose or code fences
+function parseJsonResponse(content) {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { error: 'response did not contain a JSON object' };
+  }
+
+  try {
+    return { data: JSON.parse(jsonMatch[0]) };
+  } catch (error) {
+    return { error: `response was not valid JSON (${error.message})` };
+  }
+}
+
+function buildRepairPrompt(prompt, schema, previousResponse, errors) {
+  return `${prompt}
+
+Your previous response could not be used:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${previousResponse}
+
+Respond with ONLY a corrected JSON object with these fields: {${describeSchema(schema)}}`;
+}
+
+// Run a prompt whose answer must match schema. Invalid responses are re-prompted with
+// the validation errors up to MAX_REPAIR_ATTEMPTS times; after that a
+// StructuredOutputError is thrown so callers can record the failure.
+// Resolves to { data, attempts, usage }.
+async function completeStructured(prompt, schema, options = {}) {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let currentPrompt = prompt;
+  let lastResponse = '';
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    const result = await complete(currentPrompt, {
+      ...options,
+      // Repairs should stick to the requested format rather than get creative
+      temperature: attempt > 1 ? 0 : options.temperature
+    });
+
+    usage.promptTokens += result.usage.promptTokens;
+    usage.completionTokens += result.usage.completionTokens;
+    usage.totalTokens += result.usage.totalTokens;
+
+    lastResponse = result.content;
+    const parsed = parseJsonResponse(result.content);
+
+    if (parsed.error) {
+      lastErrors = [parsed.error];
+    } else {
+      const { value, errors } = validate(schema, parsed.data);
+      if (errors.length === 0) {
+        return { data: value, attempts: attempt, usage };
+      }
+      lastErrors = errors;
+    }
+
+    console.warn(`Invalid ${schema.name} response (attempt ${attempt}):`, lastErrors.join('; '));
+    currentPrompt = buildRepairPrompt(prompt, schema, lastResponse, lastErrors);
+  }
+
+  throw new StructuredOutputError(schema.name, lastErrors, lastResponse);
+}
+
+// Same as completeStructured but resolves to the validated data only, and turns
+// provider/transport failures into a generic 'AI analysis failed' error (original as cause)
+async function analyzeStructured(prompt, schema, options = {}) {
+  try {
+    const { data } = await completeStructured(prompt, schema, options);
+    return data;
+  } catch (error) {
+    if (error instanceof StructuredOutputError) throw error;
+    console.error('LLM API error:', error);
+    throw new Error('AI analysis failed', { cause: error });
+  }
+}
+
+module.exports = {
+  StructuredOutputError,
+  completeStructured,
+  analyzeStructured
+};
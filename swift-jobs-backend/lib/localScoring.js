@@ -0,0 +1,142 @@
+const { storedSkills, getAncestorIds } = require('./skillTaxonomy');
+
+// Deterministic first-stage scoring. Every job/seeker pair gets a cheap local score
+// from skill overlap, experience, role/title similarity and behavioral alignment;
+// only the top-K pairs by that score are sent to the LLM for the final score.
+
+function readWeight(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+const LOCAL_SCORE_WEIGHTS = {
+  skillOverlap: readWeight('MATCH_WEIGHT_SKILLS', 0.5),
+  experienceFit: readWeight('MATCH_WEIGHT_EXPERIENCE', 0.2),
+  roleSimilarity: readWeight('MATCH_WEIGHT_ROLE', 0.15),
+  behavioralAlignment: readWeight('MATCH_WEIGHT_BEHAVIORAL', 0.15)
+};
+
+// How many pairs per job (or per seeker) are sent to the LLM; 0 keeps matching to
+// local scores only, anything but a whole number falls back to 20
+const MATCH_TOP_K_SETTING = (process.env.MATCH_TOP_K || '').trim();
+const MATCH_TOP_K = /^\d+$/.test(MATCH_TOP_K_SETTING) ? parseInt(MATCH_TOP_K_SETTING, 10) : 20;
+
+// Sub-score used when there is nothing to compare (e.g. a job with no required skills)
+const NEUTRAL_SCORE = 0.5;
+
+// Expected years of experience for each job experience_level
+const EXPERIENCE_RANGES = {
+  junior: { min: 0, max: 2 },
+  mid: { min: 2, max: 5 },
+  senior: { min: 5, max: Infinity }
+};
+
+const TRAIT_LEVEL_VALUES = { low: 0, medium: 1, high: 2 };
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'at', 'with', 'i', 'ii', 'iii']);
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Skill IDs of a row: canonical IDs, plus slugs of skills the taxonomy doesn't know
+function skillIds(ids, unknown, names) {
+  return storedSkills({ ids, unknown, names }).map(skill => skill.id);
+}
+
+// Credit per required skill: 1 when the seeker has it or a more specific skill under
+// it (react for javascript), 0.5 when the seeker only has its parent
+function requiredSkillCredit(requiredId, seekerIds, seekerAncestorIds) {
+  if (seekerIds.has(requiredId) || seekerAncestorIds.has(requiredId)) return 1;
+  if (getAncestorIds(requiredId).some(ancestorId => seekerIds.has(ancestorId))) return 0.5;
+  return 0;
+}
+
+function skillOverlapScore(job, seeker) {
+  const required = [...new Set(skillIds(job.required_skill_ids, job.unknown_required_skills, job.required_skills))];
+  if (required.length === 0) return NEUTRAL_SCORE;
+
+  const seekerIds = new Set(skillIds(seeker.skill_ids, seeker.unknown_skills, seeker.skills));
+  const seekerAncestorIds = new Set([...seekerIds].flatMap(getAncestorIds));
+
+  const credit = required.reduce((sum, requiredId) => sum + requiredSkillCredit(requiredId, seekerIds, seekerAncestorIds), 0);
+  return credit / required.length;
+}
+
+// 1.0 inside the expected range, losing 0.2 for every year outside it
+function experienceFitScore(experienceLevel, experienceYears) {
+  const range = EXPERIENCE_RANGES[experienceLevel];
+  if (!range || experienceYears === null || experienceYears === undefined) return NEUTRAL_SCORE;
+
+  const years = Number(experienceYears);
+  let distance = 0;
+  if (years < range.min) distance = range.min - years;
+  if (years > range.max) distance = years - range.max;
+
+  return Math.max(1 - distance * 0.2, 0);
+}
+
+function titleTokens(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#]+/)
+      .filter(token => token && !TITLE_STOPWORDS.has(token))
+  );
+}
+
+// Best Jaccard similarity between the job title and any preferred role
+function roleSimilarityScore(jobTitle, preferredRoles) {
+  const titleSet = titleTokens(jobTitle);
+  if (titleSet.size === 0 || !preferredRoles || preferredRoles.length === 0) return NEUTRAL_SCORE;
+
+  return Math.max(...preferredRoles.map(role => {
+    const roleSet = titleTokens(role);
+    const shared = [...roleSet].filter(token => titleSet.has(token)).length;
+    const union = new Set([...roleSet, ...titleSet]).size;
+    return union > 0 ? shared / union : 0;
+  }));
+}
+
+// Average closeness over the traits both sides rate: same level 1.0, one apart 0.5, two apart 0
+function behavioralAlignmentScore(jobTraits, seekerTraits) {
+  const traits = Object.keys(jobTraits || {}).filter(trait =>
+    TRAIT_LEVEL_VALUES[jobTraits[trait]] !== undefined &&
+    TRAIT_LEVEL_VALUES[(seekerTraits || {})[trait]] !== undefined
+  );
+  if (traits.length === 0) return NEUTRAL_SCORE;
+
+  const total = traits.reduce((sum, trait) => {
+    const distance = Math.abs(TRAIT_LEVEL_VALUES[jobTraits[trait]] - TRAIT_LEVEL_VALUES[seekerTraits[trait]]);
+    return sum + (1 - distance / 2);
+  }, 0);
+
+  return total / traits.length;
+}
+
+// Local sub-scores and their weighted total (all 0-1) for one job/seeker pair
+function computeLocalScore(job, seeker, weights = LOCAL_SCORE_WEIGHTS) {
+  const scores = {
+    skillOverlap: skillOverlapScore(job, seeker),
+    experienceFit: experienceFitScore(job.experience_level, seeker.experience_years),
+    roleSimilarity: roleSimilarityScore(job.title, seeker.preferred_roles),
+    behavioralAlignment: behavioralAlignmentScore(job.behavioral_traits, seeker.behavioral_traits)
+  };
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+  const localScore = Object.keys(scores).reduce((sum, key) => sum + scores[key] * (weights[key] || 0), 0) / totalWeight;
+
+  const rounded = {};
+  Object.keys(scores).forEach(key => {
+    rounded[key] = round(scores[key]);
+  });
+
+  return { ...rounded, localScore: round(localScore) };
+}
+
+module.exports = {
+  EXPERIENCE_RANGES,
+  LOCAL_SCORE_WEIGHTS,
+  MATCH_TOP_K,
+  computeLocalScore
+};
@@ -0,0 +1,109 @@
+const { CURRENCIES, convertCurrency, parseLocation } = require('./jobAttributes');
+
+// A seeker's matching preferences, stored in job_seekers.match_preferences:
+//   minSalary            yearly minimum in salaryCurrency
+//   salaryCurrency       ISO currency code, USD by default
+//   acceptableLocations  places the seeker would work from, parsed with the gazetteer
+//   remoteOnly           only remote listings
+// They are hard constraints: listings that fail them are neither scored nor shown.
+// Listings that don't state a salary or a recognizable place can't be checked and pass.
+
+class MatchPreferencesError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MatchPreferencesError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Validate preferences from a request into their stored form
+function normalizePreferences(input = {}) {
+  const preferences = {};
+
+  if (input.minSalary !== undefined && input.minSalary !== null && input.minSalary !== '') {
+    const minSalary = Number(input.minSalary);
+    if (Number.isNaN(minSalary) || minSalary < 0) {
+      throw new MatchPreferencesError('minSalary must be a non-negative number');
+    }
+    preferences.minSalary = minSalary;
+
+    const currency = String(input.salaryCurrency || 'USD').toUpperCase();
+    if (!CURRENCIES.includes(currency)) {
+      throw new MatchPreferencesError(`salaryCurrency must be one of: ${CURRENCIES.join(', ')}`);
+    }
+    preferences.salaryCurrency = currency;
+  }
+
+  if (input.acceptableLocations !== undefined && input.acceptableLocations !== null) {
+    if (!Array.isArray(input.acceptableLocations)) {
+      throw new MatchPreferencesError('acceptableLocations must be an array of places');
+    }
+
+    preferences.acceptableLocations = input.acceptableLocations.map(label => {
+      const place = parseLocation(label);
+      if (!place.country) {
+        throw new MatchPreferencesError(`Unknown location '${label}'. Use a city, region or country.`);
+      }
+      return { label: String(label).trim(), city: place.city, region: place.region, country: place.country };
+    });
+  }
+
+  if (input.remoteOnly !== undefined) {
+    if (typeof input.remoteOnly !== 'boolean') {
+      throw new MatchPreferencesError('remoteOnly must be true or false');
+    }
+    preferences.remoteOnly = input.remoteOnly;
+  }
+
+  return preferences;
+}
+
+function placeMatches(accepted, job) {
+  if (accepted.country !== job.location_country) return false;
+  if (accepted.city) return accepted.city === job.location_city;
+  if (accepted.region) return accepted.region === job.location_region;
+  return true;
+}
+
+// Best yearly pay of a listing converted to the seeker's currency (null when unknown)
+function annualSalaryIn(job, currency) {
+  const annual = job.salary_max_annual !== null && job.salary_max_annual !== undefined
+    ? job.salary_max_annual
+    : job.salary_min_annual;
+  if (annual === null || annual === undefined) return null;
+
+  return convertCurrency(Number(annual), job.salary_currency || currency, currency);
+}
+
+// Check a job_listings row against a seeker's preferences. Returns { eligible, reasons }
+// with a reason per failed constraint ('remote_only', 'location', 'salary').
+function checkPreferences(job, preferences) {
+  const reasons = [];
+  const prefs = preferences || {};
+
+  if (prefs.remoteOnly && job.work_mode !== 'remote') {
+    reasons.push('remote_only');
+  }
+
+  const locations = prefs.acceptableLocations || [];
+  if (locations.length > 0 && job.location_country) {
+    // Remote listings only need to be open to one of the seeker's countries
+    const acceptable = job.work_mode === 'remote'
+      ? locations.some(accepted => accepted.country === job.location_country)
+      : locations.some(accepted => placeMatches(accepted, job));
+    if (!acceptable) reasons.push('location');
+  }
+
+  if (prefs.minSalary !== undefined && prefs.minSalary !== null) {
+    const annual = annualSalaryIn(job, prefs.salaryCurrency || 'USD');
+    if (annual !== null && annual < prefs.minSalary) reasons.push('salary');
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+module.exports = {
+  MatchPreferencesError,
+  normalizePreferences,
+  checkPreferences
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { scoreAndStorePair } = require('./matching');
+const { candidateIdentity } = require('./blindScreening');
+
+// In-process queue for match scoring. Each queued matching job is a batch of
+// job/seeker pairs; pairs from all batches share one worker pool so the number of
+// concurrent LLM calls stays bounded. Rate-limit errors pause the whole pool and
+// retry the pair with exponential backoff. Job state lives in memory, so it is lost
+// on restart - the stored matches are not, and the next view re-queues anything
+// still missing.
+const CONCURRENCY = parseInt(process.env.MATCH_QUEUE_CONCURRENCY) || 3;
+// Retries per pair; 0 turns retrying off, anything but a whole number falls back to 5
+const MAX_RETRIES_SETTING = (process.env.MATCH_QUEUE_MAX_RETRIES || '').trim();
+const MAX_RETRIES = /^\d+$/.test(MAX_RETRIES_SETTING) ? parseInt(MAX_RETRIES_SETTING, 10) : 5;
+const BASE_BACKOFF_MS = parseInt(process.env.MATCH_QUEUE_BACKOFF_MS) || 2000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const pendingTasks = [];
+let activeTasks = 0;
+let pausedUntil = 0;
+let resumeTimer = null;
+
+function isRateLimitError(error) {
+  const cause = error.cause || error;
+  return cause.status === 429 || /rate.?limit/i.test(cause.message || '');
+}
+
+// Honour a Retry-After header when the provider sends one
+function backoffDelay(error, attempt) {
+  const headers = (error.cause || error).headers || {};
+  const retryAfter = parseFloat(typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!Number.isNaN(retryAfter)) {
+    return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+  const jitter = Math.random() * 250;
+  return Math.min(BASE_BACKOFF_MS * 2 ** attempt + jitter, MAX_BACKOFF_MS);
+}
+
+function snapshot(job, { includeResults = true } = {}) {
+  return {
+    id: job.id,
+    kind: job.kind,
+    targetId: job.targetId,
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    progress: job.total > 0 ? Math.round(((job.completed + job.failed) / job.total) * 100) / 100 : 1,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    errors: job.errors,
+    ...(includeResults ? { results: job.results } : {})
+  };
+}
+
+// Batches for a job listing are watched by its employer, so their results name
+// candidates the way the candidate list does (a pseudonym on blind-screening jobs)
+function visibleSeekerId(job, pair, match = null) {
+  if (job.kind !== 'job') return pair.seeker.id;
+  return candidateIdentity(pair.job, match, pair.seeker).candidateId;
+}
+
+function finishIfDone(job) {
+  if (job.completed + job.failed < job.total) return;
+
+  job.status = job.failed > 0 && job.completed === 0 ? 'failed' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  job.events.emit('done', snapshot(job, { includeResults: false }));
+
+  setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+}
+
+function pairKey(pair) {
+  return `${pair.job.id}:${pair.seeker.id}`;
+}
+
+async function runTask(task) {
+  const { job, pair } = task;
+  job.pendingPairs.delete(pairKey(pair));
+
+  if (job.status === 'queued') {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+  }
+
+  try {
+    const stored = await scoreAndStorePair(pair);
+    const result = {
+      ...stored,
+      seekerId: visibleSeekerId(job, pair, { status: stored.status, identity_revealed_at: stored.identityRevealedAt })
+    };
+    job.completed += 1;
+    job.results.push(result);
+    job.events.emit('result', result);
+  } catch (error) {
+    if (isRateLimitError(error) && task.attempts < MAX_RETRIES) {
+      const delay = backoffDelay(error, task.attempts);
+      task.attempts += 1;
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      console.warn(`Match queue rate limited, retrying pair in ${Math.round(delay)}ms (attempt ${task.attempts})`);
+      job.pendingPairs.add(pairKey(pair));
+      pendingTasks.unshift(task);
+      return;
+    }
+
+    console.error('Match queue task failed:', error);
+    job.failed += 1;
+    job.errors.push({
+      jobId: pair.job.id,
+      seekerId: visibleSeekerId(job, pair),
+      error: error.message
+    });
+  }
+
+  job.events.emit('progress', snapshot(job, { includeResults: false }));
+  finishIfDone(job);
+}
+
+function pump() {
+  const waitMs = pausedUntil - Date.now();
+  if (waitMs > 0) {
+    if (!resumeTimer) {
+      resumeTimer = setTimeout(() => {
+        resumeTimer = null;
+        pump();
+      }, waitMs);
+    }
+    return;
+  }
+
+  while (activeTasks < CONCURRENCY && pendingTasks.length > 0) {
+    const task = pendingTasks.shift();
+    activeTasks += 1;
+    runTask(task).finally(() => {
+      activeTasks -= 1;
+      pump();
+    });
+  }
+}
+
+function findActiveJob(kind, targetId) {
+  for (const job of jobs.values()) {
+    if (job.kind === kind && String(job.targetId) === String(targetId) && ['queued', 'running'].includes(job.status)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+// Add pairs to a batch, skipping any it is still waiting to score
+function addPairs(job, pairs) {
+  const newPairs = pairs.filter(pair => !job.pendingPairs.has(pairKey(pair)));
+  newPairs.forEach(pair => {
+    job.pendingPairs.add(pairKey(pair));
+    pendingTasks.push({ job, pair, attempts: 0 });
+  });
+  job.total += newPairs.length;
+  return newPairs.length;
+}
+
+// Queue scoring for planned pairs (see planMatchingForJob/planMatchingForSeeker).
+// kind is 'job', 'seeker' or 'application', targetId the listing/seeker/application
+// the batch is for, and ownerProfileId the employer/seeker allowed to watch it.
+// While a batch for the same target is still running, the pairs are merged into it
+// instead of starting a second one. Returns the batch's snapshot, or null if there
+// is nothing to score.
+function enqueueMatching({ kind, targetId, ownerProfileId, pairs }) {
+  const activeJob = findActiveJob(kind, targetId);
+  if (activeJob) {
+    if (pairs && pairs.length > 0 && addPairs(activeJob, pairs) > 0) {
+      activeJob.events.emit('progress', snapshot(activeJob, { includeResults: false }));
+      pump();
+    }
+    return snapshot(activeJob, { includeResults: false });
+  }
+
+  if (!pairs || pairs.length === 0) {
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    targetId: String(targetId),
+    ownerProfileId: String(ownerProfileId),
+    status: 'queued',
+    total: 0,
+    completed: 0,
+    failed: 0,
+    results: [],
+    errors: [],
+    pendingPairs: new Set(),
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    events: new EventEmitter()
+  };
+  job.events.setMaxListeners(50);
+
+  jobs.set(job.id, job);
+  addPairs(job, pairs);
+  pump();
+
+  return snapshot(job, { includeResults: false });
+}
+
+function getMatchingJob(id) {
+  return jobs.get(id) || null;
+}
+
+module.exports = {
+  enqueueMatching,
+  getMatchingJob,
+  snapshot
+};
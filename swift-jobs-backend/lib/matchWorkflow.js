@@ -0,0 +1,114 @@
+const supabase = require('./supabase');
+
+// Match lifecycle: pending → viewed → shortlisted → interviewing → offered → hired,
+// with rejection possible from any open stage. hired and rejected are terminal.
+const MATCH_STATUSES = ['pending', 'viewed', 'shortlisted', 'interviewing', 'offered', 'hired', 'rejected'];
+
+const MATCH_TRANSITIONS = {
+  pending: ['viewed', 'shortlisted', 'rejected'],
+  viewed: ['shortlisted', 'rejected'],
+  shortlisted: ['interviewing', 'rejected'],
+  interviewing: ['offered', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: []
+};
+
+class MatchTransitionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MatchTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+function canTransition(fromStatus, toStatus) {
+  return (MATCH_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// Move a match to a new status, recording the change in match_status_history
+async function transitionMatch(matchId, toStatus, { changedBy = null, note = null } = {}) {
+  if (!MATCH_STATUSES.includes(toStatus)) {
+    throw new MatchTransitionError(`Unknown status '${toStatus}'. Valid statuses: ${MATCH_STATUSES.join(', ')}`);
+  }
+
+  const { data: match, error: matchError } = await supabase
+    .from('matches')
+    .select('*')
+    .eq('id', matchId)
+    .maybeSingle();
+
+  if (matchError) throw matchError;
+  if (!match) {
+    throw new MatchTransitionError('Match not found', 404);
+  }
+
+  const fromStatus = match.status || 'pending';
+
+  if (!canTransition(fromStatus, toStatus)) {
+    const allowed = MATCH_TRANSITIONS[fromStatus] || [];
+    throw new MatchTransitionError(
+      `Cannot move match from '${fromStatus}' to '${toStatus}'. ` +
+      (allowed.length > 0 ? `Allowed: ${allowed.join(', ')}` : `'${fromStatus}' is a final status`),
+      409
+    );
+  }
+
+  const changedAt = new Date().toISOString();
+  const fields = { status: toStatus, status_updated_at: changedAt };
+
+  // Shortlisting reveals the candidate's identity on blind-screening jobs
+  if (toStatus === 'shortlisted' && !match.identity_revealed_at) {
+    fields.identity_revealed_at = changedAt;
+  }
+
+  // Only update if the status hasn't changed underneath us
+  const { data: updated, error: updateError } = await supabase
+    .from('matches')
+    .update(fields)
+    .eq('id', matchId)
+    .eq('status', fromStatus)
+    .select();
+
+  if (updateError) throw updateError;
+  if (!updated || updated.length === 0) {
+    throw new MatchTransitionError('Match status was changed by another request, please retry', 409);
+  }
+
+  const { error: historyError } = await supabase
+    .from('match_status_history')
+    .insert([{
+      match_id: matchId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      changed_by: changedBy,
+      note,
+      changed_at: changedAt
+    }]);
+
+  if (historyError) {
+    console.error('Match history insert error:', historyError);
+  }
+
+  return updated[0];
+}
+
+async function getMatchHistory(matchId) {
+  const { data, error } = await supabase
+    .from('match_status_history')
+    .select('*')
+    .eq('match_id', matchId)
+    .order('changed_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  MATCH_STATUSES,
+  MATCH_TRANSITIONS,
+  MatchTransitionError,
+  canTransition,
+  transitionMatch,
+  getMatchHistory
+};
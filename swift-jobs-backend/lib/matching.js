@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const supabase = require('./supabase');
+const { StructuredOutputError, analyzeStructured } = require('./llm/structured');
+const { matchScoreSchema } = require('./llm/schemas');
+const { MATCH_TOP_K, computeLocalScore } = require('./localScoring');
+const { checkPreferences } = require('./matchPreferences');
+const { notifyStrongMatch } = require('./notifications');
+const { UNTRUSTED_TEXT_NOTICE, prepareUntrustedText, buildPromptRisk } = require('./promptSafety');
+const { redactPii } = require('./blindScreening');
+const { loadFreeTextAnswers } = require('./screening');
+const { isJobOpen, whereNotExpired } = require('./jobListings');
+
+// Bump when the match prompt changes so previously cached scores are recomputed
+const MATCH_PROMPT_VERSION = 2;
+
+// JSON.stringify with sorted object keys, so equal content always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Hash of everything the match prompt is built from, plus the canonical skill IDs
+// the skills resolved to. A stored score is reused only while this hash is
+// unchanged. screeningAnswers are the seeker's free-text answers to the job's
+// questionnaire ([{ question, answer }]).
+function matchInputHash(job, seeker, screeningAnswers = []) {
+  const input = {
+    version: MATCH_PROMPT_VERSION,
+    job: {
+      company: job.employers ? job.employers.company_name : null,
+      title: job.title,
+      required_skills: job.required_skills,
+      required_skill_ids: job.required_skill_ids || [],
+      behavioral_traits: job.behavioral_traits,
+      description: job.description
+    },
+    seeker: {
+      skills: seeker.skills,
+      skill_ids: seeker.skill_ids || [],
+      experience_years: seeker.experience_years,
+      preferred_roles: seeker.preferred_roles,
+      behavioral_traits: seeker.behavioral_traits
+    }
+  };
+
+  // Left out when empty so pairs without a questionnaire keep their stored hashes
+  if (screeningAnswers.length > 0) {
+    input.screening = screeningAnswers.map(({ question, answer }) => [question, answer]);
+  }
+
+  return crypto.createHash('sha256').update(stableStringify(input)).digest('hex');
+}
+
+// The job description and screening answers are the only free text here; everything
+// else was extracted (and validated) by earlier analyses. The description was
+// screened when the job was posted; what screening the answers finds comes back as
+// promptRisk, stored with the match (null without answers).
+// Returns { prompt, promptRisk }.
+function buildMatchPrompt(job, seeker, screeningAnswers = []) {
+  const description = prepareUntrustedText(job.description, { kind: 'job_description', label: 'DESCRIPTION', source: 'description' });
+  const names = [seeker.users ? seeker.users.full_name : null];
+  const answers = screeningAnswers.map(({ question, answer }, idx) => prepareUntrustedText(
+    `Question: ${question}\nAnswer: ${redactPii(answer, { names })}`,
+    { kind: 'answer', label: `SCREENING ANSWER ${idx + 1}`, source: `screening_answer_${idx + 1}` }
+  ));
+  const promptRisk = answers.length > 0 ? buildPromptRisk(answers.flatMap(answer => answer.findings)) : null;
+
+  const prompt = `Score this candidate match (0-1.0):
+
+${UNTRUSTED_TEXT_NOTICE}
+
+Job Requirements:
+Company: ${job.employers ? job.employers.company_name : 'Not specified'}
+Title: ${job.title}
+Required Skills: ${JSON.stringify(job.required_skills)}
+Behavioral Requirements: ${JSON.stringify(job.behavioral_traits)}
+Description:
+${description.block}
+
+Candidate Profile:
+Skills: ${JSON.stringify(seeker.skills)}
+Experience: ${seeker.experience_years} years
+Preferred Roles: ${JSON.stringify(seeker.preferred_roles)}
+Behavioral Traits: ${JSON.stringify(seeker.behavioral_traits)}
+${answers.length > 0 ? `
+Screening Answers (the candidate's answers to the employer's questions; weigh them in behavioral_fit together with the behavioral traits):
+${answers.map(answer => answer.block).join('\n')}
+` : ''}
+Provide a JSON response:
+{
+  "match_score": 0.85,
+  "technical_fit": 0.90,
+  "behavioral_fit": 0.80,
+  "explanation": "Strong candidate because..."
+}`;
+
+  return { prompt, promptRisk };
+}
+
+// Score one job/seeker pair with the LLM. A failed analysis comes back with null
+// scores and analysisStatus 'failed' rather than a made-up score.
+async function scoreMatch(job, seeker, screeningAnswers) {
+  const { prompt, promptRisk } = buildMatchPrompt(job, seeker, screeningAnswers);
+  try {
+    const matchData = await analyzeStructured(prompt, matchScoreSchema, { task: 'match_score' });
+    return {
+      matchScore: matchData.match_score,
+      technicalFit: matchData.technical_fit,
+      behavioralFit: matchData.behavioral_fit,
+      explanation: matchData.explanation,
+      analysisStatus: 'completed',
+      analysisError: null,
+      promptRisk
+    };
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.error('Match analysis failed:', error.message);
+    return {
+      matchScore: null,
+      technicalFit: null,
+      behavioralFit: null,
+      explanation: null,
+      analysisStatus: 'failed',
+      analysisError: error.message,
+      promptRisk
+    };
+  }
+}
+
+function pairKey(jobId, seekerId) {
+  return `${jobId}:${seekerId}`;
+}
+
+function fromMatchRow(row, cached) {
+  return {
+    matchId: row.id,
+    jobId: row.job_listing_id,
+    seekerId: row.job_seeker_id,
+    status: row.status,
+    matchScore: row.match_score,
+    technicalFit: row.technical_fit,
+    behavioralFit: row.behavioral_fit,
+    explanation: row.explanation,
+    analysisStatus: row.analysis_status,
+    analysisError: row.analysis_error,
+    scoredAt: row.match_date,
+    jobClosedAt: row.job_closed_at || null,
+    identityRevealedAt: row.identity_revealed_at || null,
+    screeningStatus: row.screening_status || null,
+    promptRisk: row.prompt_risk || null,
+    cached,
+    stale: false
+  };
+}
+
+// Result for a pair that was only ranked locally and never sent to the LLM
+function localOnlyResult(job, seeker, localScores) {
+  return {
+    matchId: null,
+    jobId: job.id,
+    seekerId: seeker.id,
+    status: null,
+    matchScore: null,
+    technicalFit: null,
+    behavioralFit: null,
+    explanation: null,
+    analysisStatus: 'not_scored',
+    analysisError: null,
+    scoredAt: null,
+    jobClosedAt: null,
+    identityRevealedAt: null,
+    screeningStatus: null,
+    promptRisk: null,
+    cached: false,
+    stale: false,
+    localScores
+  };
+}
+
+// Rank all pairs with the local scorer, then split them into:
+// - current: stored AI scores whose inputs are unchanged
+// - toScore: top-K pairs that are new, changed, previously failed, or forced
+// - stale: outdated stored scores, shown until a new score arrives
+// - localOnly: pairs outside the top-K with no stored score, local sub-scores only
+function planPairs(pairs, existingRows, { forceRefresh = false, topK = MATCH_TOP_K } = {}) {
+  const existingByPair = new Map(existingRows.map(row => [pairKey(row.job_listing_id, row.job_seeker_id), row]));
+  const current = [];
+  const stale = [];
+  const toScore = [];
+  const localOnly = [];
+
+  const ranked = pairs
+    .map(pair => ({ ...pair, localScores: computeLocalScore(pair.job, pair.seeker) }))
+    .sort((a, b) => b.localScores.localScore - a.localScores.localScore);
+
+  ranked.forEach(({ job, seeker, screeningAnswers = [], localScores }, rank) => {
+    const inputHash = matchInputHash(job, seeker, screeningAnswers);
+    const existing = existingByPair.get(pairKey(job.id, seeker.id));
+
+    if (!forceRefresh && existing && existing.input_hash === inputHash && existing.analysis_status === 'completed') {
+      current.push({ ...fromMatchRow(existing, true), localScores });
+      return;
+    }
+
+    if (existing) {
+      stale.push({ ...fromMatchRow(existing, true), stale: true, localScores });
+    } else if (rank >= topK) {
+      localOnly.push(localOnlyResult(job, seeker, localScores));
+    }
+
+    if (rank < topK) {
+      toScore.push({ job, seeker, screeningAnswers, inputHash });
+    }
+  });
+
+  return { current, stale, toScore, localOnly };
+}
+
+// Score one planned pair and store the result. status is left out of the upsert so
+// re-scoring never resets a candidate the employer has already moved along the
+// pipeline; new rows get the column default 'pending'.
+async function scoreAndStorePair({ job, seeker, screeningAnswers = [], inputHash }) {
+  const result = await scoreMatch(job, seeker, screeningAnswers);
+
+  const { data, error } = await supabase
+    .from('matches')
+    .upsert([{
+      job_seeker_id: seeker.id,
+      job_listing_id: job.id,
+      match_score: result.matchScore,
+      technical_fit: result.technicalFit,
+      behavioral_fit: result.behavioralFit,
+      explanation: result.explanation,
+      analysis_status: result.analysisStatus,
+      analysis_error: result.analysisError,
+      prompt_risk: result.promptRisk,
+      input_hash: inputHash,
+      match_date: new Date().toISOString()
+    }], {
+      onConflict: 'job_seeker_id,job_listing_id',
+      ignoreDuplicates: false
+    })
+    .select();
+
+  if (error) throw error;
+
+  const stored = fromMatchRow(data[0], false);
+  await notifyStrongMatch(job, seeker, stored);
+
+  return { ...stored, localScores: computeLocalScore(job, seeker) };
+}
+
+// Load a job and all active seekers, and plan which of their scores need computing
+async function planMatchingForJob(jobId, options = {}) {
+  const { data: job, error: jobError } = await supabase
+    .from('job_listings')
+    .select('*, employers(*)')
+    .eq('id', jobId)
+    .single();
+
+  if (jobError) throw jobError;
+
+  const { data: activeSeekers, error: seekersError } = await supabase
+    .from('job_seekers')
+    .select('*, users(email, full_name)')
+    .eq('is_active', true);
+
+  if (seekersError) throw seekersError;
+
+  // Seekers whose hard preferences (salary, location, remote) rule this job out
+  const seekers = activeSeekers.filter(seeker => checkPreferences(job, seeker.match_preferences).eligible);
+
+  const { data: existingRows, error: matchesError } = await supabase
+    .from('matches')
+    .select('*')
+    .eq('job_listing_id', job.id);
+
+  if (matchesError) throw matchesError;
+
+  // Closed and expired listings keep their stored matches but nothing new is sent to the LLM
+  const planOptions = isJobOpen(job) ? options : { forceRefresh: false, topK: 0 };
+  const screeningAnswers = await loadFreeTextAnswers({ jobId: job.id });
+  const pairs = seekers.map(seeker => ({
+    job,
+    seeker,
+    screeningAnswers: screeningAnswers.get(pairKey(job.id, seeker.id)) || []
+  }));
+
+  return {
+    job,
+    seekers,
+    excludedSeekerCount: activeSeekers.length - seekers.length,
+    ...planPairs(pairs, existingRows, planOptions)
+  };
+}
+
+// Load a seeker and all active jobs, and plan which of their scores need computing
+async function planMatchingForSeeker(seekerId, options = {}) {
+  const { data: seeker, error: seekerError } = await supabase
+    .from('job_seekers')
+    .select('*, users(full_name)')
+    .eq('id', seekerId)
+    .single();
+
+  if (seekerError) throw seekerError;
+
+  const { data: activeJobs, error: jobsError } = await whereNotExpired(
+    supabase
+      .from('job_listings')
+      .select('*, employers(*)')
+      .eq('is_active', true)
+  );
+
+  if (jobsError) throw jobsError;
+
+  // Listings that fail the seeker's hard preferences are never scored
+  const excluded = [];
+  const jobs = activeJobs.filter(job => {
+    const check = checkPreferences(job, seeker.match_preferences);
+    if (!check.eligible) excluded.push({ jobId: job.id, reasons: check.reasons });
+    return check.eligible;
+  });
+
+  const { data: existingRows, error: matchesError } = await supabase
+    .from('matches')
+    .select('*')
+    .eq('job_seeker_id', seeker.id);
+
+  if (matchesError) throw matchesError;
+
+  const screeningAnswers = await loadFreeTextAnswers({ seekerId: seeker.id });
+  const pairs = jobs.map(job => ({
+    job,
+    seeker,
+    screeningAnswers: screeningAnswers.get(pairKey(job.id, seeker.id)) || []
+  }));
+
+  return {
+    seeker,
+    jobs,
+    excludedJobs: excluded,
+    ...planPairs(pairs, existingRows, options)
+  };
+}
+
+// The pair to queue for one stored match when its score is missing, failed or
+// out of date (for example after new screening answers); null when it is current
+async function pairToRescore(job, seeker, match) {
+  const screeningAnswers = (await loadFreeTextAnswers({ jobId: job.id, seekerId: seeker.id }))
+    .get(pairKey(job.id, seeker.id)) || [];
+  const inputHash = matchInputHash(job, seeker, screeningAnswers);
+
+  if (match.analysis_status === 'completed' && match.input_hash === inputHash) return null;
+  return { job, seeker, screeningAnswers, inputHash };
+}
+
+module.exports = {
+  matchInputHash,
+  scoreAndStorePair,
+  pairToRescore,
+  planMatchingForJob,
+  planMatchingForSeeker
+};
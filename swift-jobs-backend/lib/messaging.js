@@ -0,0 +1,304 @@
+const supabase = require('./supabase');
+const { signedFileUrl } = require('./fileAccess');
+
+// Employer–candidate messaging. There is one thread per match (applications reuse
+// their match's thread), between the job's employer and the seeker. A thread can
+// only be opened, and messages only sent, while the match is shortlisted or further
+// along; rejected matches keep their thread read-only. Each side's last_read_at
+// drives both its unread count and the read receipts the other side sees.
+const MESSAGING_STATUSES = ['shortlisted', 'interviewing', 'offered', 'hired'];
+const MAX_MESSAGE_LENGTH = 5000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const THREAD_COLUMNS = '*, matches(id, status), job_listings(id, title, employers(company_name)), job_seekers(id, users(full_name))';
+
+class MessagingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MessagingError';
+    this.statusCode = statusCode;
+  }
+}
+
+// 'employer' or 'seeker', from the caller's user type
+function participantRole(user) {
+  return user.userType === 'employer' ? 'employer' : 'seeker';
+}
+
+function otherRole(role) {
+  return role === 'employer' ? 'seeker' : 'employer';
+}
+
+function assertMessagingAllowed(status) {
+  if (!MESSAGING_STATUSES.includes(status || 'pending')) {
+    throw new MessagingError('Messaging is only available once the candidate has been shortlisted', 403);
+  }
+}
+
+// The thread for a match (a matches row with job_listings(employer_id)), opened on
+// first use. applicationId links the thread to the application it was opened from.
+async function openThread(match, { applicationId = null } = {}) {
+  const { data: existing, error: existingError } = await supabase
+    .from('message_threads')
+    .select(THREAD_COLUMNS)
+    .eq('match_id', match.id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+  if (existing) {
+    if (applicationId && !existing.application_id) {
+      const { error } = await supabase
+        .from('message_threads')
+        .update({ application_id: applicationId })
+        .eq('id', existing.id);
+
+      if (error) throw error;
+      existing.application_id = applicationId;
+    }
+    return { thread: existing, created: false };
+  }
+
+  assertMessagingAllowed(match.status);
+
+  const { error } = await supabase
+    .from('message_threads')
+    .insert([{
+      match_id: match.id,
+      application_id: applicationId,
+      job_listing_id: match.job_listing_id,
+      job_seeker_id: match.job_seeker_id,
+      employer_id: match.job_listings.employer_id
+    }]);
+
+  // Unique match_id: opened concurrently by the other side, use theirs
+  if (error && error.code !== '23505') throw error;
+
+  const { data, error: fetchError } = await supabase
+    .from('message_threads')
+    .select(THREAD_COLUMNS)
+    .eq('match_id', match.id)
+    .single();
+
+  if (fetchError) throw fetchError;
+  return { thread: data, created: !error };
+}
+
+// The thread for an application's match (see openThread)
+async function openApplicationThread(application) {
+  const { data: match, error } = await supabase
+    .from('matches')
+    .select('*, job_listings(employer_id)')
+    .eq('id', application.match_id)
+    .single();
+
+  if (error) throw error;
+  return openThread(match, { applicationId: application.id });
+}
+
+function lastReadAt(thread, role) {
+  return thread[`${role}_last_read_at`];
+}
+
+async function countUnread(thread, role) {
+  let query = supabase
+    .from('messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('thread_id', thread.id)
+    .eq('sender_role', otherRole(role));
+
+  const readAt = lastReadAt(thread, role);
+  if (readAt) {
+    query = query.gt('created_at', readAt);
+  }
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// Send a message as user. attachment is a multer file, already checked by the
+// upload pipeline. Sending also marks the thread read up to the new message.
+async function sendMessage(thread, user, { body, attachment = null }) {
+  assertMessagingAllowed(thread.matches && thread.matches.status);
+
+  const text = body ? String(body).trim() : '';
+  if (!text && !attachment) {
+    throw new MessagingError('Message body or attachment is required');
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new MessagingError(`Message cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const role = participantRole(user);
+
+  const { data, error } = await supabase
+    .from('messages')
+    .insert([{
+      thread_id: thread.id,
+      sender_user_id: user.id,
+      sender_role: role,
+      body: text || null,
+      attachment_url: attachment ? `/uploads/${attachment.filename}` : null,
+      attachment_filename: attachment ? attachment.originalname : null,
+      attachment_mimetype: attachment ? attachment.mimetype : null,
+      attachment_size: attachment ? attachment.size : null
+    }])
+    .select();
+
+  if (error) throw error;
+  const message = data[0];
+
+  const { error: threadError } = await supabase
+    .from('message_threads')
+    .update({
+      last_message_at: message.created_at,
+      [`${role}_last_read_at`]: message.created_at
+    })
+    .eq('id', thread.id);
+
+  if (threadError) throw threadError;
+  return message;
+}
+
+// Messages oldest first. before (a message timestamp) pages back through history.
+async function listMessages(thread, { before = null, limit } = {}) {
+  const pageSize = Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  let query = supabase
+    .from('messages')
+    .select('*')
+    .eq('thread_id', thread.id)
+    .order('created_at', { ascending: false })
+    .limit(pageSize + 1);
+
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) {
+      throw new MessagingError('before must be a valid date');
+    }
+    query = query.lt('created_at', date.toISOString());
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return {
+    messages: data.slice(0, pageSize).reverse(),
+    hasMore: data.length > pageSize
+  };
+}
+
+// Mark the thread read for the caller, up to now or up to a given message
+async function markThreadRead(thread, user, { upToMessageId = null } = {}) {
+  const role = participantRole(user);
+  let readAt = new Date().toISOString();
+
+  if (upToMessageId) {
+    const { data: message, error } = await supabase
+      .from('messages')
+      .select('created_at')
+      .eq('id', upToMessageId)
+      .eq('thread_id', thread.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!message) throw new MessagingError('Message not found', 404);
+    readAt = message.created_at;
+  }
+
+  // Never move the read marker backwards
+  const current = lastReadAt(thread, role);
+  if (current && new Date(current) >= new Date(readAt)) {
+    return current;
+  }
+
+  const { error } = await supabase
+    .from('message_threads')
+    .update({ [`${role}_last_read_at`]: readAt })
+    .eq('id', thread.id);
+
+  if (error) throw error;
+  return readAt;
+}
+
+// viewerId is the user the attachment's signed link is issued to
+function describeMessage(message, thread, role, viewerId) {
+  const readByOther = lastReadAt(thread, otherRole(message.sender_role));
+
+  return {
+    messageId: message.id,
+    senderRole: message.sender_role,
+    mine: message.sender_role === role,
+    body: message.body,
+    attachment: message.attachment_url ? {
+      url: signedFileUrl(message.attachment_url, viewerId, { filename: message.attachment_filename }),
+      filename: message.attachment_filename,
+      mimetype: message.attachment_mimetype,
+      size: message.attachment_size
+    } : null,
+    sentAt: message.created_at,
+    // Read receipt: whether the recipient has read up to this message
+    read: Boolean(readByOther && new Date(readByOther) >= new Date(message.created_at))
+  };
+}
+
+function describeThread(thread, role, unreadCount) {
+  const status = thread.matches ? thread.matches.status : null;
+  const job = thread.job_listings || {};
+
+  return {
+    threadId: thread.id,
+    matchId: thread.match_id,
+    applicationId: thread.application_id,
+    jobId: thread.job_listing_id,
+    jobTitle: job.title || null,
+    company: job.employers ? job.employers.company_name : null,
+    seekerId: thread.job_seeker_id,
+    candidateName: thread.job_seekers && thread.job_seekers.users ? thread.job_seekers.users.full_name : null,
+    matchStatus: status,
+    canSend: MESSAGING_STATUSES.includes(status),
+    lastMessageAt: thread.last_message_at,
+    lastReadAt: lastReadAt(thread, role),
+    otherPartyLastReadAt: lastReadAt(thread, otherRole(role)),
+    unreadCount
+  };
+}
+
+// The caller's threads, most recent activity first, each with its unread count
+async function listThreads(user, { jobId = null } = {}) {
+  const role = participantRole(user);
+
+  let query = supabase
+    .from('message_threads')
+    .select(THREAD_COLUMNS)
+    .eq(role === 'employer' ? 'employer_id' : 'job_seeker_id', user.profileId)
+    .order('last_message_at', { ascending: false, nullsFirst: false })
+    .order('created_at', { ascending: false });
+
+  if (jobId) {
+    query = query.eq('job_listing_id', jobId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const counts = await Promise.all(data.map(thread => countUnread(thread, role)));
+  return data.map((thread, i) => describeThread(thread, role, counts[i]));
+}
+
+module.exports = {
+  MESSAGING_STATUSES,
+  THREAD_COLUMNS,
+  MessagingError,
+  participantRole,
+  openThread,
+  openApplicationThread,
+  countUnread,
+  sendMessage,
+  listMessages,
+  markThreadRead,
+  describeMessage,
+  describeThread,
+  listThreads
+};
@@ -0,0 +1,456 @@
+const crypto = require('crypto');
+const supabase = require('../supabase');
+const { renderTemplate } = require('./templates');
+const { sendEmail } = require('./transport');
+const { candidatePseudonym, isIdentityHidden } = require('../blindScreening');
+
+// Email notifications go through the notification_outbox table: each one is rendered
+// and stored first, then a background worker sends it, retrying failures with
+// exponential backoff. Users choose per type whether to get an email right away
+// ('immediate'), bundled into the daily digest ('daily') or not at all ('off');
+// digest items wait in the outbox as 'held' until the daily run. Account emails
+// (welcome, verification, password reset) always go out. A dedupe key keeps
+// repeated events (a re-scored match, a burst of messages) from producing more
+// than one email.
+const NOTIFICATION_TYPES = ['strong_match', 'shortlisted', 'interview_invite', 'message_received'];
+const DELIVERY_OPTIONS = ['immediate', 'daily', 'off'];
+// Account emails that ignore preferences and always go out right away
+const TRANSACTIONAL_TYPES = ['welcome', 'verify_email', 'password_reset'];
+// Emails carrying a raw single-use account token. The token is left out of the
+// stored payload and the bodies are blanked once the row is sent or given up on,
+// so the outbox never keeps a working link (accountTokens stores only its hash).
+const TOKEN_TYPES = ['verify_email', 'password_reset'];
+const REMOVED_BODY = '[Removed after sending: contained a single-use account link]';
+
+const STRONG_MATCH_THRESHOLD = parseFloat(process.env.NOTIFY_STRONG_MATCH_THRESHOLD) || 0.8;
+const OUTBOX_INTERVAL_MS = parseInt(process.env.NOTIFY_OUTBOX_INTERVAL_MS) || 30 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 20;
+// Hour (0-23, UTC) of the daily digest run; anything else falls back to 8
+const DIGEST_HOUR_SETTING = (process.env.NOTIFY_DIGEST_HOUR_UTC || '').trim();
+const DIGEST_HOUR_UTC = /^\d{1,2}$/.test(DIGEST_HOUR_SETTING) && parseInt(DIGEST_HOUR_SETTING, 10) <= 23
+  ? parseInt(DIGEST_HOUR_SETTING, 10)
+  : 8;
+
+let workerStarted = false;
+let outboxRunning = false;
+let outboxTimer = null;
+let lastDigestDay = null;
+
+class NotificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Stored preferences with every type filled in
+function withDefaults(stored) {
+  const preferences = {};
+  NOTIFICATION_TYPES.forEach(type => {
+    preferences[type] = (stored && stored[type]) || 'immediate';
+  });
+  return preferences;
+}
+
+async function getPreferences(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('notification_preferences')
+    .eq('id', userId)
+    .single();
+
+  if (error) throw error;
+  return withDefaults(data.notification_preferences);
+}
+
+// changes: { type: 'immediate' | 'daily' | 'off' }, for any subset of the types
+async function updatePreferences(userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new NotificationError('Preferences must be an object');
+  }
+
+  const current = await getPreferences(userId);
+
+  Object.entries(changes).forEach(([type, delivery]) => {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw new NotificationError(`Unknown notification type '${type}'. Valid types: ${NOTIFICATION_TYPES.join(', ')}`);
+    }
+    if (!DELIVERY_OPTIONS.includes(delivery)) {
+      throw new NotificationError(`${type} must be one of: ${DELIVERY_OPTIONS.join(', ')}`);
+    }
+    current[type] = delivery;
+  });
+
+  const { error } = await supabase
+    .from('users')
+    .update({ notification_preferences: current })
+    .eq('id', userId);
+
+  if (error) throw error;
+  return current;
+}
+
+// Render and store a notification for a users row. Returns the outbox row, or null
+// when the user opted out or the dedupe key was already used.
+async function queueNotification(user, type, payload, { dedupeKey = null } = {}) {
+  const delivery = TRANSACTIONAL_TYPES.includes(type)
+    ? 'immediate'
+    : withDefaults(user.notification_preferences)[type];
+
+  if (delivery === 'off' || !user.email) return null;
+
+  const rendered = renderTemplate(type, { name: user.full_name, ...payload });
+  const { token, ...storedPayload } = payload || {};
+
+  const { data, error } = await supabase
+    .from('notification_outbox')
+    .insert([{
+      user_id: user.id,
+      type,
+      to_email: user.email,
+      subject: rendered.subject,
+      text_body: rendered.text,
+      html_body: rendered.html,
+      summary: rendered.summary,
+      payload: TOKEN_TYPES.includes(type) ? storedPayload : payload,
+      status: delivery === 'daily' ? 'held' : 'pending',
+      dedupe_key: dedupeKey,
+      next_attempt_at: new Date().toISOString()
+    }])
+    .select();
+
+  if (error && error.code === '23505') return null;
+  if (error) throw error;
+
+  if (delivery === 'immediate') scheduleOutboxRun();
+  return data[0];
+}
+
+// Notify a user by ID. Notifications are a side effect of other actions, so
+// failures are logged rather than thrown.
+async function notifyUser(userId, type, payload, options) {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('id, email, full_name, notification_preferences')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return null;
+
+    return await queueNotification(user, type, payload, options);
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return null;
+  }
+}
+
+async function profileUserId(table, profileId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('user_id')
+    .eq('id', profileId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.user_id : null;
+}
+
+async function notifySeeker(seekerId, type, payload, options) {
+  try {
+    const userId = await profileUserId('job_seekers', seekerId);
+    return userId ? await notifyUser(userId, type, payload, options) : null;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return null;
+  }
+}
+
+async function notifyEmployer(employerId, type, payload, options) {
+  try {
+    const userId = await profileUserId('employers', employerId);
+    return userId ? await notifyUser(userId, type, payload, options) : null;
+  } catch (error) {
+    console.error(`Notification error (${type}):`, error);
+    return null;
+  }
+}
+
+// Tell both sides about a freshly scored match at or above the threshold. job is a
+// job_listings row, seeker a job_seekers row, match the stored result.
+async function notifyStrongMatch(job, seeker, match) {
+  if (match.analysisStatus !== 'completed' || match.matchScore < STRONG_MATCH_THRESHOLD) return;
+
+  try {
+    const { data: employer } = await supabase
+      .from('employers')
+      .select('company_name')
+      .eq('id', job.employer_id)
+      .maybeSingle();
+
+    const { data: seekerUser } = await supabase
+      .from('users')
+      .select('full_name')
+      .eq('id', seeker.user_id)
+      .maybeSingle();
+
+    const payload = {
+      jobId: job.id,
+      jobTitle: job.title,
+      company: employer ? employer.company_name : null,
+      // Blind-screening candidates stay anonymous to the employer until shortlisted
+      candidateName: isIdentityHidden(job, { status: match.status, identity_revealed_at: match.identityRevealedAt })
+        ? candidatePseudonym(job.id, seeker.id)
+        : seekerUser ? seekerUser.full_name : null,
+      matchScore: match.matchScore,
+      matchId: match.matchId
+    };
+
+    await notifyUser(seeker.user_id, 'strong_match', { ...payload, audience: 'seeker' }, {
+      dedupeKey: `strong_match:${match.matchId}:seeker`
+    });
+    await notifyEmployer(job.employer_id, 'strong_match', { ...payload, audience: 'employer' }, {
+      dedupeKey: `strong_match:${match.matchId}:employer`
+    });
+  } catch (error) {
+    console.error('Notification error (strong_match):', error);
+  }
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+async function sendOutboxRow(row) {
+  const now = new Date();
+
+  // Claim the row so a second worker can't send it too
+  const { data: claimed, error: claimError } = await supabase
+    .from('notification_outbox')
+    .update({ status: 'sending', locked_at: now.toISOString() })
+    .eq('id', row.id)
+    .eq('status', 'pending')
+    .select();
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+
+  const attempts = (row.attempts || 0) + 1;
+  let update;
+
+  try {
+    const messageId = await sendEmail({
+      to: row.to_email,
+      subject: row.subject,
+      text: row.text_body,
+      html: row.html_body
+    });
+    update = { status: 'sent', sent_at: new Date().toISOString(), provider_message_id: messageId || null, last_error: null };
+  } catch (sendError) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    update = {
+      status: failed ? 'failed' : 'pending',
+      last_error: sendError.message,
+      next_attempt_at: failed ? row.next_attempt_at : new Date(Date.now() + retryDelay(attempts)).toISOString()
+    };
+  }
+
+  if (TOKEN_TYPES.includes(row.type) && update.status !== 'pending') {
+    update = { ...update, text_body: REMOVED_BODY, html_body: null };
+  }
+
+  const { error } = await supabase
+    .from('notification_outbox')
+    .update({ ...update, attempts, locked_at: null })
+    .eq('id', row.id);
+
+  if (error) throw error;
+  return update.status;
+}
+
+// Send due outbox rows. Returns counts by outcome.
+async function processOutbox({ limit = BATCH_SIZE } = {}) {
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  if (outboxRunning) return counts;
+  outboxRunning = true;
+
+  try {
+    // Rows left 'sending' by a crashed worker go back in the queue
+    const { error: staleError } = await supabase
+      .from('notification_outbox')
+      .update({ status: 'pending', locked_at: null })
+      .eq('status', 'sending')
+      .lt('locked_at', new Date(Date.now() - STALE_LOCK_MS).toISOString());
+
+    if (staleError) throw staleError;
+
+    const { data: due, error } = await supabase
+      .from('notification_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    for (const row of due) {
+      const status = await sendOutboxRow(row);
+      if (status === 'sent') counts.sent++;
+      else if (status === 'pending') counts.retrying++;
+      else if (status === 'failed') counts.failed++;
+    }
+
+    return counts;
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+// Bundle each user's held notifications into one digest email
+async function sendDailyDigests() {
+  const { data: held, error } = await supabase
+    .from('notification_outbox')
+    .select('id, user_id, summary, created_at')
+    .eq('status', 'held')
+    .order('created_at', { ascending: true })
+    .limit(5000);
+
+  if (error) throw error;
+
+  const byUser = new Map();
+  held.forEach(row => {
+    if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+    byUser.get(row.user_id).push(row);
+  });
+
+  let digests = 0;
+
+  for (const [userId, rows] of byUser) {
+    try {
+      const { data: user, error: userError } = await supabase
+        .from('users')
+        .select('id, email, full_name')
+        .eq('id', userId)
+        .single();
+
+      if (userError) throw userError;
+
+      // Claim the held rows under the digest's ID before writing the digest itself
+      const digestId = crypto.randomUUID();
+      const { data: claimed, error: claimError } = await supabase
+        .from('notification_outbox')
+        .update({ status: 'digested', digest_id: digestId })
+        .in('id', rows.map(row => row.id))
+        .eq('status', 'held')
+        .select('id, summary, created_at');
+
+      if (claimError) throw claimError;
+      if (!claimed || claimed.length === 0) continue;
+
+      claimed.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      const rendered = renderTemplate('digest', {
+        name: user.full_name,
+        items: claimed.map(row => row.summary)
+      });
+
+      const { error: insertError } = await supabase
+        .from('notification_outbox')
+        .insert([{
+          id: digestId,
+          user_id: user.id,
+          type: 'digest',
+          to_email: user.email,
+          subject: rendered.subject,
+          text_body: rendered.text,
+          html_body: rendered.html,
+          summary: rendered.summary,
+          payload: { itemCount: claimed.length },
+          status: 'pending',
+          next_attempt_at: new Date().toISOString()
+        }]);
+
+      if (insertError) {
+        await supabase
+          .from('notification_outbox')
+          .update({ status: 'held', digest_id: null })
+          .eq('digest_id', digestId);
+        throw insertError;
+      }
+
+      digests++;
+    } catch (digestError) {
+      console.error(`Digest error for user ${userId}:`, digestError);
+    }
+  }
+
+  if (digests > 0) scheduleOutboxRun();
+  return { digests, users: byUser.size };
+}
+
+function runOutbox() {
+  outboxTimer = null;
+  processOutbox().catch(error => console.error('Notification outbox error:', error));
+}
+
+// Send soon after something was queued, rather than waiting for the next interval
+function scheduleOutboxRun() {
+  if (!workerStarted || outboxTimer) return;
+  outboxTimer = setTimeout(runOutbox, 1000);
+  outboxTimer.unref();
+}
+
+// Background sender: the outbox every OUTBOX_INTERVAL_MS, digests once a day at
+// DIGEST_HOUR_UTC
+function startNotificationWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+
+  setInterval(runOutbox, OUTBOX_INTERVAL_MS).unref();
+
+  setInterval(() => {
+    const now = new Date();
+    const today = now.toISOString().slice(0, 10);
+    if (now.getUTCHours() !== DIGEST_HOUR_UTC || lastDigestDay === today) return;
+
+    lastDigestDay = today;
+    sendDailyDigests().catch(error => console.error('Daily digest error:', error));
+  }, 10 * 60 * 1000).unref();
+}
+
+// Recent outbox rows, for the admin view
+async function listOutbox({ status = null, limit = 100 } = {}) {
+  let query = supabase
+    .from('notification_outbox')
+    .select('id, user_id, type, to_email, subject, status, attempts, last_error, next_attempt_at, sent_at, created_at')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 100, 500));
+
+  if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  DELIVERY_OPTIONS,
+  NotificationError,
+  getPreferences,
+  updatePreferences,
+  notifyUser,
+  notifySeeker,
+  notifyEmployer,
+  notifyStrongMatch,
+  processOutbox,
+  sendDailyDigests,
+  startNotificationWorker,
+  listOutbox
+};
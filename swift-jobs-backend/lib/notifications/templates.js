@@ -0,0 +1,157 @@
+// Email templates. Each one turns a notification payload into { subject, text, html,
+// summary }; summary is the one-line version used in the daily digest.
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function percent(score) {
+  return `${Math.round(Number(score) * 100)}%`;
+}
+
+// Shared layout: a greeting, paragraphs and an optional call to action
+function layout({ name, paragraphs, action }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const text = [greeting, '', ...paragraphs.flatMap(p => [p, ''])];
+  if (action) text.push(`${action.label}: ${APP_URL}${action.path}`, '');
+  text.push('— Swift Jobs', '', `Manage your email preferences: ${APP_URL}/settings/notifications`);
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`),
+    action ? `<p><a href="${escapeHtml(APP_URL + action.path)}">${escapeHtml(action.label)}</a></p>` : '',
+    '<p>— Swift Jobs</p>',
+    `<p style="font-size:12px;color:#666"><a href="${escapeHtml(APP_URL)}/settings/notifications">Manage your email preferences</a></p>`
+  ].join('\n');
+
+  return { text: text.join('\n'), html };
+}
+
+const TEMPLATES = {
+  welcome: ({ name, userType }) => ({
+    subject: 'Welcome to Swift Jobs',
+    summary: 'Welcome to Swift Jobs',
+    ...layout({
+      name,
+      paragraphs: userType === 'employer'
+        ? ['Your employer account is ready. Post a job and we will start matching candidates to it right away.']
+        : ['Your profile is ready. We are matching it against open jobs and will let you know when a strong match comes in.'],
+      action: { label: userType === 'employer' ? 'Post your first job' : 'See your matches', path: '/dashboard' }
+    })
+  }),
+
+  verify_email: ({ name, token, expiresAt }) => ({
+    subject: 'Confirm your email address',
+    summary: 'Confirm your email address',
+    ...layout({
+      name,
+      paragraphs: [
+        'Please confirm your email address to finish setting up your Swift Jobs account.',
+        `This link can be used once and expires at ${expiresAt}.`
+      ],
+      action: { label: 'Confirm email', path: `/verify-email?token=${token}` }
+    })
+  }),
+
+  password_reset: ({ name, token, expiresAt }) => ({
+    subject: 'Reset your Swift Jobs password',
+    summary: 'Password reset',
+    ...layout({
+      name,
+      paragraphs: [
+        'Someone asked to reset the password for your account. If it was you, use the link below to choose a new one.',
+        `The link can be used once and expires at ${expiresAt}. If you didn't ask for this, you can ignore this email.`
+      ],
+      action: { label: 'Reset password', path: `/reset-password?token=${token}` }
+    })
+  }),
+
+  // audience 'seeker': a job that fits them; 'employer': a candidate for their job
+  strong_match: ({ name, audience, jobTitle, company, candidateName, matchScore, matchId }) => {
+    const score = percent(matchScore);
+    const seeker = audience === 'seeker';
+    return {
+      subject: seeker
+        ? `New ${score} match: ${jobTitle}${company ? ` at ${company}` : ''}`
+        : `New ${score} candidate for ${jobTitle}`,
+      summary: seeker
+        ? `${score} match: ${jobTitle}${company ? ` at ${company}` : ''}`
+        : `${score} candidate${candidateName ? ` ${candidateName}` : ''} for ${jobTitle}`,
+      ...layout({
+        name,
+        paragraphs: seeker
+          ? [`${jobTitle}${company ? ` at ${company}` : ''} is a strong match for your profile (${score}).`]
+          : [`${candidateName || 'A candidate'} is a strong match for your ${jobTitle} listing (${score}).`],
+        action: { label: 'View the match', path: `/matches/${matchId}` }
+      })
+    };
+  },
+
+  shortlisted: ({ name, jobTitle, company, matchId }) => ({
+    subject: `You've been shortlisted for ${jobTitle}`,
+    summary: `Shortlisted for ${jobTitle}${company ? ` at ${company}` : ''}`,
+    ...layout({
+      name,
+      paragraphs: [
+        `${company || 'The employer'} has shortlisted you for ${jobTitle}.`,
+        'They can now message you directly, and may invite you to an interview.'
+      ],
+      action: { label: 'View the match', path: `/matches/${matchId}` }
+    })
+  }),
+
+  interview_invite: ({ name, jobTitle, company, note, interviewId }) => ({
+    subject: `Interview invitation: ${jobTitle}${company ? ` at ${company}` : ''}`,
+    summary: `Interview invitation for ${jobTitle}`,
+    ...layout({
+      name,
+      paragraphs: [
+        `${company || 'The employer'} would like to interview you for ${jobTitle}. Pick a time that suits you from their available slots.`,
+        ...(note ? [note] : [])
+      ],
+      action: { label: 'Choose a time', path: `/interviews/${interviewId}` }
+    })
+  }),
+
+  message_received: ({ name, senderName, jobTitle, preview, threadId }) => ({
+    subject: `New message from ${senderName || 'Swift Jobs'} about ${jobTitle}`,
+    summary: `New message from ${senderName || 'a contact'} about ${jobTitle}`,
+    ...layout({
+      name,
+      paragraphs: [
+        `${senderName || 'Someone'} sent you a message about ${jobTitle}:`,
+        preview || '(attachment)'
+      ],
+      action: { label: 'Reply', path: `/messages/${threadId}` }
+    })
+  }),
+
+  // items: summaries of the notifications held for the digest
+  digest: ({ name, items }) => ({
+    subject: `Your Swift Jobs daily digest (${items.length} update${items.length === 1 ? '' : 's'})`,
+    summary: 'Daily digest',
+    ...layout({
+      name,
+      paragraphs: ['Here is what happened since your last digest:', items.map(item => `• ${item}`).join('\n')],
+      action: { label: 'Open Swift Jobs', path: '/dashboard' }
+    })
+  })
+};
+
+function renderTemplate(type, payload) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification template '${type}'`);
+  }
+  return template(payload);
+}
+
+module.exports = {
+  renderTemplate
+};
@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+// Mail transport, chosen with EMAIL_TRANSPORT:
+//   'smtp' (default)  SMTP_HOST/SMTP_PORT, defaulting to a local catcher such as
+//                     Mailpit or MailHog on localhost:1025; SMTP_USER/SMTP_PASS
+//                     and SMTP_SECURE for a real server
+//   'log'             nothing is sent; each message is written to the console
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Swift Jobs <no-reply@swift-jobs.local>';
+
+const TRANSPORT_FACTORIES = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  }),
+  log: () => nodemailer.createTransport({ jsonTransport: true })
+};
+
+let transport = null;
+let transportName = null;
+
+function getTransport() {
+  if (!transport) {
+    transportName = (process.env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+    const factory = TRANSPORT_FACTORIES[transportName];
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT '${transportName}'. Use one of: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// Send one email ({ to, subject, text, html }); resolves with the transport's message ID
+async function sendEmail({ to, subject, text, html }) {
+  const info = await getTransport().sendMail({ from: EMAIL_FROM, to, subject, text, html });
+
+  if (transportName === 'log') {
+    console.log(`Email to ${to}: ${subject}`);
+  }
+  return info.messageId;
+}
+
+module.exports = {
+  sendEmail
+};
@@ -0,0 +1,37 @@
+// In-memory fixed-window rate limiter middleware, keyed by client IP by default.
+// Counts live in this process only, which is enough to slow down scripted abuse
+// of a single instance; per-account limits that must hold across instances are
+// checked against the database instead (see accountTokens.canIssueToken).
+function rateLimit({ windowMs, max, keyGenerator = req => req.ip, message = 'Too many requests, please try again later' }) {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, error: message });
+    }
+
+    next();
+  };
+}
+
+module.exports = rateLimit;
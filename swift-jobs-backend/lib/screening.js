@@ -0,0 +1,335 @@
+const supabase = require('./supabase');
+const { canTransition, transitionMatch, MatchTransitionError } = require('./matchWorkflow');
+
+// Screening questionnaires. An employer attaches questions to a job listing:
+//   free_text        open answer, fed into the match prompt for behavioral fit
+//   multiple_choice  one of the listed options
+//   knockout         one of the listed options (Yes/No by default); any answer
+//                    outside requiredAnswer rejects the match automatically
+// Seekers answer when applying or once matched. Each question is answered once, so
+// a knockout can't be retried. Saving a new questionnaire archives the old
+// questions; their answers are kept but no longer count.
+const QUESTION_TYPES = ['free_text', 'multiple_choice', 'knockout'];
+const MAX_QUESTIONS = 20;
+const MAX_PROMPT_LENGTH = 500;
+const MAX_OPTIONS = 20;
+const MAX_ANSWER_LENGTH = 2000;
+const DEFAULT_KNOCKOUT_OPTIONS = ['Yes', 'No'];
+
+class ScreeningError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = 'ScreeningError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function normalizeOptions(options, label) {
+  if (!Array.isArray(options)) {
+    throw new ScreeningError(`${label}: options must be an array`);
+  }
+  const normalized = [...new Set(options.map(option => String(option).trim()).filter(Boolean))];
+  if (normalized.length < 2 || normalized.length > MAX_OPTIONS) {
+    throw new ScreeningError(`${label}: give between 2 and ${MAX_OPTIONS} distinct options`);
+  }
+  return normalized;
+}
+
+// Validate questionnaire input into screening_questions rows (without job or IDs)
+function normalizeQuestions(input) {
+  if (!Array.isArray(input)) {
+    throw new ScreeningError('questions must be an array');
+  }
+  if (input.length > MAX_QUESTIONS) {
+    throw new ScreeningError(`A questionnaire can have at most ${MAX_QUESTIONS} questions`);
+  }
+
+  return input.map((question, idx) => {
+    const label = `Question ${idx + 1}`;
+    if (!question || typeof question !== 'object') {
+      throw new ScreeningError(`${label} must be an object`);
+    }
+
+    const type = question.type || 'free_text';
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new ScreeningError(`${label}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+
+    const prompt = String(question.prompt || '').trim();
+    if (!prompt) {
+      throw new ScreeningError(`${label}: prompt is required`);
+    }
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+      throw new ScreeningError(`${label}: prompt cannot be longer than ${MAX_PROMPT_LENGTH} characters`);
+    }
+
+    let options = null;
+    let acceptedAnswers = null;
+
+    if (type === 'multiple_choice') {
+      options = normalizeOptions(question.options, label);
+    }
+
+    if (type === 'knockout') {
+      options = question.options === undefined ? DEFAULT_KNOCKOUT_OPTIONS : normalizeOptions(question.options, label);
+      const required = [].concat(question.requiredAnswer === undefined ? [] : question.requiredAnswer).map(String);
+      acceptedAnswers = options.filter(option => required.some(answer => answer.toLowerCase() === option.toLowerCase()));
+      if (acceptedAnswers.length === 0 || acceptedAnswers.length !== required.length) {
+        throw new ScreeningError(`${label}: requiredAnswer must be one or more of the options (${options.join(', ')})`);
+      }
+      if (acceptedAnswers.length === options.length) {
+        throw new ScreeningError(`${label}: at least one option must disqualify`);
+      }
+    }
+
+    return {
+      position: idx + 1,
+      type,
+      prompt,
+      options,
+      accepted_answers: acceptedAnswers,
+      // Knockouts only work if they are answered
+      required: type === 'knockout' ? true : question.required !== false
+    };
+  });
+}
+
+async function getQuestionnaire(jobId) {
+  const { data, error } = await supabase
+    .from('screening_questions')
+    .select('*')
+    .eq('job_listing_id', jobId)
+    .is('archived_at', null)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+// Replace a job's questionnaire; an empty list removes it
+async function replaceQuestionnaire(jobId, input) {
+  const questions = normalizeQuestions(input);
+
+  const { error: archiveError } = await supabase
+    .from('screening_questions')
+    .update({ archived_at: new Date().toISOString() })
+    .eq('job_listing_id', jobId)
+    .is('archived_at', null);
+
+  if (archiveError) throw archiveError;
+  if (questions.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('screening_questions')
+    .insert(questions.map(question => ({ ...question, job_listing_id: jobId })))
+    .select();
+
+  if (error) throw error;
+  return data.sort((a, b) => a.position - b.position);
+}
+
+// API shape of a question. The knockout answer key is only shown to the employer.
+function describeQuestion(question, { includeAnswerKey = false } = {}) {
+  return {
+    questionId: question.id,
+    position: question.position,
+    type: question.type,
+    prompt: question.prompt,
+    options: question.options,
+    required: question.required,
+    ...(includeAnswerKey && question.type === 'knockout' ? { requiredAnswer: question.accepted_answers } : {})
+  };
+}
+
+// A seeker's answers to a job's current questions
+async function listAnswers(jobId, seekerId) {
+  const { data, error } = await supabase
+    .from('screening_answers')
+    .select('*, screening_questions!inner(id, position, type, prompt, archived_at)')
+    .eq('job_listing_id', jobId)
+    .eq('job_seeker_id', seekerId)
+    .is('screening_questions.archived_at', null);
+
+  if (error) throw error;
+  return data.sort((a, b) => a.screening_questions.position - b.screening_questions.position);
+}
+
+// API shape of an answer; passed is only shown to the employer
+function describeAnswer(answer, { includeResult = false, redact = null } = {}) {
+  const question = answer.screening_questions || {};
+  return {
+    questionId: answer.question_id,
+    position: question.position,
+    type: question.type,
+    prompt: question.prompt,
+    answer: redact && question.type === 'free_text' ? redact(answer.answer) : answer.answer,
+    answeredAt: answer.answered_at,
+    ...(includeResult && question.type === 'knockout' ? { passed: answer.passed } : {})
+  };
+}
+
+// Accepts [{ questionId, answer }] or { [questionId]: answer }
+function answersById(input) {
+  if (input === undefined || input === null) return new Map();
+  if (Array.isArray(input)) {
+    return new Map(input.filter(item => item && item.questionId).map(item => [String(item.questionId), item.answer]));
+  }
+  if (typeof input === 'object') {
+    return new Map(Object.entries(input));
+  }
+  throw new ScreeningError('screeningAnswers must be an array of { questionId, answer }');
+}
+
+function normalizeAnswer(question, value) {
+  const label = `Question ${question.position}`;
+
+  if (question.type === 'free_text') {
+    const text = String(value).trim();
+    if (text.length > MAX_ANSWER_LENGTH) {
+      throw new ScreeningError(`${label}: answer cannot be longer than ${MAX_ANSWER_LENGTH} characters`);
+    }
+    return { answer: text, passed: null };
+  }
+
+  const choice = question.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+  if (!choice) {
+    throw new ScreeningError(`${label}: answer must be one of ${question.options.join(', ')}`);
+  }
+
+  return {
+    answer: choice,
+    passed: question.type === 'knockout' ? question.accepted_answers.includes(choice) : null
+  };
+}
+
+// Check a seeker's answers to the questions they haven't answered yet. Throws when a
+// required one is missing or an answer is invalid; answers to questions already
+// answered are ignored. Returns { questions, rows } for saveScreeningAnswers.
+async function prepareScreeningAnswers(jobId, seekerId, input) {
+  const questions = await getQuestionnaire(jobId);
+  if (questions.length === 0) return { questions, rows: [] };
+
+  const given = answersById(input);
+  const answered = new Set((await listAnswers(jobId, seekerId)).map(answer => String(answer.question_id)));
+  const rows = [];
+  const missing = [];
+
+  questions
+    .filter(question => !answered.has(String(question.id)))
+    .forEach(question => {
+      const value = given.get(String(question.id));
+      if (value === undefined || value === null || String(value).trim() === '') {
+        if (question.required) missing.push(question.id);
+        return;
+      }
+      rows.push({
+        question_id: question.id,
+        job_listing_id: jobId,
+        job_seeker_id: seekerId,
+        ...normalizeAnswer(question, value)
+      });
+    });
+
+  if (missing.length > 0) {
+    throw new ScreeningError('Please answer all required screening questions', 400, { missingQuestionIds: missing });
+  }
+
+  return { questions, rows };
+}
+
+// Reject a match that failed a knockout, unless it has already reached a final status
+async function disqualifyMatch(match, failedQuestions) {
+  if (!canTransition(match.status || 'pending', 'rejected')) return false;
+
+  try {
+    await transitionMatch(match.id, 'rejected', {
+      note: `Disqualified by screening: ${failedQuestions.map(question => question.prompt).join('; ')}`
+    });
+    return true;
+  } catch (error) {
+    if (!(error instanceof MatchTransitionError)) throw error;
+    console.warn(`Could not disqualify match ${match.id}:`, error.message);
+    return false;
+  }
+}
+
+// Store prepared answers against a match, then update its screening status
+// ('incomplete', 'passed' or 'disqualified') and reject it when a knockout failed.
+// Returns { status, disqualified, failedQuestionIds }.
+async function saveScreeningAnswers({ questions, rows }, match) {
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from('screening_answers')
+      .insert(rows.map(row => ({ ...row, match_id: match.id })));
+
+    // Unique (question_id, job_seeker_id): answered concurrently
+    if (error && error.code === '23505') {
+      throw new ScreeningError('These screening questions have already been answered', 409);
+    }
+    if (error) throw error;
+  }
+
+  const answers = await listAnswers(match.job_listing_id, match.job_seeker_id);
+  const failed = questions.filter(question => answers.some(answer =>
+    String(answer.question_id) === String(question.id) && answer.passed === false
+  ));
+  const complete = questions
+    .filter(question => question.required)
+    .every(question => answers.some(answer => String(answer.question_id) === String(question.id)));
+
+  const status = failed.length > 0 ? 'disqualified' : complete ? 'passed' : 'incomplete';
+
+  const { error: statusError } = await supabase
+    .from('matches')
+    .update({ screening_status: status, screening_updated_at: new Date().toISOString() })
+    .eq('id', match.id);
+
+  if (statusError) throw statusError;
+
+  const disqualified = failed.length > 0 ? await disqualifyMatch(match, failed) : false;
+
+  return { status, disqualified, failedQuestionIds: failed.map(question => question.id) };
+}
+
+// Free-text answers to current questions, for match scoring: Map of
+// 'jobId:seekerId' → [{ question, answer }] in question order. Filter by jobId,
+// seekerId and/or jobIds.
+async function loadFreeTextAnswers({ jobId = null, seekerId = null, jobIds = null } = {}) {
+  let query = supabase
+    .from('screening_answers')
+    .select('job_listing_id, job_seeker_id, answer, screening_questions!inner(position, type, prompt, archived_at)')
+    .eq('screening_questions.type', 'free_text')
+    .is('screening_questions.archived_at', null);
+
+  if (jobId) query = query.eq('job_listing_id', jobId);
+  if (seekerId) query = query.eq('job_seeker_id', seekerId);
+  if (jobIds) query = query.in('job_listing_id', jobIds);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byPair = new Map();
+  data
+    .sort((a, b) => a.screening_questions.position - b.screening_questions.position)
+    .forEach(row => {
+      const key = `${row.job_listing_id}:${row.job_seeker_id}`;
+      if (!byPair.has(key)) byPair.set(key, []);
+      byPair.get(key).push({ question: row.screening_questions.prompt, answer: row.answer });
+    });
+
+  return byPair;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  ScreeningError,
+  getQuestionnaire,
+  replaceQuestionnaire,
+  describeQuestion,
+  listAnswers,
+  describeAnswer,
+  prepareScreeningAnswers,
+  saveScreeningAnswers,
+  loadFreeTextAnswers
+};
@@ -0,0 +1,285 @@
+const supabase = require('./supabase');
+const { signedFileUrl } = require('./fileAccess');
+const { normalizeSkills, seekerSkillColumns, storedSkills } = require('./skillTaxonomy');
+const { describePromptRisk } = require('./promptSafety');
+
+// Seeker profiles are built from two layers: the AI extraction of the current resume
+// version (kept per version in resume_versions, so earlier uploads can be viewed or
+// restored) and the seeker's manual overrides in job_seekers.profile_overrides:
+//   addedSkills      skill names added on top of the extracted ones
+//   removedSkillIds  canonical IDs of extracted skills the seeker removed
+//   preferredRoles   replaces the extracted preferred roles when set
+//   experienceYears  replaces the extracted years of experience when set
+// The effective values are written to job_seekers.skills / skill_ids / preferred_roles
+// / experience_years, which is what matching reads; a change there changes the
+// match input hash, so stale scores are recomputed.
+const OVERRIDE_FIELDS = ['addedSkills', 'removedSkillIds', 'preferredRoles', 'experienceYears'];
+
+class SeekerProfileError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SeekerProfileError';
+    this.statusCode = statusCode;
+  }
+}
+
+function uniqueById(skills) {
+  return skills.filter((skill, idx, all) => all.findIndex(other => other.id === skill.id) === idx);
+}
+
+// The extracted layer of a resume_versions row (or, for profiles stored before
+// versioning, of the job_seekers row itself)
+function extractedProfile(source) {
+  return {
+    skills: storedSkills({ ids: source.skill_ids, unknown: source.unknown_skills, names: source.skills }),
+    preferredRoles: source.preferred_roles || [],
+    experienceYears: source.experience_years === undefined ? null : source.experience_years
+  };
+}
+
+function applyOverrides(extracted, overrides = {}) {
+  const removed = new Set(overrides.removedSkillIds || []);
+  const skills = uniqueById([
+    ...extracted.skills.filter(skill => !removed.has(skill.id)),
+    ...normalizeSkills(overrides.addedSkills)
+  ]);
+
+  return {
+    skills,
+    preferredRoles: Array.isArray(overrides.preferredRoles) ? overrides.preferredRoles : extracted.preferredRoles,
+    experienceYears: overrides.experienceYears !== undefined && overrides.experienceYears !== null
+      ? overrides.experienceYears
+      : extracted.experienceYears
+  };
+}
+
+// job_seekers columns for a resume version with the seeker's overrides applied
+function profileColumns(version, overrides) {
+  const effective = applyOverrides(extractedProfile(version), overrides);
+
+  return {
+    ...seekerSkillColumns(effective.skills),
+    preferred_roles: effective.preferredRoles,
+    experience_years: effective.experienceYears,
+    behavioral_traits: version.behavioral_traits,
+    resume_text: version.resume_text,
+    resume_url: version.resume_url,
+    analysis_status: version.analysis_status,
+    analysis_error: version.analysis_error,
+    prompt_risk: version.prompt_risk || null,
+    current_resume_version_id: version.id
+  };
+}
+
+async function getCurrentVersion(seeker) {
+  if (!seeker.current_resume_version_id) return null;
+
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .select('*')
+    .eq('id', seeker.current_resume_version_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getSeeker(seekerId) {
+  const { data, error } = await supabase
+    .from('job_seekers')
+    .select('*, users(email, full_name)')
+    .eq('id', seekerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new SeekerProfileError('Job seeker not found', 404);
+  return data;
+}
+
+// Store a resume upload and its analysis as the seeker's next version
+async function createResumeVersion(seekerId, {
+  resumeUrl,
+  originalFilename,
+  resumeText,
+  behavioralAnswers,
+  analysis,
+  skills,
+  analysisError,
+  promptRisk = null
+}) {
+  const { data: latest, error: latestError } = await supabase
+    .from('resume_versions')
+    .select('version_number')
+    .eq('job_seeker_id', seekerId)
+    .order('version_number', { ascending: false })
+    .limit(1);
+
+  if (latestError) throw latestError;
+
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .insert([{
+      job_seeker_id: seekerId,
+      version_number: latest.length > 0 ? latest[0].version_number + 1 : 1,
+      resume_url: resumeUrl,
+      original_filename: originalFilename,
+      resume_text: resumeText,
+      behavioral_answers: behavioralAnswers,
+      analysis,
+      ...seekerSkillColumns(skills),
+      experience_years: analysis.experience_years,
+      preferred_roles: analysis.preferred_roles,
+      behavioral_traits: analysis.behavioral_traits,
+      analysis_status: analysisError ? 'failed' : 'completed',
+      analysis_error: analysisError,
+      prompt_risk: promptRisk
+    }])
+    .select();
+
+  if (error) throw error;
+  return data[0];
+}
+
+// Make a stored version the seeker's current resume (new upload or rollback)
+async function setCurrentResumeVersion(seeker, version) {
+  const { data, error } = await supabase
+    .from('job_seekers')
+    .update(profileColumns(version, seeker.profile_overrides || {}))
+    .eq('id', seeker.id)
+    .select('*, users(email, full_name)');
+
+  if (error) throw error;
+  return data[0];
+}
+
+async function listResumeVersions(seekerId) {
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .select('id, version_number, resume_url, original_filename, skills, experience_years, preferred_roles, analysis_status, analysis_error, prompt_risk, created_at')
+    .eq('job_seeker_id', seekerId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+async function getResumeVersion(seekerId, versionId) {
+  const { data, error } = await supabase
+    .from('resume_versions')
+    .select('*')
+    .eq('id', versionId)
+    .eq('job_seeker_id', seekerId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new SeekerProfileError('Resume version not found', 404);
+  return data;
+}
+
+// Validate and merge override changes. A field set to null clears that override.
+function mergeOverrides(current, changes) {
+  const merged = { ...current };
+
+  if (changes.addedSkills !== undefined) {
+    if (changes.addedSkills !== null && !Array.isArray(changes.addedSkills)) {
+      throw new SeekerProfileError('addedSkills must be an array of skill names');
+    }
+    merged.addedSkills = changes.addedSkills || [];
+  }
+
+  if (changes.removedSkills !== undefined) {
+    if (changes.removedSkills !== null && !Array.isArray(changes.removedSkills)) {
+      throw new SeekerProfileError('removedSkills must be an array of skill names or IDs');
+    }
+    merged.removedSkillIds = normalizeSkills(changes.removedSkills || []).map(skill => skill.id);
+  }
+
+  if (changes.preferredRoles !== undefined) {
+    if (changes.preferredRoles !== null && !Array.isArray(changes.preferredRoles)) {
+      throw new SeekerProfileError('preferredRoles must be an array');
+    }
+    merged.preferredRoles = changes.preferredRoles
+      ? changes.preferredRoles.map(role => String(role).trim()).filter(Boolean)
+      : null;
+  }
+
+  if (changes.experienceYears !== undefined) {
+    const years = changes.experienceYears === null ? null : Number(changes.experienceYears);
+    if (years !== null && (!Number.isInteger(years) || years < 0 || years > 60)) {
+      throw new SeekerProfileError('experienceYears must be a whole number between 0 and 60');
+    }
+    merged.experienceYears = years;
+  }
+
+  // Drop cleared overrides (an empty preferredRoles list is a real override)
+  OVERRIDE_FIELDS.forEach(field => {
+    if (merged[field] === null) delete merged[field];
+  });
+  if (merged.addedSkills && merged.addedSkills.length === 0) delete merged.addedSkills;
+  if (merged.removedSkillIds && merged.removedSkillIds.length === 0) delete merged.removedSkillIds;
+
+  return merged;
+}
+
+// Apply manual overrides on top of the current resume version's extraction
+async function updateProfileOverrides(seeker, changes) {
+  const overrides = mergeOverrides(seeker.profile_overrides || {}, changes);
+  const version = (await getCurrentVersion(seeker)) || { ...seeker, id: null };
+  const columns = profileColumns(version, overrides);
+
+  const { data, error } = await supabase
+    .from('job_seekers')
+    .update({
+      skills: columns.skills,
+      skill_ids: columns.skill_ids,
+      unknown_skills: columns.unknown_skills,
+      preferred_roles: columns.preferred_roles,
+      experience_years: columns.experience_years,
+      profile_overrides: overrides
+    })
+    .eq('id', seeker.id)
+    .select('*, users(email, full_name)');
+
+  if (error) throw error;
+  return data[0];
+}
+
+// API shape of a seeker profile: effective values, the extracted layer and the overrides.
+// The resume URL is a signed link issued to viewerId.
+async function describeSeekerProfile(seeker, { viewerId = null } = {}) {
+  const version = await getCurrentVersion(seeker);
+  const extracted = extractedProfile(version || seeker);
+
+  return {
+    seekerId: seeker.id,
+    userId: seeker.user_id,
+    name: seeker.users ? seeker.users.full_name : null,
+    email: seeker.users ? seeker.users.email : null,
+    isLooking: seeker.is_active,
+    resumeUrl: signedFileUrl(seeker.resume_url, viewerId),
+    currentResumeVersion: version
+      ? { id: version.id, versionNumber: version.version_number, createdAt: version.created_at }
+      : null,
+    skills: applyOverrides(extracted, seeker.profile_overrides || {}).skills,
+    preferredRoles: seeker.preferred_roles,
+    experienceYears: seeker.experience_years,
+    behavioralTraits: seeker.behavioral_traits,
+    analysisStatus: seeker.analysis_status,
+    analysisError: seeker.analysis_error,
+    promptRisk: describePromptRisk(seeker.prompt_risk),
+    preferences: seeker.match_preferences || {},
+    extracted,
+    overrides: seeker.profile_overrides || {}
+  };
+}
+
+module.exports = {
+  SeekerProfileError,
+  getSeeker,
+  createResumeVersion,
+  setCurrentResumeVersion,
+  listResumeVersions,
+  getResumeVersion,
+  updateProfileOverrides,
+  describeSeekerProfile
+};
@@ -0,0 +1,219 @@
+const { storedSkills, getSkill, getAncestorIds } = require('./skillTaxonomy');
+const { EXPERIENCE_RANGES, computeLocalScore } = require('./localScoring');
+
+// Per-match breakdown of how a seeker lines up against a job: which required skills
+// are matched (with resume evidence), which are missing, extra related skills,
+// experience delta and a trait-by-trait behavioral comparison.
+
+const MAX_SNIPPETS_PER_SKILL = 3;
+const SNIPPET_RADIUS = 60;
+const TRAIT_LEVEL_VALUES = { low: 0, medium: 1, high: 2 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every match of pattern in text as { index, length }, where the mention itself is
+// the pattern's second group (the first is the boundary before it)
+function collectMatches(text, pattern) {
+  const matches = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    matches.push({ index: match.index + match[1].length, length: match[2].length });
+  }
+  return matches;
+}
+
+// Positions of the skill's terms in the text. Longer terms match in any case;
+// one-letter skills (C, R) only as a capitalized token of their own, so "a r" or
+// "R&D" and "C-level" aren't evidence of them.
+function findMentions(text, terms) {
+  const words = terms.filter(term => term.length > 1).sort((a, b) => b.length - a.length);
+  const letters = terms.filter(term => term.length === 1).map(term => term.toUpperCase());
+
+  const mentions = [];
+  if (words.length > 0) {
+    mentions.push(...collectMatches(text, new RegExp(`(^|[^a-z0-9+#])(${words.map(escapeRegExp).join('|')})(?=$|[^a-z0-9+#])`, 'gi')));
+  }
+  if (letters.length > 0) {
+    mentions.push(...collectMatches(text, new RegExp(`(^|[^A-Za-z0-9+#&'-])(${letters.map(escapeRegExp).join('|')})(?=$|[^A-Za-z0-9+#&'-])`, 'g')));
+  }
+
+  return mentions.sort((a, b) => a.index - b.index);
+}
+
+// Sentences around each mention of the skill (or one of its aliases) in the resume
+function findEvidence(resumeText, skill) {
+  if (!resumeText) return [];
+
+  const taxonomySkill = getSkill(skill.id);
+  const terms = [skill.name, ...(taxonomySkill ? taxonomySkill.aliases : [])]
+    .map(term => (term ? String(term).trim() : ''))
+    .filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const snippets = [];
+  let lastEnd = -1;
+
+  for (const mention of findMentions(resumeText, terms)) {
+    if (snippets.length >= MAX_SNIPPETS_PER_SKILL) break;
+    const { index } = mention;
+    if (index < lastEnd) continue;
+
+    let start = Math.max(0, index - SNIPPET_RADIUS);
+    let end = Math.min(resumeText.length, index + mention.length + SNIPPET_RADIUS);
+
+    // Don't cut words in half
+    if (start > 0) start = resumeText.indexOf(' ', start) + 1 || start;
+    if (end < resumeText.length) end = resumeText.lastIndexOf(' ', end) > index ? resumeText.lastIndexOf(' ', end) : end;
+
+    snippets.push(
+      (start > 0 ? '…' : '') +
+      resumeText.slice(start, end).replace(/\s+/g, ' ').trim() +
+      (end < resumeText.length ? '…' : '')
+    );
+    lastEnd = end;
+  }
+
+  return snippets;
+}
+
+function skillFamily(skillId) {
+  return new Set([skillId, ...getAncestorIds(skillId)]);
+}
+
+function compareTrait(jobLevel, seekerLevel) {
+  if (TRAIT_LEVEL_VALUES[jobLevel] === undefined || TRAIT_LEVEL_VALUES[seekerLevel] === undefined) {
+    return 'not_assessed';
+  }
+  const diff = TRAIT_LEVEL_VALUES[seekerLevel] - TRAIT_LEVEL_VALUES[jobLevel];
+  if (diff === 0) return 'meets';
+  return diff > 0 ? 'exceeds' : 'below';
+}
+
+function experienceReport(experienceLevel, experienceYears) {
+  const range = EXPERIENCE_RANGES[experienceLevel] || null;
+  const years = experienceYears === null || experienceYears === undefined ? null : Number(experienceYears);
+
+  let delta = null;
+  if (range && years !== null) {
+    if (years < range.min) delta = years - range.min;
+    else if (years > range.max) delta = years - range.max;
+    else delta = 0;
+  }
+
+  return {
+    requiredLevel: experienceLevel || null,
+    expectedYears: range ? { min: range.min, max: Number.isFinite(range.max) ? range.max : null } : null,
+    seekerYears: years,
+    // Negative: years short of the expected range; positive: years beyond it; 0: within
+    delta,
+    meetsRequirement: delta === null ? null : delta >= 0
+  };
+}
+
+// job and seeker are job_listings / job_seekers rows, match the matches row (optional)
+function buildSkillGapReport(job, seeker, match = null) {
+  const required = storedSkills({ ids: job.required_skill_ids, unknown: job.unknown_required_skills, names: job.required_skills });
+  const seekerSkills = storedSkills({ ids: seeker.skill_ids, unknown: seeker.unknown_skills, names: seeker.skills });
+  const seekerById = new Map(seekerSkills.map(skill => [skill.id, skill]));
+
+  const matchedSkills = [];
+  const missingSkills = [];
+  const usedSeekerIds = new Set();
+
+  required.forEach(skill => {
+    // Exact, or the seeker has a more specific skill under it (react for javascript)
+    let seekerSkill = seekerById.get(skill.id);
+    let matchType = 'exact';
+
+    if (!seekerSkill) {
+      seekerSkill = seekerSkills.find(s => getAncestorIds(s.id).includes(skill.id));
+      matchType = 'specialization';
+    }
+
+    if (seekerSkill) {
+      usedSeekerIds.add(seekerSkill.id);
+      const evidence = findEvidence(seeker.resume_text, seekerSkill);
+      matchedSkills.push({
+        id: skill.id,
+        name: skill.name,
+        category: skill.category,
+        matchType,
+        seekerSkill: seekerSkill.name,
+        // verified: mentioned in the resume; inferred: only in the AI-extracted profile
+        verification: evidence.length > 0 ? 'verified' : 'inferred',
+        evidence
+      });
+      return;
+    }
+
+    // The seeker only has the broader parent skill (javascript for react)
+    const parent = getAncestorIds(skill.id).map(id => seekerById.get(id)).find(Boolean);
+    missingSkills.push({
+      id: skill.id,
+      name: skill.name,
+      category: skill.category,
+      partialMatch: parent ? parent.name : null
+    });
+    if (parent) usedSeekerIds.add(parent.id);
+  });
+
+  // Seeker skills that weren't required but sit in the same family as a required one
+  const requiredFamilies = required.map(skill => skillFamily(skill.id));
+  const extraSkills = seekerSkills
+    .filter(skill => !usedSeekerIds.has(skill.id))
+    .map(skill => {
+      const family = skillFamily(skill.id);
+      const related = required.filter((requiredSkill, idx) =>
+        [...family].some(id => requiredFamilies[idx].has(id))
+      );
+      return { skill, related };
+    })
+    .filter(({ skill, related }) => related.length > 0 || ['technical', 'tool', 'domain'].includes(skill.category))
+    .map(({ skill, related }) => ({
+      id: skill.id,
+      name: skill.name,
+      category: skill.category,
+      relatedTo: related.map(r => r.name)
+    }));
+
+  const jobTraits = job.behavioral_traits || {};
+  const seekerTraits = seeker.behavioral_traits || {};
+  const behavioralTraits = [...new Set([...Object.keys(jobTraits), ...Object.keys(seekerTraits)])]
+    .map(trait => ({
+      trait,
+      job: jobTraits[trait] || null,
+      seeker: seekerTraits[trait] || null,
+      comparison: compareTrait(jobTraits[trait], seekerTraits[trait])
+    }));
+
+  return {
+    summary: {
+      requiredSkillCount: required.length,
+      matchedSkillCount: matchedSkills.length,
+      missingSkillCount: missingSkills.length,
+      verifiedSkillCount: matchedSkills.filter(s => s.verification === 'verified').length
+    },
+    scores: {
+      matchScore: match ? match.match_score : null,
+      technicalFit: match ? match.technical_fit : null,
+      behavioralFit: match ? match.behavioral_fit : null,
+      explanation: match ? match.explanation : null,
+      localScores: computeLocalScore(job, seeker)
+    },
+    matchedSkills,
+    missingSkills,
+    extraSkills,
+    experience: experienceReport(job.experience_level, seeker.experience_years),
+    behavioralTraits
+  };
+}
+
+module.exports = {
+  buildSkillGapReport
+};
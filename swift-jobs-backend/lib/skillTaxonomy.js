@@ -0,0 +1,321 @@
+const supabase = require('./supabase');
+const seedTaxonomy = require('../data/skill-taxonomy.json');
+
+// Canonical skills with aliases, a category (technical/soft/tool/domain) and an
+// optional parent (e.g. react -> javascript). The built-in taxonomy comes from
+// data/skill-taxonomy.json; skills and aliases added through the admin API are
+// stored in the skills / skill_aliases tables and merged in by loadCustomTaxonomy().
+const SKILL_CATEGORIES = ['technical', 'soft', 'tool', 'domain'];
+
+class SkillTaxonomyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SkillTaxonomyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const skillsById = new Map();
+const skillIdByKey = new Map();
+
+// Lookup key: lowercase, without parenthetical notes ("JavaScript (ES6)"),
+// whitespace or punctuation other than + and # (so C++ and C# survive)
+function skillKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/[^a-z0-9+#]/g, '');
+}
+
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, '')
+    .replace(/\+/g, 'p')
+    .replace(/#/g, 'sharp')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function registerSkill({ id, name, category, parentId = null, aliases = [] }) {
+  const skill = skillsById.get(id) || { id, name, category, parentId, aliases: [] };
+  skill.name = name || skill.name;
+  skill.category = category || skill.category;
+  skill.parentId = parentId !== undefined ? parentId : skill.parentId;
+  skillsById.set(id, skill);
+
+  [skill.name, id, ...aliases].forEach(alias => registerAlias(id, alias));
+}
+
+function registerAlias(skillId, alias) {
+  const key = skillKey(alias);
+  if (!key) return;
+
+  skillIdByKey.set(key, skillId);
+
+  const skill = skillsById.get(skillId);
+  if (skill && alias !== skill.name && alias !== skillId && !skill.aliases.includes(alias)) {
+    skill.aliases.push(alias);
+  }
+}
+
+seedTaxonomy.forEach(registerSkill);
+
+function findSkillId(name) {
+  return skillIdByKey.get(skillKey(name)) || null;
+}
+
+// Resolve one free-text skill to its canonical entry. Unknown skills keep their
+// trimmed name with a slug id and known: false, so nothing the LLM found is lost.
+// Combined entries such as "HTML/CSS" or "C/C++" resolve to several skills.
+function resolveSkill(rawName) {
+  const name = String(rawName).trim();
+  const skillId = findSkillId(name);
+
+  if (skillId) {
+    const skill = skillsById.get(skillId);
+    return [{ id: skill.id, name: skill.name, category: skill.category, parentId: skill.parentId, known: true }];
+  }
+
+  const parts = name.split(/\s*(?:\/|&|,|\band\b)\s*/i).filter(Boolean);
+  if (parts.length > 1 && parts.every(part => findSkillId(part))) {
+    return parts.flatMap(resolveSkill);
+  }
+
+  return [{ id: slugify(name), name, category: null, parentId: null, known: false }];
+}
+
+// Normalize a list of free-text skills into unique canonical entries. defaultCategory
+// fills in the category of unknown skills (e.g. 'soft' for the LLM's soft_skills).
+function normalizeSkills(rawSkills, { defaultCategory = null } = {}) {
+  const seen = new Set();
+  const normalized = [];
+
+  (rawSkills || [])
+    .filter(skill => typeof skill === 'string' && skill.trim())
+    .flatMap(resolveSkill)
+    .forEach(skill => {
+      if (!skill.id || seen.has(skill.id)) return;
+      seen.add(skill.id);
+      normalized.push(skill.known ? skill : { ...skill, category: defaultCategory });
+    });
+
+  return normalized;
+}
+
+function getSkill(skillId) {
+  return skillsById.get(skillId) || null;
+}
+
+// Stored form of normalized skills: all names (shown to people and the LLM), the
+// canonical IDs, and the unknown skills in their own list, with the category they
+// came in with since the taxonomy can't supply one
+function skillColumns(skills) {
+  return {
+    names: skills.map(skill => skill.name),
+    ids: skills.filter(skill => skill.known).map(skill => skill.id),
+    unknown: skills.filter(skill => !skill.known).map(skill => ({ id: skill.id, name: skill.name, category: skill.category }))
+  };
+}
+
+// job_seekers / resume_versions columns for a seeker's skills
+function seekerSkillColumns(skills) {
+  const { names, ids, unknown } = skillColumns(skills);
+  return { skills: names, skill_ids: ids, unknown_skills: unknown };
+}
+
+// job_listings columns for a listing's required skills
+function jobSkillColumns(skills) {
+  const { names, ids, unknown } = skillColumns(skills);
+  return { required_skills: names, required_skill_ids: ids, unknown_required_skills: unknown };
+}
+
+// Normalized skills of a stored row (see skillColumns). Rows stored before unknown
+// skills got their own list have it NULL and are normalized from their names.
+function storedSkills({ ids, unknown, names }) {
+  if (!Array.isArray(unknown)) return normalizeSkills(names);
+
+  const canonical = (ids || []).map(id => {
+    const skill = getSkill(id);
+    return skill
+      ? { id, name: skill.name, category: skill.category, parentId: skill.parentId, known: true }
+      : { id, name: id, category: null, parentId: null, known: false };
+  });
+  const unknownSkills = unknown.map(skill => ({
+    id: skill.id || slugify(skill.name),
+    name: skill.name,
+    category: skill.category || null,
+    parentId: null,
+    known: false
+  }));
+
+  return [...canonical, ...unknownSkills];
+}
+
+// Normalize stored names again, keeping the category of skills that are still unknown
+function renormalizeSkills(names, unknown) {
+  const categories = new Map((unknown || []).map(skill => [skillKey(skill.name), skill.category]));
+  return normalizeSkills(names).map(skill => (
+    skill.known ? skill : { ...skill, category: categories.get(skillKey(skill.name)) || null }
+  ));
+}
+
+// Parent chain of a skill, nearest first (react -> ['javascript'])
+function getAncestorIds(skillId) {
+  const ancestors = [];
+  let skill = skillsById.get(skillId);
+
+  while (skill && skill.parentId && !ancestors.includes(skill.parentId)) {
+    ancestors.push(skill.parentId);
+    skill = skillsById.get(skill.parentId);
+  }
+
+  return ancestors;
+}
+
+function listSkills() {
+  return [...skillsById.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Merge admin-added skills and aliases from the database into the in-memory taxonomy
+async function loadCustomTaxonomy() {
+  const { data: skills, error: skillsError } = await supabase
+    .from('skills')
+    .select('*');
+
+  if (skillsError) throw skillsError;
+
+  skills.forEach(skill => registerSkill({
+    id: skill.id,
+    name: skill.name,
+    category: skill.category,
+    parentId: skill.parent_id
+  }));
+
+  const { data: aliases, error: aliasesError } = await supabase
+    .from('skill_aliases')
+    .select('*');
+
+  if (aliasesError) throw aliasesError;
+
+  aliases.forEach(alias => {
+    if (skillsById.has(alias.skill_id)) {
+      registerAlias(alias.skill_id, alias.alias);
+    }
+  });
+
+  return skillsById.size;
+}
+
+async function addSkill({ id, name, category, parentId = null, aliases = [] }) {
+  if (!name || !String(name).trim()) {
+    throw new SkillTaxonomyError('Skill name is required');
+  }
+  if (!SKILL_CATEGORIES.includes(category)) {
+    throw new SkillTaxonomyError(`Category must be one of: ${SKILL_CATEGORIES.join(', ')}`);
+  }
+  if (parentId && !skillsById.has(parentId)) {
+    throw new SkillTaxonomyError(`Unknown parent skill '${parentId}'`);
+  }
+
+  const skillId = id ? slugify(id) : slugify(name);
+  if (skillsById.has(skillId) || findSkillId(name)) {
+    throw new SkillTaxonomyError(`Skill '${name}' already exists as '${skillsById.has(skillId) ? skillId : findSkillId(name)}'`, 409);
+  }
+
+  const { error } = await supabase
+    .from('skills')
+    .insert([{ id: skillId, name: String(name).trim(), category, parent_id: parentId }]);
+
+  if (error) throw error;
+
+  registerSkill({ id: skillId, name: String(name).trim(), category, parentId });
+
+  for (const alias of aliases) {
+    await addAlias(skillId, alias);
+  }
+
+  return getSkill(skillId);
+}
+
+async function addAlias(skillId, alias) {
+  if (!skillsById.has(skillId)) {
+    throw new SkillTaxonomyError(`Unknown skill '${skillId}'`, 404);
+  }
+  if (!alias || !skillKey(alias)) {
+    throw new SkillTaxonomyError('Alias is required');
+  }
+
+  const existingId = findSkillId(alias);
+  if (existingId && existingId !== skillId) {
+    throw new SkillTaxonomyError(`'${alias}' is already an alias of '${existingId}'`, 409);
+  }
+  if (existingId === skillId) {
+    return getSkill(skillId);
+  }
+
+  const { error } = await supabase
+    .from('skill_aliases')
+    .insert([{ skill_id: skillId, alias: String(alias).trim() }]);
+
+  if (error) throw error;
+
+  registerAlias(skillId, String(alias).trim());
+  return getSkill(skillId);
+}
+
+// Re-normalize the stored skills of every seeker profile and job listing with the
+// current taxonomy (after alias changes, or for rows stored before normalization)
+async function renormalizeStoredSkills() {
+  const counts = { jobSeekers: 0, jobListings: 0 };
+
+  const { data: seekers, error: seekersError } = await supabase
+    .from('job_seekers')
+    .select('id, skills, unknown_skills');
+
+  if (seekersError) throw seekersError;
+
+  for (const seeker of seekers) {
+    const { error } = await supabase
+      .from('job_seekers')
+      .update(seekerSkillColumns(renormalizeSkills(seeker.skills, seeker.unknown_skills)))
+      .eq('id', seeker.id);
+
+    if (error) throw error;
+    counts.jobSeekers += 1;
+  }
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('job_listings')
+    .select('id, required_skills, unknown_required_skills');
+
+  if (jobsError) throw jobsError;
+
+  for (const job of jobs) {
+    const { error } = await supabase
+      .from('job_listings')
+      .update(jobSkillColumns(renormalizeSkills(job.required_skills, job.unknown_required_skills)))
+      .eq('id', job.id);
+
+    if (error) throw error;
+    counts.jobListings += 1;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  SKILL_CATEGORIES,
+  SkillTaxonomyError,
+  normalizeSkills,
+  seekerSkillColumns,
+  jobSkillColumns,
+  storedSkills,
+  getSkill,
+  getAncestorIds,
+  listSkills,
+  loadCustomTaxonomy,
+  addSkill,
+  addAlias,
+  renormalizeStoredSkills
+};
@@ -0,0 +1,9 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Shared Supabase client so route modules and helpers use the same connection
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY
+);
+
+module.exports = supabase;
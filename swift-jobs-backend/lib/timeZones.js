@@ -0,0 +1,134 @@
+// IANA time zone helpers built on Intl, so no tz database has to ship with the app.
+// Instants are stored in UTC; a zone is only needed to read local wall-clock times
+// from users and to show times back to them.
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DATE_TIME_FIELDS = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/;
+const HAS_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const formatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in a zone
+function localFields(date, timeZone) {
+  const fields = {};
+  formatterFor(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') fields[part.type] = parseInt(part.value);
+  });
+  return fields;
+}
+
+// Minutes the zone is ahead of UTC at the given instant
+function offsetMinutes(date, timeZone) {
+  const f = localFields(date, timeZone);
+  const asUtc = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+// Whether the fields name a real day and clock time. new Date() rolls 2026-02-30
+// over to March 2 and T24:00 to the next day instead of rejecting them.
+function isValidDateTime({ year, month, day, hour, minute, second = 0 }) {
+  if (month < 1 || month > 12) return false;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day >= 1 && day <= daysInMonth && hour <= 23 && minute <= 59 && second <= 59;
+}
+
+function dateTimeFields(match) {
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  return { year, month, day, hour, minute, second: second || 0 };
+}
+
+// The instant at which the zone's clock reads the given local time, or null when
+// that time is skipped by a daylight-saving jump
+function localTimeToDate({ year, month, day, hour, minute, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  let date = new Date(guess - offsetMinutes(new Date(guess), timeZone) * 60000);
+  const retry = new Date(guess - offsetMinutes(date, timeZone) * 60000);
+  if (retry.getTime() !== date.getTime()) date = retry;
+
+  const f = localFields(date, timeZone);
+  const matches = f.year === year && f.month === month && f.day === day &&
+    f.hour === hour && f.minute === minute;
+  return matches ? date : null;
+}
+
+// Parse a date-time from a request. Values with an offset ('Z', '+02:00') are exact;
+// values without one ('2026-03-10T09:30') are wall-clock times in timeZone.
+// Returns { date } or { error }.
+function parseDateTime(value, timeZone) {
+  if (!value || typeof value !== 'string') {
+    return { error: 'must be an ISO 8601 date-time' };
+  }
+
+  if (HAS_OFFSET.test(value.trim())) {
+    const fields = value.trim().match(DATE_TIME_FIELDS);
+    if (fields && !isValidDateTime(dateTimeFields(fields))) {
+      return { error: 'is not a valid date/time' };
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'must be an ISO 8601 date-time' } : { date };
+  }
+
+  const local = value.trim().match(LOCAL_DATE_TIME);
+  if (!local) {
+    return { error: 'must be an ISO 8601 date-time' };
+  }
+
+  const fields = dateTimeFields(local);
+  if (!isValidDateTime(fields)) {
+    return { error: 'is not a valid date/time' };
+  }
+
+  const date = localTimeToDate(fields, timeZone);
+  if (!date) {
+    return { error: `does not exist in ${timeZone} (daylight saving time change)` };
+  }
+  return { date };
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// ISO 8601 with the zone's offset at that instant, e.g. 2026-03-10T09:30:00-04:00
+function formatInTimeZone(value, timeZone) {
+  const date = new Date(value);
+  const f = localFields(date, timeZone);
+  const offset = offsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+
+  return `${f.year}-${pad(f.month)}-${pad(f.day)}T${pad(f.hour)}:${pad(f.minute)}:${pad(f.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  parseDateTime,
+  formatInTimeZone
+};
@@ -0,0 +1,20 @@
+-- Match pipeline status: pending → viewed → shortlisted → interviewing → offered → hired/rejected.
+-- Upserts from the matching routes no longer write status, so new rows rely on this default.
+ALTER TABLE matches ALTER COLUMN status SET DEFAULT 'pending';
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_status_check;
+ALTER TABLE matches ADD CONSTRAINT matches_status_check
+  CHECK (status IN ('pending', 'viewed', 'shortlisted', 'interviewing', 'offered', 'hired', 'rejected'));
+
+CREATE TABLE IF NOT EXISTS match_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_status_history_match_id ON match_status_history(match_id);
@@ -0,0 +1,16 @@
+-- Outcome of the schema-validated AI analysis. Rows whose analysis never produced a
+-- valid response are kept with analysis_status = 'failed' instead of fabricated values.
+ALTER TABLE job_seekers ADD COLUMN IF NOT EXISTS analysis_status TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE job_seekers ADD COLUMN IF NOT EXISTS analysis_error TEXT;
+ALTER TABLE job_seekers ALTER COLUMN experience_years DROP NOT NULL;
+
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS analysis_status TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS analysis_error TEXT;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS experience_level TEXT;
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS analysis_status TEXT NOT NULL DEFAULT 'completed';
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS analysis_error TEXT;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS explanation TEXT;
+ALTER TABLE matches ALTER COLUMN match_score DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN technical_fit DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN behavioral_fit DROP NOT NULL;
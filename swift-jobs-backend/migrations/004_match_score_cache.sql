@@ -0,0 +1,6 @@
+-- Content hash of the job and seeker profile a match score was computed from.
+-- Scores are reused while the hash is unchanged; see lib/matching.js.
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS input_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_matches_job_listing_id ON matches(job_listing_id);
+CREATE INDEX IF NOT EXISTS idx_matches_job_seeker_id ON matches(job_seeker_id);
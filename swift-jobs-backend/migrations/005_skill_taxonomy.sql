@@ -0,0 +1,22 @@
+-- Skill taxonomy additions made through the admin API (the built-in taxonomy is in
+-- data/skill-taxonomy.json) and canonical skill IDs on profiles and listings.
+-- Run `npm run normalize-skills` after applying to backfill existing rows.
+CREATE TABLE IF NOT EXISTS skills (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT NOT NULL CHECK (category IN ('technical', 'soft', 'tool', 'domain')),
+  parent_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS skill_aliases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  skill_id TEXT NOT NULL,
+  alias TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE job_seekers ADD COLUMN IF NOT EXISTS skill_ids TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS required_skill_ids TEXT[] NOT NULL DEFAULT '{}';
+
+-- Admin accounts are created directly in the database with user_type = 'admin'
@@ -0,0 +1,21 @@
+-- Job listing management: expiry, close/reopen and soft delete.
+-- is_active stays the "open for matching" flag; closed_reason records why a listing
+-- was closed (filled, cancelled, on_hold, expired, deleted, other).
+
+ALTER TABLE job_listings
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_reason TEXT,
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_expires_at
+  ON job_listings (expires_at)
+  WHERE is_active AND expires_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_employer
+  ON job_listings (employer_id, created_at DESC)
+  WHERE deleted_at IS NULL;
+
+-- Set when the match's listing is closed, expired or deleted; cleared on reopen
+ALTER TABLE matches
+  ADD COLUMN IF NOT EXISTS job_closed_at TIMESTAMPTZ;
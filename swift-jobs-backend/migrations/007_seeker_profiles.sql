@@ -0,0 +1,45 @@
+-- Seeker profile management: every resume upload and its AI analysis is kept as a
+-- version, and manual overrides sit on top of the current version's extraction.
+-- job_seekers.skills / skill_ids / preferred_roles / experience_years hold the
+-- effective (overridden) values that matching reads.
+
+CREATE TABLE IF NOT EXISTS resume_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_seeker_id UUID NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  resume_url TEXT,
+  original_filename TEXT,
+  resume_text TEXT,
+  behavioral_answers JSONB,
+  analysis JSONB,
+  skills JSONB NOT NULL DEFAULT '[]',
+  skill_ids TEXT[] NOT NULL DEFAULT '{}',
+  experience_years INTEGER,
+  preferred_roles JSONB NOT NULL DEFAULT '[]',
+  behavioral_traits JSONB NOT NULL DEFAULT '{}',
+  analysis_status TEXT NOT NULL DEFAULT 'completed',
+  analysis_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_seeker_id, version_number)
+);
+
+ALTER TABLE job_seekers
+  ADD COLUMN IF NOT EXISTS resume_url TEXT,
+  ADD COLUMN IF NOT EXISTS behavioral_answers JSONB,
+  ADD COLUMN IF NOT EXISTS profile_overrides JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS current_resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL;
+
+-- Existing profiles become version 1 of their own history
+INSERT INTO resume_versions (
+  job_seeker_id, version_number, resume_text, skills, skill_ids, experience_years,
+  preferred_roles, behavioral_traits, analysis_status, analysis_error, created_at
+)
+SELECT id, 1, resume_text, to_jsonb(skills), skill_ids, experience_years,
+  to_jsonb(preferred_roles), COALESCE(behavioral_traits, '{}'), analysis_status, analysis_error, created_at
+FROM job_seekers s
+WHERE NOT EXISTS (SELECT 1 FROM resume_versions v WHERE v.job_seeker_id = s.id);
+
+UPDATE job_seekers s
+SET current_resume_version_id = v.id
+FROM resume_versions v
+WHERE v.job_seeker_id = s.id AND v.version_number = 1 AND s.current_resume_version_id IS NULL;
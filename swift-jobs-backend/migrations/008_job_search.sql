@@ -0,0 +1,17 @@
+-- Public job search: weighted full-text vector over title (A) and description (B).
+
+ALTER TABLE job_listings
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_search_vector
+  ON job_listings USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_required_skill_ids
+  ON job_listings USING GIN (required_skill_ids);
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_open_created
+  ON job_listings (created_at DESC, id DESC)
+  WHERE is_active AND deleted_at IS NULL;
@@ -0,0 +1,24 @@
+-- Structured salary and location parsed from the free-text salary_range/location
+-- (see lib/jobAttributes.js). salary_min/salary_max are in salary_period units; the
+-- *_annual columns are the same range per year, used for filtering and sorting.
+-- Run `npm run backfill-job-attributes` after applying to fill them for existing rows.
+
+ALTER TABLE job_listings
+  ADD COLUMN IF NOT EXISTS salary_min NUMERIC,
+  ADD COLUMN IF NOT EXISTS salary_max NUMERIC,
+  ADD COLUMN IF NOT EXISTS salary_currency TEXT,
+  ADD COLUMN IF NOT EXISTS salary_period TEXT CHECK (salary_period IN ('hourly', 'daily', 'weekly', 'monthly', 'annual')),
+  ADD COLUMN IF NOT EXISTS salary_min_annual NUMERIC,
+  ADD COLUMN IF NOT EXISTS salary_max_annual NUMERIC,
+  ADD COLUMN IF NOT EXISTS location_city TEXT,
+  ADD COLUMN IF NOT EXISTS location_region TEXT,
+  ADD COLUMN IF NOT EXISTS location_country TEXT,
+  ADD COLUMN IF NOT EXISTS work_mode TEXT CHECK (work_mode IN ('remote', 'hybrid', 'onsite'));
+
+CREATE INDEX IF NOT EXISTS idx_job_listings_location_country
+  ON job_listings (location_country)
+  WHERE is_active AND deleted_at IS NULL;
+
+-- Seeker hard constraints for matching: minSalary/salaryCurrency, acceptableLocations, remoteOnly
+ALTER TABLE job_seekers
+  ADD COLUMN IF NOT EXISTS match_preferences JSONB NOT NULL DEFAULT '{}';
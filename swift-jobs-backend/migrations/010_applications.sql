@@ -0,0 +1,21 @@
+-- Direct applications. Each one points at the matches row for its job/seeker pair,
+-- which carries the scores and the employer's pipeline status; one application per
+-- pair, re-used when a withdrawn application is submitted again.
+
+CREATE TABLE IF NOT EXISTS applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  job_seeker_id UUID NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+  match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+  resume_version_id UUID REFERENCES resume_versions(id) ON DELETE SET NULL,
+  cover_letter TEXT,
+  status TEXT NOT NULL DEFAULT 'submitted' CHECK (status IN ('submitted', 'withdrawn')),
+  submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  withdrawn_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_listing_id, job_seeker_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_seeker
+  ON applications (job_seeker_id, submitted_at DESC);
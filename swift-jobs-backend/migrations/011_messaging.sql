@@ -0,0 +1,37 @@
+-- Employer–candidate messaging: one thread per match, opened once the candidate is
+-- shortlisted. Each side's last read time gives unread counts and read receipts.
+
+CREATE TABLE IF NOT EXISTS message_threads (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL UNIQUE REFERENCES matches(id) ON DELETE CASCADE,
+  application_id UUID REFERENCES applications(id) ON DELETE SET NULL,
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  job_seeker_id UUID NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+  employer_id UUID NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  employer_last_read_at TIMESTAMPTZ,
+  seeker_last_read_at TIMESTAMPTZ,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_threads_employer
+  ON message_threads (employer_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_threads_seeker
+  ON message_threads (job_seeker_id, last_message_at DESC);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  thread_id UUID NOT NULL REFERENCES message_threads(id) ON DELETE CASCADE,
+  sender_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  sender_role TEXT NOT NULL CHECK (sender_role IN ('employer', 'seeker')),
+  body TEXT,
+  attachment_url TEXT,
+  attachment_filename TEXT,
+  attachment_mimetype TEXT,
+  attachment_size INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (body IS NOT NULL OR attachment_url IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_thread
+  ON messages (thread_id, created_at DESC);
@@ -0,0 +1,66 @@
+-- Interview scheduling: slots published per job, interviews per match, and a
+-- private calendar feed token per user. Overlaps are rejected by exclusion
+-- constraints: an employer's live slots, and a candidate's scheduled interviews.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS interview_slots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  employer_id UUID NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  time_zone TEXT NOT NULL DEFAULT 'UTC',
+  location TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'booked', 'cancelled')),
+  interview_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  CONSTRAINT interview_slots_no_overlap EXCLUDE USING gist (
+    employer_id WITH =,
+    tstzrange(starts_at, ends_at) WITH &&
+  ) WHERE (status <> 'cancelled')
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_slots_job
+  ON interview_slots (job_listing_id, starts_at);
+
+CREATE TABLE IF NOT EXISTS interviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  job_seeker_id UUID NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+  employer_id UUID NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  slot_id UUID REFERENCES interview_slots(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'scheduled', 'cancelled')),
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+  time_zone TEXT,
+  location TEXT,
+  note TEXT,
+  sequence INTEGER NOT NULL DEFAULT 0,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  invited_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  scheduled_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  cancelled_by TEXT CHECK (cancelled_by IN ('employer', 'seeker')),
+  cancel_reason TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT interviews_no_overlap EXCLUDE USING gist (
+    job_seeker_id WITH =,
+    tstzrange(starts_at, ends_at) WITH &&
+  ) WHERE (status = 'scheduled')
+);
+
+ALTER TABLE interview_slots DROP CONSTRAINT IF EXISTS interview_slots_interview_id_fkey;
+ALTER TABLE interview_slots ADD CONSTRAINT interview_slots_interview_id_fkey
+  FOREIGN KEY (interview_id) REFERENCES interviews(id) ON DELETE SET NULL;
+
+-- One open interview per match
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interviews_open_per_match
+  ON interviews (match_id) WHERE status IN ('invited', 'scheduled');
+
+CREATE INDEX IF NOT EXISTS idx_interviews_seeker ON interviews (job_seeker_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_interviews_employer ON interviews (employer_id, starts_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_hash TEXT UNIQUE;
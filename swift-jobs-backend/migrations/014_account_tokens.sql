@@ -0,0 +1,58 @@
+-- Email verification and password reset. Tokens are single-use and expiring; only
+-- their SHA-256 hash is stored. Accounts created before verification existed are
+-- treated as verified so their owners aren't locked out. Everything runs in one
+-- transaction, so a stop on duplicate emails leaves the database untouched.
+
+BEGIN;
+
+-- One account per email address, whatever its case. Accounts whose emails differ
+-- only in case can't be merged automatically (each has its own profile, matches and
+-- messages), so the migration stops and lists them; merge or rename them, then rerun.
+DO $$
+DECLARE
+  duplicates TEXT;
+BEGIN
+  SELECT string_agg(format('%s (%s)', lower_email, user_ids), '; ')
+  INTO duplicates
+  FROM (
+    SELECT lower(email) AS lower_email, string_agg(id::text, ', ' ORDER BY created_at) AS user_ids
+    FROM users
+    GROUP BY lower(email)
+    HAVING count(*) > 1
+  ) AS grouped;
+
+  IF duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'Users share an email address apart from case: %', duplicates
+      USING HINT = 'Merge or rename these accounts so each lower(email) is unique, then rerun this migration.';
+  END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_lower ON users (lower(email));
+
+-- The backfill only runs when the column is first added; on a rerun, accounts that
+-- signed up since then keep their unverified state
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMPTZ;
+    UPDATE users SET email_verified_at = created_at;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('email_verification', 'password_reset')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens (user_id, type, created_at);
+
+COMMIT;
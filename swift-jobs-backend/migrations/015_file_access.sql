@@ -0,0 +1,19 @@
+-- Uploads are no longer served from /uploads. Downloads go through short-lived
+-- signed links, and every link issued, download and refused attempt is logged.
+
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS description_file_url TEXT;
+
+CREATE TABLE IF NOT EXISTS file_access_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_name TEXT,
+  job_seeker_id UUID REFERENCES job_seekers(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event TEXT NOT NULL CHECK (event IN ('link_issued', 'download', 'denied')),
+  reason TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_access_log_file ON file_access_log (file_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_file_access_log_user ON file_access_log (user_id, created_at DESC);
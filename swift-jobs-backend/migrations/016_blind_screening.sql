@@ -0,0 +1,13 @@
+-- Blind screening: on jobs with blind_screening on, employers see pseudonymous
+-- candidates until they shortlist one. identity_revealed_at records when that
+-- happened, so a candidate rejected after shortlisting stays revealed.
+
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS blind_screening BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS identity_revealed_at TIMESTAMPTZ;
+
+-- Matches that were already shortlisted or further along
+UPDATE matches
+SET identity_revealed_at = COALESCE(status_updated_at, NOW())
+WHERE identity_revealed_at IS NULL
+  AND status IN ('shortlisted', 'interviewing', 'offered', 'hired');
@@ -0,0 +1,9 @@
+-- Prompt-injection screening results for user-written text sent to the LLM:
+-- { flagged, flags: [{ type, source, excerpt }], truncated, checkedAt }. Stored per
+-- resume version (copied to the seeker's profile for the current one) and per
+-- job listing.
+
+ALTER TABLE resume_versions ADD COLUMN IF NOT EXISTS prompt_risk JSONB;
+ALTER TABLE job_seekers ADD COLUMN IF NOT EXISTS prompt_risk JSONB;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS prompt_risk JSONB;
+
@@ -0,0 +1,42 @@
+-- Per-job screening questionnaires. Replacing a questionnaire archives the old
+-- questions instead of deleting them, so earlier answers keep their question.
+-- Each question is answered once per seeker; knockout answers record whether they
+-- passed, and matches.screening_status summarises the seeker's answers.
+
+CREATE TABLE IF NOT EXISTS screening_questions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('free_text', 'multiple_choice', 'knockout')),
+  prompt TEXT NOT NULL,
+  options JSONB,
+  accepted_answers JSONB,
+  required BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  archived_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_screening_questions_job
+  ON screening_questions (job_listing_id, position)
+  WHERE archived_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS screening_answers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  question_id UUID NOT NULL REFERENCES screening_questions(id) ON DELETE CASCADE,
+  job_listing_id UUID NOT NULL REFERENCES job_listings(id) ON DELETE CASCADE,
+  job_seeker_id UUID NOT NULL REFERENCES job_seekers(id) ON DELETE CASCADE,
+  match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+  answer TEXT NOT NULL,
+  passed BOOLEAN,
+  answered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (question_id, job_seeker_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_screening_answers_pair
+  ON screening_answers (job_listing_id, job_seeker_id);
+CREATE INDEX IF NOT EXISTS idx_screening_answers_seeker
+  ON screening_answers (job_seeker_id);
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS screening_status TEXT
+  CHECK (screening_status IN ('incomplete', 'passed', 'disqualified'));
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS screening_updated_at TIMESTAMPTZ;
@@ -0,0 +1,29 @@
+-- Bulk job imports from CSV, JSON and ATS XML feeds. Imported listings carry the
+-- feed's reference ID in external_ref, so importing the same feed again updates
+-- them instead of creating duplicates. job_imports keeps each import's report.
+
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS external_ref TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_listings_external_ref
+  ON job_listings (employer_id, external_ref)
+  WHERE external_ref IS NOT NULL AND deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS job_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  employer_id UUID NOT NULL REFERENCES employers(id) ON DELETE CASCADE,
+  format TEXT NOT NULL CHECK (format IN ('csv', 'json', 'xml')),
+  source_name TEXT,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'failed', 'interrupted')),
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  updated_count INTEGER NOT NULL DEFAULT 0,
+  unchanged_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  rows JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_imports_employer ON job_imports (employer_id, created_at DESC);
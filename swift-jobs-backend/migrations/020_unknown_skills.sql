@@ -0,0 +1,7 @@
+-- Skills the taxonomy doesn't know yet are kept apart from the canonical IDs, as
+-- [{ "id": slug, "name": ..., "category": ... }], so a soft skill stays a soft skill
+-- and search can still find them by slug. NULL marks
+-- rows stored before this; run `npm run normalize-skills` after applying to fill them.
+ALTER TABLE job_seekers ADD COLUMN IF NOT EXISTS unknown_skills JSONB;
+ALTER TABLE resume_versions ADD COLUMN IF NOT EXISTS unknown_skills JSONB;
+ALTER TABLE job_listings ADD COLUMN IF NOT EXISTS unknown_required_skills JSONB;
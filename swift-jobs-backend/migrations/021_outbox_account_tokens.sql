@@ -0,0 +1,10 @@
+-- Verification and password-reset emails queued before the outbox stopped keeping
+-- their links: drop the raw token from the payload, and blank the bodies of rows
+-- that won't be sent again. Rows still waiting keep their bodies until they go out.
+UPDATE notification_outbox
+SET payload = payload - 'token'
+WHERE type IN ('verify_email', 'password_reset') AND payload ? 'token';
+
+UPDATE notification_outbox
+SET text_body = '[Removed after sending: contained a single-use account link]', html_body = NULL
+WHERE type IN ('verify_email', 'password_reset') AND status IN ('sent', 'failed');
@@ -0,0 +1,4 @@
+-- Prompt-injection screening results for the screening answers sent with a match
+-- (same shape as 017's prompt_risk); NULL when the match was scored without answers.
+-- Employers see it merged with the seeker's resume record.
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS prompt_risk JSONB;
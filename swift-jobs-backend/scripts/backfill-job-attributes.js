@@ -0,0 +1,30 @@
+// Parse salary_range and location of every job listing into the structured
+// salary, location and work mode columns. Safe to run repeatedly.
+//   npm run backfill-job-attributes
+require('dotenv').config();
+const supabase = require('../lib/supabase');
+const { jobAttributeColumns } = require('../lib/jobAttributes');
+
+async function main() {
+  const { data: jobs, error } = await supabase
+    .from('job_listings')
+    .select('id, salary_range, location');
+
+  if (error) throw error;
+
+  for (const job of jobs) {
+    const { error: updateError } = await supabase
+      .from('job_listings')
+      .update(jobAttributeColumns({ salaryRange: job.salary_range, location: job.location }))
+      .eq('id', job.id);
+
+    if (updateError) throw updateError;
+  }
+
+  console.log(`Updated ${jobs.length} job listings`);
+}
+
+main().catch(error => {
+  console.error('Job attribute backfill failed:', error);
+  process.exit(1);
+});
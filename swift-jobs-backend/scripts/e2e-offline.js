@@ -0,0 +1,182 @@
+// Offline end-to-end run: starts the API with the mock LLM provider and an in-memory
+// database (test/helpers/offlineDatabase.js), registers an employer and a job seeker,
+// posts a job and checks that the seeker gets a score for it. No Supabase, LLM API
+// key or network access is used.
+//   npm run test:e2e
+require('dotenv').config();
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const UPLOADS_DIR = path.join(ROOT, 'uploads');
+const OFFLINE_DATABASE = path.join(ROOT, 'test', 'helpers', 'offlineDatabase.js');
+const STARTUP_TIMEOUT_MS = 15000;
+const MATCHING_TIMEOUT_MS = 30000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function listUploads() {
+  return fs.existsSync(UPLOADS_DIR) ? fs.readdirSync(UPLOADS_DIR) : [];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function check(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+async function request(baseUrl, method, route, { token, json, form } = {}) {
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  let body;
+  if (json) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(json);
+  } else if (form) {
+    body = form;
+  }
+
+  const response = await fetch(`${baseUrl}${route}`, { method, headers, body });
+  const data = await response.json().catch(() => ({}));
+  check(response.ok && data.success !== false,
+    `${method} ${route} failed with ${response.status}: ${data.error || JSON.stringify(data)}`);
+  return data;
+}
+
+async function waitForHealth(baseUrl, server) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    check(server.exitCode === null, `Server exited with code ${server.exitCode}`);
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) return response.json();
+    } catch (error) {
+      // not listening yet
+    }
+    await sleep(200);
+  }
+  throw new Error('Server did not become healthy in time');
+}
+
+async function waitForMatching(baseUrl, token, matchingJobId) {
+  const deadline = Date.now() + MATCHING_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const { job } = await request(baseUrl, 'GET', `/api/matching/jobs/${matchingJobId}`, { token });
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await sleep(250);
+  }
+  throw new Error(`Matching job ${matchingJobId} did not finish in time`);
+}
+
+async function run(baseUrl) {
+  const runId = Date.now().toString(36);
+  const password = 'e2e-password';
+
+  const employerEmail = `e2e-employer-${runId}@example.com`;
+  await request(baseUrl, 'POST', '/api/employer/register', {
+    json: {
+      name: 'E2E Employer',
+      email: employerEmail,
+      password,
+      companyName: `E2E Co ${runId}`,
+      companySize: '1-10',
+      industry: 'Software'
+    }
+  });
+  const employerLogin = await request(baseUrl, 'POST', '/api/login', { json: { email: employerEmail, password } });
+  const employerId = employerLogin.profile.id;
+  console.log(`Registered employer ${employerId}`);
+
+  const posted = await request(baseUrl, 'POST', `/api/job/post/${employerId}`, {
+    token: employerLogin.tokens.accessToken,
+    json: {
+      title: `Backend Engineer ${runId}`,
+      description: 'Build APIs in Node.js and PostgreSQL, shipped with Docker.',
+      requirements: 'Node.js, PostgreSQL, Docker',
+      location: 'Remote',
+      salaryRange: '$90,000 - $120,000'
+    }
+  });
+  console.log(`Posted job ${posted.jobId}`);
+
+  const seekerEmail = `e2e-seeker-${runId}@example.com`;
+  const form = new FormData();
+  form.append('name', 'E2E Seeker');
+  form.append('email', seekerEmail);
+  form.append('password', password);
+  form.append('answers', JSON.stringify(['I plan my week ahead', 'I ask questions early', 'I write things down']));
+  form.append('resume', new Blob([
+    'Backend Developer\n5 years building services with Node.js, PostgreSQL and Docker.\n'
+  ], { type: 'text/plain' }), 'resume.txt');
+
+  const registered = await request(baseUrl, 'POST', '/api/jobseeker/register', { form });
+  const seekerLogin = await request(baseUrl, 'POST', '/api/login', { json: { email: seekerEmail, password } });
+  const seekerToken = seekerLogin.tokens.accessToken;
+  console.log(`Registered job seeker ${registered.seekerId}`);
+
+  check(registered.matchingJobId, 'Seeker registration did not start a matching job');
+  const matchingJob = await waitForMatching(baseUrl, seekerToken, registered.matchingJobId);
+  check(matchingJob.status === 'completed', `Matching job ended as ${matchingJob.status}: ${JSON.stringify(matchingJob.errors)}`);
+
+  const scored = matchingJob.results.find(result => result.jobId === posted.jobId);
+  check(scored, 'The posted job was not scored for the new seeker');
+  check(typeof scored.matchScore === 'number', `Expected a numeric score, got ${JSON.stringify(scored.matchScore)}`);
+  console.log(`Scored the job at ${scored.matchScore}`);
+
+  // /api/matches lists stored scores of 75% and up
+  const { matches } = await request(baseUrl, 'GET', `/api/matches/${registered.seekerId}`, { token: seekerToken });
+  const listed = matches.some(match => match.jobId === posted.jobId);
+  check(listed === scored.matchScore >= 0.75,
+    `Job ${listed ? 'listed' : 'missing'} in /api/matches with a score of ${scored.matchScore}`);
+}
+
+async function main() {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const uploadsBefore = new Set(listUploads());
+
+  const server = spawn(process.execPath, ['--require', OFFLINE_DATABASE, 'server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      REQUIRE_EMAIL_VERIFICATION: 'false',
+      EMAIL_TRANSPORT: 'log',
+      JWT_SECRET: process.env.JWT_SECRET || 'e2e-offline-secret'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let serverLog = '';
+  server.stdout.on('data', chunk => { serverLog += chunk; });
+  server.stderr.on('data', chunk => { serverLog += chunk; });
+
+  try {
+    const health = await waitForHealth(baseUrl, server);
+    check(health.llm && health.llm.provider === 'mock', `Server is not using the mock provider: ${JSON.stringify(health.llm)}`);
+    await run(baseUrl);
+    console.log('Offline end-to-end run passed');
+  } catch (error) {
+    console.error(`Offline end-to-end run failed: ${error.message}`);
+    if (serverLog) console.error(`Server output:\n${serverLog}`);
+    process.exitCode = 1;
+  } finally {
+    server.kill();
+    listUploads()
+      .filter(file => !uploadsBefore.has(file))
+      .forEach(file => fs.unlinkSync(path.join(UPLOADS_DIR, file)));
+  }
+}
+
+main();
@@ -0,0 +1,19 @@
+// Re-normalize job_seekers.skills and job_listings.required_skills against the skill
+// taxonomy and fill in skill_ids / required_skill_ids and the unknown skill lists.
+// Safe to run repeatedly.
+//   npm run normalize-skills
+require('dotenv').config();
+const { loadCustomTaxonomy, renormalizeStoredSkills } = require('../lib/skillTaxonomy');
+
+async function main() {
+  const skillCount = await loadCustomTaxonomy();
+  console.log(`Loaded skill taxonomy with ${skillCount} skills`);
+
+  const counts = await renormalizeStoredSkills();
+  console.log(`Re-normalized ${counts.jobSeekers} job seekers and ${counts.jobListings} job listings`);
+}
+
+main().catch(error => {
+  console.error('Skill normalization failed:', error);
+  process.exit(1);
+});
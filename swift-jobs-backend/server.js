@@ -5,9 +5,183 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcrypt');
-const pdf = require('pdf-parse');
-const { createClient } = require('@supabase/supabase-js');
-const Groq = require('groq-sdk');
+const supabase = require('./lib/supabase');
+const { DocumentExtractionError, extractDocumentText } = require('./lib/documentText');
+const llm = require('./lib/llm');
+const { StructuredOutputError, analyzeStructured } = require('./lib/llm/structured');
+const { seekerProfileSchema, jobAnalysisSchema } = require('./lib/llm/schemas');
+const { planMatchingForJob, planMatchingForSeeker, pairToRescore } = require('./lib/matching');
+const {
+  SkillTaxonomyError,
+  normalizeSkills,
+  jobSkillColumns,
+  seekerSkillColumns,
+  listSkills,
+  loadCustomTaxonomy,
+  addSkill,
+  addAlias,
+  renormalizeStoredSkills
+} = require('./lib/skillTaxonomy');
+const { enqueueMatching, getMatchingJob, snapshot } = require('./lib/matchQueue');
+const { buildSkillGapReport } = require('./lib/skillGap');
+const {
+  issueTokens,
+  findValidRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+  authenticate,
+  optionalAuthenticate,
+  authenticateStream,
+  requireRole,
+  requireSelf,
+  requireJobOwner,
+  requireMatchAccess,
+  requireApplicationAccess,
+  requireThreadAccess,
+  requireInterviewAccess
+} = require('./lib/auth');
+const {
+  MATCH_STATUSES,
+  MatchTransitionError,
+  transitionMatch,
+  getMatchHistory
+} = require('./lib/matchWorkflow');
+const {
+  JobListingError,
+  jobListingStatus,
+  isJobOpen,
+  parseExpiresAt,
+  closeJob,
+  reopenJob,
+  softDeleteJob,
+  startExpirySweep,
+  listEmployerJobs
+} = require('./lib/jobListings');
+const {
+  SeekerProfileError,
+  getSeeker,
+  createResumeVersion,
+  setCurrentResumeVersion,
+  listResumeVersions,
+  getResumeVersion,
+  updateProfileOverrides,
+  describeSeekerProfile
+} = require('./lib/seekerProfiles');
+const { jobAttributeColumns } = require('./lib/jobAttributes');
+const { MatchPreferencesError, normalizePreferences } = require('./lib/matchPreferences');
+const {
+  ApplicationError,
+  getApplication,
+  submitApplication,
+  withdrawApplication,
+  listApplicationsForJob,
+  listApplicationsForSeeker,
+  applicantSeekerIds
+} = require('./lib/applications');
+const {
+  MessagingError,
+  participantRole,
+  openThread,
+  openApplicationThread,
+  countUnread,
+  sendMessage,
+  listMessages,
+  markThreadRead,
+  describeMessage,
+  describeThread,
+  listThreads
+} = require('./lib/messaging');
+const {
+  InterviewError,
+  normalizeSlots,
+  createSlots,
+  listSlots,
+  cancelSlot,
+  inviteCandidate,
+  bookSlot,
+  reopenInvitation,
+  cancelInterview,
+  listInterviews,
+  viewerTimeZone,
+  describeSlot,
+  describeInterview,
+  interviewEvent
+} = require('./lib/interviews');
+const { buildCalendar } = require('./lib/icalendar');
+const {
+  NotificationError,
+  getPreferences: getNotificationPreferences,
+  updatePreferences: updateNotificationPreferences,
+  notifyUser,
+  notifySeeker,
+  notifyEmployer,
+  processOutbox,
+  sendDailyDigests,
+  startNotificationWorker,
+  listOutbox
+} = require('./lib/notifications');
+const { createFeedToken, findFeedUser } = require('./lib/calendarFeed');
+const {
+  AccountTokenError,
+  canIssueToken,
+  createAccountToken,
+  consumeAccountToken
+} = require('./lib/accountTokens');
+const rateLimit = require('./lib/rateLimit');
+const {
+  FILE_URL_TTL_SECONDS,
+  FileAccessError,
+  signedFileUrl,
+  checkFileType,
+  openSignedFile,
+  canAccessResume,
+  recordFileAccess
+} = require('./lib/fileAccess');
+const { redactPii, isIdentityHidden, candidateIdentity } = require('./lib/blindScreening');
+const {
+  UNTRUSTED_TEXT_NOTICE,
+  prepareUntrustedText,
+  buildPromptRisk,
+  mergePromptRisk,
+  describePromptRisk
+} = require('./lib/promptSafety');
+const {
+  ScreeningError,
+  getQuestionnaire,
+  replaceQuestionnaire,
+  describeQuestion,
+  listAnswers,
+  describeAnswer,
+  prepareScreeningAnswers,
+  saveScreeningAnswers
+} = require('./lib/screening');
+const {
+  CANDIDATE_COLUMNS,
+  SEEKER_MATCH_COLUMNS,
+  ExportError,
+  parseExportOptions,
+  buildCandidateRows,
+  buildSeekerMatchRows,
+  renderExport
+} = require('./lib/exports');
+const {
+  JobImportError,
+  planImport,
+  reportRow,
+  createImportRecord,
+  startImport,
+  markInterruptedImports,
+  getImport,
+  listImports,
+  describeImport
+} = require('./lib/jobImport');
+const {
+  JobSearchError,
+  parseSearchParams,
+  searchJobs,
+  getPublicJob,
+  attachMatchScores
+} = require('./lib/jobSearch');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -52,95 +226,367 @@ const upload = multer({
   }
 });
 
+// Job import feeds are read from memory, never written to the uploads directory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+const importTextBody = express.text({ type: ['text/csv', 'text/plain', 'text/xml', 'application/xml', 'application/rss+xml'], limit: '5mb' });
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
-app.use('/uploads', express.static(uploadDir));
-
-// Initialize Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-
-// Initialize Groq
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
-
-// Helper function to analyze with Groq
-async function analyzeWithGroq(prompt) {
-  try {
-    const completion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert HR and talent matching AI. Analyze candidates and jobs to provide accurate matching scores (0-100%) and detailed explanations."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      model: "llama-3.3-70b-versatile",
-      temperature: 0.5,
-      max_tokens: 1500
-    });
-    
-    return completion.choices[0]?.message?.content || "";
-  } catch (error) {
-    console.error('Groq API error:', error);
-    throw new Error('AI analysis failed');
+
+// Helper function to read an optional ?topK= override for how many pairs go to the LLM
+function parseTopK(value) {
+  const topK = parseInt(value);
+  return Number.isNaN(topK) || topK < 1 ? undefined : Math.min(topK, 200);
+}
+
+// Helper function to format a 0-1 score as a percentage string
+function formatPercent(score) {
+  return score === null || score === undefined ? null : (score * 100).toFixed(0) + '%';
+}
+
+// Helper function to shape a listing's parsed salary (null when none was found)
+function formatSalary(job) {
+  if (job.salary_min === null && job.salary_max === null) return null;
+
+  return {
+    min: job.salary_min,
+    max: job.salary_max,
+    currency: job.salary_currency,
+    period: job.salary_period
+  };
+}
+
+// Helper function to send a rendered export as a download named <baseName>-<date>.<ext>
+function sendExport(res, rendered, baseName) {
+  const slug = String(baseName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  // attachment() guesses a type from the name, so the export's type is set after it
+  res.attachment(`${slug}-${new Date().toISOString().slice(0, 10)}.${rendered.extension}`);
+  res.set({ 'Content-Type': rendered.contentType, 'Cache-Control': 'private, no-store' });
+  res.send(rendered.body);
+}
+
+// Helper function to format the scores of a listing's attached match as percentages
+function formatJobMatch(job) {
+  if (!job.match) return job;
+
+  return {
+    ...job,
+    match: {
+      ...job.match,
+      matchScore: formatPercent(job.match.matchScore),
+      technicalFit: formatPercent(job.match.technicalFit),
+      behavioralFit: formatPercent(job.match.behavioralFit)
+    }
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+
+// Same reply whether or not the email has an account, so it can't be probed
+const ACCOUNT_EMAIL_SENT = 'If an account exists for this email, we have sent a link to it.';
+
+// Rate limits for the account email and token endpoints (per client IP)
+const accountEmailLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+const accountTokenLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+
+// Helper function to normalize an email address for storage and lookup
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Helper function to find a user by email, ignoring case (older accounts may be stored mixed-case)
+async function findUserByEmail(email) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('*')
+    .ilike('email', email.replace(/[%_\\]/g, '\\$&'))
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+// Helper function to email a user a fresh single-use token link ('email_verification' or 'password_reset')
+async function sendAccountTokenEmail(user, type) {
+  const { token, expiresAt } = await createAccountToken(user.id, type);
+  await notifyUser(user.id, type === 'password_reset' ? 'password_reset' : 'verify_email', { token, expiresAt });
+}
+
+// Helper function to send an iCalendar response
+function sendCalendar(res, calendar, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
   }
+  res.send(calendar);
+}
+
+// Helper function to delete an uploaded file that won't be kept
+function discardUpload(file) {
+  if (!file) return;
+  fs.unlink(file.path, (unlinkError) => {
+    if (unlinkError) console.error('Error removing rejected upload:', unlinkError);
+  });
 }
 
-// Helper function to extract text from resume file
-async function extractResumeText(filePath) {
+// Middleware: after multer, reject an upload whose content doesn't match its extension
+async function checkUploadedFile(req, res, next) {
+  if (!req.file) return next();
+
   try {
-    const fileExt = path.extname(filePath).toLowerCase();
-    
-    if (fileExt === '.txt') {
-      return fs.readFileSync(filePath, 'utf8');
-    } else if (fileExt === '.pdf') {
-      const dataBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdf(dataBuffer);
-      return pdfData.text;
-    } else {
-      // For DOC/DOCX files, return a placeholder
-      // You can add mammoth library for DOC/DOCX parsing if needed
-      return `Document file uploaded: ${path.basename(filePath)}. Please extract text manually.`;
+    await checkFileType(req.file.path, req.file.originalname);
+    next();
+  } catch (error) {
+    discardUpload(req.file);
+    if (error instanceof FileAccessError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
     }
+    console.error('Upload check error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+// Helper function to sign the resume URL of a resume_versions row for a viewer
+function withSignedResumeUrl(version, userId) {
+  if (!version) return version;
+  return {
+    ...version,
+    resume_url: signedFileUrl(version.resume_url, userId, { filename: version.original_filename })
+  };
+}
+
+// Helper function to shape an application's resume for the employer. While a blind-screening
+// candidate is still hidden, only the version is shown (the file and its name identify them).
+function employerResumeView(version, userId, hidden) {
+  if (!version || !hidden) return withSignedResumeUrl(version, userId);
+  return { id: version.id, version_number: version.version_number };
+}
+
+// Helper function to read a boolean sent as JSON or as a multipart form string
+function parseBooleanField(value) {
+  return value === true || value === 'true';
+}
+
+// Helper function to send a structured 422 for unreadable uploads and discard the file
+function handleExtractionError(res, error, file) {
+  discardUpload(file);
+
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+// Helper function to queue background matching for a new job or seeker. Failures are
+// logged rather than failing the request; the next candidates/matches view re-queues.
+async function queueMatching(kind, targetId, ownerProfileId) {
+  try {
+    const plan = kind === 'job'
+      ? await planMatchingForJob(targetId)
+      : await planMatchingForSeeker(targetId);
+
+    return enqueueMatching({ kind, targetId, ownerProfileId, pairs: plan.toScore });
+  } catch (error) {
+    console.error('Error queueing matching:', error);
+    return null;
+  }
+}
+
+// Helper function to analyze a resume and behavioral answers with the LLM. If the
+// analysis never validates, the profile is stored empty and flagged as failed.
+// Names and other personal details are redacted first; the analysis feeds every
+// job's scoring, blind-screening jobs included. promptRisk records any injection
+// attempts found in the text.
+async function analyzeSeekerProfile({ resumeText, behavioralAnswers, names = [] }) {
+  const resume = prepareUntrustedText(redactPii(resumeText, { names }), { kind: 'resume', label: 'RESUME', source: 'resume' });
+  const answers = behavioralAnswers.map((answer, idx) => prepareUntrustedText(
+    redactPii(String(answer), { names }),
+    { kind: 'answer', label: `ANSWER ${idx + 1}`, source: `behavioral_answer_${idx + 1}` }
+  ));
+  const promptRisk = buildPromptRisk([resume, ...answers].flatMap(part => part.findings));
+
+  const analysisPrompt = `Analyze this job seeker profile:
+
+${UNTRUSTED_TEXT_NOTICE}
+
+Resume:
+${resume.block}
+
+Behavioral Answers:
+${answers.map((answer, idx) => `Q${idx + 1}:\n${answer.block}`).join('\n')}
+
+Provide a JSON response with:
+{
+  "technical_skills": ["skill1", "skill2", ...],
+  "soft_skills": ["skill1", "skill2", ...],
+  "work_style": "description",
+  "experience_years": 3,
+  "preferred_roles": ["role1", "role2", ...],
+  "behavioral_traits": {
+    "teamwork": "high/medium/low",
+    "leadership": "high/medium/low",
+    "adaptability": "high/medium/low"
+  }
+}`;
+
+  let profileData;
+  let analysisError = null;
+
+  try {
+    profileData = await analyzeStructured(analysisPrompt, seekerProfileSchema, { task: 'seeker_profile' });
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.error('Resume analysis failed:', error.message);
+    analysisError = error.message;
+    profileData = {
+      technical_skills: [],
+      soft_skills: [],
+      work_style: null,
+      experience_years: null,
+      preferred_roles: [],
+      behavioral_traits: {}
+    };
+  }
+
+  // Normalize technical and soft skills to canonical taxonomy entries
+  const skills = [
+    ...normalizeSkills(profileData.technical_skills, { defaultCategory: 'technical' }),
+    ...normalizeSkills(profileData.soft_skills, { defaultCategory: 'soft' })
+  ].filter((skill, idx, all) => all.findIndex(other => other.id === skill.id) === idx);
+
+  return { profileData, analysisError, skills, promptRisk };
+}
+
+// Helper function to parse job requirements sent as a JSON string (kept as text otherwise)
+function parseRequirements(requirements) {
+  if (typeof requirements !== 'string') return requirements;
+  try {
+    return JSON.parse(requirements);
+  } catch (e) {
+    return requirements;
+  }
+}
+
+// Helper function to analyze a job posting with the LLM. If the analysis never
+// validates, the listing is stored without skills and flagged as failed.
+async function analyzeJobPosting({ title, description, requirements }) {
+  const descriptionText = prepareUntrustedText(description, { kind: 'job_description', label: 'DESCRIPTION', source: 'description' });
+  const requirementsText = prepareUntrustedText(
+    typeof requirements === 'object' ? JSON.stringify(requirements) : requirements,
+    { kind: 'job_description', label: 'REQUIREMENTS', source: 'requirements' }
+  );
+  const promptRisk = buildPromptRisk([...descriptionText.findings, ...requirementsText.findings]);
+
+  const analysisPrompt = `Analyze this job posting:
+
+${UNTRUSTED_TEXT_NOTICE}
+
+Title: ${title}
+Description:
+${descriptionText.block}
+Requirements:
+${requirementsText.block}
+
+Provide a JSON response with:
+{
+  "required_skills": ["skill1", "skill2", ...],
+  "behavioral_traits": {
+    "teamwork": "high/medium/low",
+    "leadership": "high/medium/low",
+    "independence": "high/medium/low"
+  },
+  "experience_level": "junior/mid/senior"
+}`;
+
+  let jobData;
+  let analysisError = null;
+
+  try {
+    jobData = await analyzeStructured(analysisPrompt, jobAnalysisSchema, { task: 'job_analysis' });
   } catch (error) {
-    console.error('Error extracting text:', error);
-    return `Unable to extract text from ${path.basename(filePath)}`;
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.error('Job analysis failed:', error.message);
+    analysisError = error.message;
+    jobData = {
+      required_skills: [],
+      behavioral_traits: {},
+      experience_level: null
+    };
   }
+
+  return { jobData, analysisError, requiredSkills: normalizeSkills(jobData.required_skills), promptRisk };
+}
+
+// Helper function to load the seeker/employer profile for a user
+async function getUserProfile(user) {
+  const profileTable = {
+    job_seeker: 'job_seekers',
+    employer: 'employers'
+  }[user.user_type];
+
+  if (!profileTable) return null;
+
+  const { data } = await supabase
+    .from(profileTable)
+    .select('*')
+    .eq('user_id', user.id)
+    .single();
+
+  return data;
 }
 
 // API Routes
 
 // Job Seeker Registration (with file upload)
-app.post('/api/jobseeker/register', upload.single('resume'), async (req, res) => {
+app.post('/api/jobseeker/register', upload.single('resume'), checkUploadedFile, async (req, res) => {
   try {
-    const { name, email, password, answers } = req.body;
+    const { name, password, answers } = req.body;
+    const email = normalizeEmail(req.body.email);
     const resumeFile = req.file;
 
     if (!resumeFile) {
       return res.status(400).json({ success: false, error: 'Resume file is required' });
     }
 
+    if (!EMAIL_PATTERN.test(email)) {
+      discardUpload(resumeFile);
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+
     if (!password || password.length < 6) {
+      discardUpload(resumeFile);
       return res.status(400).json({ 
         success: false, 
         error: 'Password must be at least 6 characters long' 
       });
     }
 
+    // Check before the resume is analyzed, so a taken email fails fast
+    if (await findUserByEmail(email)) {
+      discardUpload(resumeFile);
+      return res.status(409).json({ success: false, error: 'An account with this email already exists', code: 'email_taken' });
+    }
+
     // Hash the password
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Extract resume text
-    const resumeText = await extractResumeText(resumeFile.path);
+    // Extract resume text (rejects files that yield no usable text)
+    let resumeText;
+    try {
+      resumeText = await extractDocumentText(resumeFile.path);
+    } catch (extractError) {
+      if (extractError instanceof DocumentExtractionError) {
+        return handleExtractionError(res, extractError, resumeFile);
+      }
+      throw extractError;
+    }
     const resumeUrl = `/uploads/${resumeFile.filename}`;
 
     // Parse answers if sent as string
@@ -148,6 +594,7 @@ app.post('/api/jobseeker/register', upload.single('resume'), async (req, res) =>
     try {
       behavioralAnswers = typeof answers === 'string' ? JSON.parse(answers) : answers;
     } catch (parseError) {
+      discardUpload(resumeFile);
       return res.status(400).json({ 
         success: false, 
         error: 'Invalid answers format. Must be a JSON array like: ["answer1", "answer2", "answer3"]' 
@@ -155,57 +602,18 @@ app.post('/api/jobseeker/register', upload.single('resume'), async (req, res) =>
     }
 
     if (!Array.isArray(behavioralAnswers)) {
+      discardUpload(resumeFile);
       return res.status(400).json({ 
         success: false, 
         error: 'Answers must be an array' 
       });
     }
 
-    // Analyze resume and answers with Groq
-    const analysisPrompt = `Analyze this job seeker profile:
-    
-Resume: ${resumeText}
-
-Behavioral Answers:
-${behavioralAnswers.map((answer, idx) => `Q${idx + 1}: ${answer}`).join('\n')}
-
-Provide a JSON response with:
-{
-  "technical_skills": ["skill1", "skill2", ...],
-  "soft_skills": ["skill1", "skill2", ...],
-  "work_style": "description",
-  "experience_years": 3,
-  "preferred_roles": ["role1", "role2", ...],
-  "behavioral_traits": {
-    "teamwork": "high/medium/low",
-    "leadership": "high/medium/low",
-    "adaptability": "high/medium/low"
-  }
-}`;
-
-    const analysis = await analyzeWithGroq(analysisPrompt);
-    let profileData;
-    
-    try {
-      const jsonMatch = analysis.match(/\{[\s\S]*\}/);
-      profileData = jsonMatch ? JSON.parse(jsonMatch[0]) : {
-        technical_skills: [],
-        soft_skills: [],
-        work_style: "Not specified",
-        experience_years: 0,
-        preferred_roles: [],
-        behavioral_traits: {}
-      };
-    } catch (parseError) {
-      profileData = {
-        technical_skills: [],
-        soft_skills: [],
-        work_style: "Not specified",
-        experience_years: 0,
-        preferred_roles: [],
-        behavioral_traits: {}
-      };
-    }
+    const { profileData, analysisError, skills: normalizedSkills, promptRisk } = await analyzeSeekerProfile({
+      resumeText,
+      behavioralAnswers,
+      names: [name]
+    });
 
     // Insert user
     const { data: userData, error: userError } = await supabase
@@ -218,27 +626,30 @@ Provide a JSON response with:
       }])
       .select();
 
+    // Unique email: registered concurrently
+    if (userError && userError.code === '23505') {
+      discardUpload(resumeFile);
+      return res.status(409).json({ success: false, error: 'An account with this email already exists', code: 'email_taken' });
+    }
     if (userError) throw userError;
 
     const userId = userData[0].id;
 
-    // Combine technical and soft skills
-    const allSkills = [
-      ...(profileData.technical_skills || []),
-      ...(profileData.soft_skills || [])
-    ];
-
     // Insert job seeker profile
     const { data: seekerData, error: seekerError } = await supabase
       .from('job_seekers')
       .insert([{
         user_id: userId,
-        skills: allSkills, // Supabase will handle JSONB conversion
-        experience_years: parseInt(profileData.experience_years) || 0,
-        preferred_roles: profileData.preferred_roles || [],
+        ...seekerSkillColumns(normalizedSkills), // Supabase will handle JSONB conversion
+        experience_years: profileData.experience_years,
+        preferred_roles: profileData.preferred_roles,
         resume_text: resumeText,
-        behavioral_traits: profileData.behavioral_traits || {},
-        match_confidence: 0.0
+        resume_url: resumeUrl,
+        behavioral_answers: behavioralAnswers,
+        behavioral_traits: profileData.behavioral_traits,
+        match_confidence: 0.0,
+        analysis_status: analysisError ? 'failed' : 'completed',
+        analysis_error: analysisError
       }])
       .select();
 
@@ -247,19 +658,36 @@ Provide a JSON response with:
       throw seekerError;
     }
 
+    // Keep the upload as the first resume version
+    const resumeVersion = await createResumeVersion(seekerData[0].id, {
+      resumeUrl,
+      originalFilename: resumeFile.originalname,
+      resumeText,
+      behavioralAnswers,
+      analysis: profileData,
+      skills: normalizedSkills,
+      analysisError,
+      promptRisk
+    });
+    await setCurrentResumeVersion(seekerData[0], resumeVersion);
+
+    // Score the new profile against active jobs in the background
+    const matchingJob = await queueMatching('seeker', seekerData[0].id, seekerData[0].id);
+
+    await sendAccountTokenEmail(userData[0], 'email_verification');
+
     res.json({ 
       success: true, 
       userId: userId,
       seekerId: seekerData[0].id,
-      resumeUrl: resumeUrl,
-      analysis: {
-        technical_skills: profileData.technical_skills || [],
-        soft_skills: profileData.soft_skills || [],
-        work_style: profileData.work_style || "Not specified",
-        experience_years: profileData.experience_years || 0,
-        preferred_roles: profileData.preferred_roles || [],
-        behavioral_traits: profileData.behavioral_traits || {}
-      }
+      emailVerificationRequired: REQUIRE_EMAIL_VERIFICATION,
+      matchingJobId: matchingJob ? matchingJob.id : null,
+      resumeUrl: signedFileUrl(resumeUrl, userId, { filename: resumeFile.originalname }),
+      analysisStatus: analysisError ? 'failed' : 'completed',
+      analysisError: analysisError,
+      analysis: profileData,
+      skills: normalizedSkills,
+      promptRisk: describePromptRisk(promptRisk)
     });
   } catch (error) {
     console.error('Error registering job seeker:', error);
@@ -267,140 +695,411 @@ Provide a JSON response with:
   }
 });
 
-// Employer Registration
-app.post('/api/employer/register', async (req, res) => {
+// Get own job seeker profile (effective values, AI-extracted values and overrides)
+app.get('/api/jobseeker/:seekerId', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
   try {
-    const { name, email, password, companyName, companySize, industry } = req.body;
+    const seeker = await getSeeker(req.params.seekerId);
 
-    if (!password || password.length < 6) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Password must be at least 6 characters long' 
-      });
+    res.json({ success: true, profile: await describeSeekerProfile(seeker, { viewerId: req.user.id }) });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('Error fetching job seeker profile:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Hash the password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+// Update own job seeker profile. Skills, preferred roles and experience are manual
+// overrides on top of the resume analysis (null clears one); isLooking: false takes
+// the profile out of matching.
+app.patch('/api/jobseeker/:seekerId', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const { name, isLooking } = req.body;
+    let seeker = await getSeeker(req.params.seekerId);
 
-    // Insert user
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .insert([{
-        email,
-        password_hash: hashedPassword, // Store hashed password
-        user_type: 'employer',
-        full_name: name
-      }])
-      .select();
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+      }
 
-    if (userError) throw userError;
+      const { error } = await supabase
+        .from('users')
+        .update({ full_name: String(name).trim() })
+        .eq('id', seeker.user_id);
 
-    const userId = userData[0].id;
+      if (error) throw error;
+    }
 
-    // Insert employer profile
-    const { data: employerData, error: employerError } = await supabase
-      .from('employers')
-      .insert([{
-        user_id: userId,
-        company_name: companyName,
-        company_size: companySize,
-        industry: industry,
-        hr_contact_name: name
-      }])
-      .select();
+    if (isLooking !== undefined) {
+      if (typeof isLooking !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'isLooking must be true or false' });
+      }
 
-    if (employerError) throw employerError;
+      const { error } = await supabase
+        .from('job_seekers')
+        .update({ is_active: isLooking })
+        .eq('id', seeker.id);
 
-    res.json({ 
-      success: true, 
-      userId: userId,
-      employerId: employerData[0].id
+      if (error) throw error;
+    }
+
+    const overrideChanges = {};
+    ['addedSkills', 'removedSkills', 'preferredRoles', 'experienceYears'].forEach(field => {
+      if (req.body[field] !== undefined) overrideChanges[field] = req.body[field];
+    });
+
+    if (Object.keys(overrideChanges).length > 0) {
+      await updateProfileOverrides(seeker, overrideChanges);
+    }
+
+    seeker = await getSeeker(seeker.id);
+
+    // Changed skills/roles/experience change the match input hash, so the affected
+    // scores are stale and get recomputed
+    const matchingJob = seeker.is_active
+      ? await queueMatching('seeker', seeker.id, seeker.id)
+      : null;
+
+    res.json({
+      success: true,
+      profile: await describeSeekerProfile(seeker, { viewerId: req.user.id }),
+      matchingJobId: matchingJob ? matchingJob.id : null
     });
   } catch (error) {
-    console.error('Error registering employer:', error);
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating job seeker profile:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Job Posting (with optional file upload for job description)
-app.post('/api/job/post/:employerId', upload.single('jobDescriptionFile'), async (req, res) => {
+// Get own matching preferences
+app.get('/api/jobseeker/:seekerId/preferences', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
   try {
-    const { employerId } = req.params; // Get employerId from URL
-    const { title, description, requirements, location, salaryRange } = req.body;
-    const jobDescFile = req.file;
+    const seeker = await getSeeker(req.params.seekerId);
 
-    // Validate employerId
-    if (!employerId) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Employer ID is required in the URL' 
-      });
+    res.json({ success: true, preferences: seeker.match_preferences || {} });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Extract job description from file if uploaded, otherwise use text input
-    let jobDescription = description || '';
-    let jobDescUrl = null;
+// Replace own matching preferences: minSalary (yearly) with salaryCurrency,
+// acceptableLocations and remoteOnly. They are hard constraints in matching.
+app.put('/api/jobseeker/:seekerId/preferences', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const preferences = normalizePreferences(req.body);
 
-    if (jobDescFile) {
-      const extractedText = await extractResumeText(jobDescFile.path);
-      jobDescription = extractedText;
-      jobDescUrl = `/uploads/${jobDescFile.filename}`;
+    const { data, error } = await supabase
+      .from('job_seekers')
+      .update({ match_preferences: preferences })
+      .eq('id', req.params.seekerId)
+      .select();
+
+    if (error) throw error;
+
+    // Listings that now pass the constraints get scored in the background
+    const matchingJob = data[0].is_active
+      ? await queueMatching('seeker', data[0].id, data[0].id)
+      : null;
+
+    res.json({
+      success: true,
+      preferences,
+      matchingJobId: matchingJob ? matchingJob.id : null
+    });
+  } catch (error) {
+    if (error instanceof MatchPreferencesError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('Error updating preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!jobDescription || jobDescription.trim().length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Job description is required (either as text or file upload)' 
-      });
+// Upload a new resume version; extraction and analysis are re-run (answers are
+// optional and default to the ones given at registration)
+app.post('/api/jobseeker/:seekerId/resume', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), upload.single('resume'), checkUploadedFile, async (req, res) => {
+  try {
+    const resumeFile = req.file;
+
+    if (!resumeFile) {
+      return res.status(400).json({ success: false, error: 'Resume file is required' });
     }
 
-    // Parse requirements if it's a string
-    let jobRequirements = requirements;
-    if (typeof requirements === 'string') {
+    const seeker = await getSeeker(req.params.seekerId);
+
+    let behavioralAnswers = seeker.behavioral_answers || [];
+    if (req.body.answers !== undefined) {
       try {
-        jobRequirements = JSON.parse(requirements);
-      } catch (e) {
-        jobRequirements = requirements; // Keep as string if not JSON
+        behavioralAnswers = typeof req.body.answers === 'string' ? JSON.parse(req.body.answers) : req.body.answers;
+      } catch (parseError) {
+        behavioralAnswers = null;
+      }
+      if (!Array.isArray(behavioralAnswers)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid answers format. Must be a JSON array like: ["answer1", "answer2", "answer3"]'
+        });
       }
     }
 
-    // Analyze job requirements with Groq
-    const analysisPrompt = `Analyze this job posting:
-    
-Title: ${title}
-Description: ${jobDescription}
-Requirements: ${typeof jobRequirements === 'object' ? JSON.stringify(jobRequirements) : jobRequirements}
+    let resumeText;
+    try {
+      resumeText = await extractDocumentText(resumeFile.path);
+    } catch (extractError) {
+      if (extractError instanceof DocumentExtractionError) {
+        return handleExtractionError(res, extractError, resumeFile);
+      }
+      throw extractError;
+    }
+    const resumeUrl = `/uploads/${resumeFile.filename}`;
 
-Provide a JSON response with:
-{
-  "required_skills": ["skill1", "skill2", ...],
-  "behavioral_traits": {
-    "teamwork": "high/medium/low",
-    "leadership": "high/medium/low",
-    "independence": "high/medium/low"
-  },
-  "experience_level": "junior/mid/senior"
-}`;
+    const { profileData, analysisError, skills, promptRisk } = await analyzeSeekerProfile({
+      resumeText,
+      behavioralAnswers,
+      names: [seeker.users ? seeker.users.full_name : null]
+    });
 
-    const analysis = await analyzeWithGroq(analysisPrompt);
-    let jobData;
-    
-    try {
-      const jsonMatch = analysis.match(/\{[\s\S]*\}/);
-      jobData = jsonMatch ? JSON.parse(jsonMatch[0]) : {
-        required_skills: [],
-        behavioral_traits: {},
-        experience_level: "mid"
-      };
-    } catch (parseError) {
-      jobData = {
-        required_skills: [],
-        behavioral_traits: {},
-        experience_level: "mid"
-      };
+    const resumeVersion = await createResumeVersion(seeker.id, {
+      resumeUrl,
+      originalFilename: resumeFile.originalname,
+      resumeText,
+      behavioralAnswers,
+      analysis: profileData,
+      skills,
+      analysisError,
+      promptRisk
+    });
+
+    const updatedSeeker = await setCurrentResumeVersion(seeker, resumeVersion);
+
+    if (req.body.answers !== undefined) {
+      const { error } = await supabase
+        .from('job_seekers')
+        .update({ behavioral_answers: behavioralAnswers })
+        .eq('id', seeker.id);
+
+      if (error) throw error;
+    }
+
+    const matchingJob = updatedSeeker.is_active
+      ? await queueMatching('seeker', seeker.id, seeker.id)
+      : null;
+
+    res.json({
+      success: true,
+      resumeVersionId: resumeVersion.id,
+      versionNumber: resumeVersion.version_number,
+      resumeUrl: signedFileUrl(resumeUrl, req.user.id, { filename: resumeFile.originalname }),
+      matchingJobId: matchingJob ? matchingJob.id : null,
+      analysisStatus: analysisError ? 'failed' : 'completed',
+      analysisError,
+      analysis: profileData,
+      profile: await describeSeekerProfile(updatedSeeker, { viewerId: req.user.id })
+    });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error uploading resume:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List own resume versions, newest first
+app.get('/api/jobseeker/:seekerId/resumes', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const seeker = await getSeeker(req.params.seekerId);
+    const versions = await listResumeVersions(seeker.id);
+
+    res.json({
+      success: true,
+      currentResumeVersionId: seeker.current_resume_version_id,
+      versions: versions.map(version => withSignedResumeUrl(version, req.user.id))
+    });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error listing resume versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one resume version with its extracted text and analysis
+app.get('/api/jobseeker/:seekerId/resumes/:versionId', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const version = await getResumeVersion(req.params.seekerId, req.params.versionId);
+
+    res.json({ success: true, version: withSignedResumeUrl(version, req.user.id) });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching resume version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Roll back to an earlier resume version and its stored analysis (no new LLM call)
+app.post('/api/jobseeker/:seekerId/resumes/:versionId/restore', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const seeker = await getSeeker(req.params.seekerId);
+    const version = await getResumeVersion(seeker.id, req.params.versionId);
+
+    if (String(seeker.current_resume_version_id) === String(version.id)) {
+      return res.status(409).json({ success: false, error: 'This resume version is already current' });
+    }
+
+    const updatedSeeker = await setCurrentResumeVersion(seeker, version);
+
+    const matchingJob = updatedSeeker.is_active
+      ? await queueMatching('seeker', seeker.id, seeker.id)
+      : null;
+
+    res.json({
+      success: true,
+      profile: await describeSeekerProfile(updatedSeeker, { viewerId: req.user.id }),
+      matchingJobId: matchingJob ? matchingJob.id : null
+    });
+  } catch (error) {
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error restoring resume version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Employer Registration
+app.post('/api/employer/register', async (req, res) => {
+  try {
+    const { name, password, companyName, companySize, industry } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    if (await findUserByEmail(email)) {
+      return res.status(409).json({ success: false, error: 'An account with this email already exists', code: 'email_taken' });
+    }
+
+    // Hash the password
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Insert user
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .insert([{
+        email,
+        password_hash: hashedPassword, // Store hashed password
+        user_type: 'employer',
+        full_name: name
+      }])
+      .select();
+
+    // Unique email: registered concurrently
+    if (userError && userError.code === '23505') {
+      return res.status(409).json({ success: false, error: 'An account with this email already exists', code: 'email_taken' });
+    }
+    if (userError) throw userError;
+
+    const userId = userData[0].id;
+
+    // Insert employer profile
+    const { data: employerData, error: employerError } = await supabase
+      .from('employers')
+      .insert([{
+        user_id: userId,
+        company_name: companyName,
+        company_size: companySize,
+        industry: industry,
+        hr_contact_name: name
+      }])
+      .select();
+
+    if (employerError) throw employerError;
+
+    await sendAccountTokenEmail(userData[0], 'email_verification');
+
+    res.json({ 
+      success: true, 
+      userId: userId,
+      employerId: employerData[0].id,
+      emailVerificationRequired: REQUIRE_EMAIL_VERIFICATION
+    });
+  } catch (error) {
+    console.error('Error registering employer:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Job Posting (with optional file upload for job description)
+app.post('/api/job/post/:employerId', authenticate, requireRole('employer'), requireSelf('employerId'), upload.single('jobDescriptionFile'), checkUploadedFile, async (req, res) => {
+  try {
+    const { employerId } = req.params; // Get employerId from URL
+    const { title, description, requirements, location, salaryRange } = req.body;
+    const jobDescFile = req.file;
+
+    const expiresAt = parseExpiresAt(req.body.expiresAt);
+    if (expiresAt.error) {
+      return res.status(400).json({ success: false, error: expiresAt.error });
+    }
+
+    // Validate employerId
+    if (!employerId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Employer ID is required in the URL' 
+      });
+    }
+
+    // Extract job description from file if uploaded, otherwise use text input
+    let jobDescription = description || '';
+    let jobDescUrl = null;
+
+    if (jobDescFile) {
+      try {
+        jobDescription = await extractDocumentText(jobDescFile.path);
+      } catch (extractError) {
+        if (extractError instanceof DocumentExtractionError) {
+          return handleExtractionError(res, extractError, jobDescFile);
+        }
+        throw extractError;
+      }
+      jobDescUrl = `/uploads/${jobDescFile.filename}`;
+    }
+
+    if (!jobDescription || jobDescription.trim().length === 0) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Job description is required (either as text or file upload)' 
+      });
     }
 
+    const jobRequirements = parseRequirements(requirements);
+    const { jobData, analysisError, requiredSkills, promptRisk } = await analyzeJobPosting({
+      title,
+      description: jobDescription,
+      requirements: jobRequirements
+    });
+
     // Insert job listing
     const { data, error } = await supabase
       .from('job_listings')
@@ -409,11 +1108,19 @@ Provide a JSON response with:
         title,
         description: jobDescription,
         requirements: typeof jobRequirements === 'string' ? jobRequirements : jobRequirements,
-        required_skills: jobData.required_skills,
+        ...jobSkillColumns(requiredSkills),
         behavioral_traits: jobData.behavioral_traits,
+        experience_level: jobData.experience_level,
         location,
         salary_range: salaryRange,
-        is_active: true
+        ...jobAttributeColumns({ salaryRange, location }),
+        expires_at: expiresAt.value,
+        description_file_url: jobDescUrl,
+        blind_screening: parseBooleanField(req.body.blindScreening),
+        is_active: true,
+        analysis_status: analysisError ? 'failed' : 'completed',
+        analysis_error: analysisError,
+        prompt_risk: promptRisk
       }])
       .select();
 
@@ -422,15 +1129,19 @@ Provide a JSON response with:
       throw error;
     }
 
+    // Score active seekers against the new listing in the background
+    const matchingJob = await queueMatching('job', data[0].id, employerId);
+
     res.json({ 
       success: true, 
       jobId: data[0].id,
-      jobDescriptionUrl: jobDescUrl,
-      analysis: {
-        required_skills: jobData.required_skills || [],
-        behavioral_traits: jobData.behavioral_traits || {},
-        experience_level: jobData.experience_level || "mid"
-      }
+      jobDescriptionUrl: signedFileUrl(jobDescUrl, req.user.id, { filename: jobDescFile ? jobDescFile.originalname : null }),
+      matchingJobId: matchingJob ? matchingJob.id : null,
+      analysisStatus: analysisError ? 'failed' : 'completed',
+      analysisError: analysisError,
+      analysis: jobData,
+      requiredSkills,
+      promptRisk: describePromptRisk(promptRisk)
     });
   } catch (error) {
     console.error('Error posting job:', error);
@@ -438,396 +1149,1668 @@ Provide a JSON response with:
   }
 });
 
-// Get candidates for job
-app.get('/api/candidates/:jobId', async (req, res) => {
+// Search open job listings (anonymous or logged in). Query: q (full text on title and
+// description), location, city, country, remote / workMode, salaryMin / salaryMax
+// (yearly, optionally in salaryCurrency), skills (comma separated,
+// skillsMatch=all|any), experienceLevel, company, industry, postedWithinDays /
+// postedAfter, sort, limit and cursor. Seekers can add includeMatch=true to get their
+// stored match score per listing.
+app.get('/api/jobs', optionalAuthenticate, async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const options = parseSearchParams(req.query);
+    const result = await searchJobs(options);
 
-    // Get job details
-    const { data: job, error: jobError } = await supabase
-      .from('job_listings')
-      .select('*, employers(*)')
-      .eq('id', jobId)
-      .single();
+    const includeMatch = req.query.includeMatch === 'true' && req.user && req.user.userType === 'job_seeker';
+    const jobs = includeMatch
+      ? await attachMatchScores(result.jobs, req.user.profileId)
+      : result.jobs;
 
-    if (jobError) throw jobError;
+    res.json({
+      success: true,
+      count: jobs.length,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor,
+      jobs: jobs.map(formatJobMatch)
+    });
+  } catch (error) {
+    if (error instanceof JobSearchError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error searching jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Get all job seekers
-    const { data: seekers, error: seekersError } = await supabase
-      .from('job_seekers')
-      .select('*, users(email, full_name)')
-      .eq('is_active', true);
-
-    if (seekersError) throw seekersError;
-
-    // Match each candidate with the job
-    const candidateResults = await Promise.all(seekers.map(async (seeker) => {
-      const matchPrompt = `Score this candidate match (0-1.0):
-
-Job Requirements:
-Company: ${job.employers.company_name}
-Title: ${job.title}
-Required Skills: ${JSON.stringify(job.required_skills)}
-Behavioral Requirements: ${JSON.stringify(job.behavioral_traits)}
-Description: ${job.description}
-
-Candidate Profile:
-Name: ${seeker.users.full_name}
-Skills: ${JSON.stringify(seeker.skills)}
-Experience: ${seeker.experience_years} years
-Preferred Roles: ${JSON.stringify(seeker.preferred_roles)}
-Behavioral Traits: ${JSON.stringify(seeker.behavioral_traits)}
-
-Provide a JSON response:
-{
-  "match_score": 0.85,
-  "technical_fit": 0.90,
-  "behavioral_fit": 0.80,
-  "explanation": "Strong candidate because..."
-}`;
+// Job detail with employer (anonymous or logged in; seekers get their stored match)
+app.get('/api/job/:jobId', optionalAuthenticate, async (req, res) => {
+  try {
+    let job = await getPublicJob(req.params.jobId);
+
+    if (req.user && req.user.userType === 'job_seeker') {
+      [job] = await attachMatchScores([job], req.user.profileId);
+    }
+
+    res.json({ success: true, job: formatJobMatch(job) });
+  } catch (error) {
+    if (error instanceof JobSearchError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List an employer's job listings with match counts (?status=active|closed|expired|all)
+app.get('/api/employer/:employerId/jobs', authenticate, requireRole('employer'), requireSelf('employerId'), async (req, res) => {
+  try {
+    const status = req.query.status || 'all';
+    if (!['active', 'closed', 'expired', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status must be one of: active, closed, expired, all'
+      });
+    }
+
+    const jobs = await listEmployerJobs(req.params.employerId, { status });
+
+    res.json({ success: true, jobCount: jobs.length, jobs });
+  } catch (error) {
+    console.error('Error listing employer jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Bulk import job listings from a CSV, JSON or ATS XML feed, sent as the request body
+// or as a "file" upload (?format= overrides detection). Every row is validated and
+// matched to existing listings by externalRef. With ?dryRun=true only the plan is
+// returned; otherwise creates and updates run in the background and the report is
+// polled from GET /api/employer/:employerId/job-imports/:importId.
+app.post('/api/employer/:employerId/job-imports', authenticate, requireRole('employer'), requireSelf('employerId'), importTextBody, importUpload.single('file'), async (req, res) => {
+  try {
+    const { employerId } = req.params;
+    const feed = req.file
+      ? { content: req.file.buffer.toString('utf8'), filename: req.file.originalname, contentType: req.file.mimetype }
+      : { content: req.body, contentType: req.get('content-type') };
+    const plan = await planImport(employerId, { ...feed, format: req.query.format });
+    const sourceName = req.file ? req.file.originalname : null;
+
+    if (parseBooleanField(req.query.dryRun)) {
+      const rows = plan.rows.map(reportRow);
+      return res.json({
+        success: true,
+        dryRun: true,
+        format: plan.format,
+        totalRows: rows.length,
+        toCreate: rows.filter(row => row.action === 'create').length,
+        toUpdate: rows.filter(row => row.action === 'update').length,
+        unchanged: rows.filter(row => row.action === 'unchanged').length,
+        failed: rows.filter(row => row.action === null).length,
+        rows
+      });
+    }
+
+    const record = await createImportRecord(employerId, { ...plan, sourceName });
+    startImport(record, plan.rows, { analyzeJobPosting, queueMatching });
+
+    res.status(202).json({ success: true, import: describeImport(record) });
+  } catch (error) {
+    if (error instanceof JobImportError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error importing jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// An employer's recent job imports (counts only)
+app.get('/api/employer/:employerId/job-imports', authenticate, requireRole('employer'), requireSelf('employerId'), async (req, res) => {
+  try {
+    const imports = await listImports(req.params.employerId);
+
+    res.json({ success: true, imports: imports.map(describeImport) });
+  } catch (error) {
+    console.error('Error listing job imports:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Import report: counts and the result of every row, with row-level errors
+app.get('/api/employer/:employerId/job-imports/:importId', authenticate, requireRole('employer'), requireSelf('employerId'), async (req, res) => {
+  try {
+    const record = await getImport(req.params.importId, req.params.employerId);
 
-      const matchResult = await analyzeWithGroq(matchPrompt);
-      
+    res.json({ success: true, import: describeImport(record) });
+  } catch (error) {
+    if (error instanceof JobImportError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching job import:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update a job listing. Changing the title, description or requirements re-runs the
+// skill analysis, which changes the match input hashes so every pair is rescored.
+app.patch('/api/job/:jobId', authenticate, requireRole('employer'), requireJobOwner('jobId'), upload.single('jobDescriptionFile'), checkUploadedFile, async (req, res) => {
+  try {
+    const job = req.job;
+    const { title, description, requirements, location, salaryRange } = req.body;
+    const jobDescFile = req.file;
+    const updates = {};
+
+    if (title !== undefined) {
+      if (!String(title).trim()) {
+        return res.status(400).json({ success: false, error: 'Title cannot be empty' });
+      }
+      updates.title = title;
+    }
+    if (location !== undefined) updates.location = location;
+    if (salaryRange !== undefined) updates.salary_range = salaryRange;
+    if (location !== undefined || salaryRange !== undefined) {
+      Object.assign(updates, jobAttributeColumns({
+        salaryRange: salaryRange !== undefined ? salaryRange : job.salary_range,
+        location: location !== undefined ? location : job.location
+      }));
+    }
+    if (requirements !== undefined) updates.requirements = parseRequirements(requirements);
+    if (req.body.blindScreening !== undefined) updates.blind_screening = parseBooleanField(req.body.blindScreening);
+
+    if (req.body.expiresAt !== undefined) {
+      const expiresAt = parseExpiresAt(req.body.expiresAt);
+      if (expiresAt.error) {
+        return res.status(400).json({ success: false, error: expiresAt.error });
+      }
+      updates.expires_at = expiresAt.value;
+    }
+
+    let jobDescUrl = null;
+    if (jobDescFile) {
       try {
-        const jsonMatch = matchResult.match(/\{[\s\S]*\}/);
-        const matchData = jsonMatch ? JSON.parse(jsonMatch[0]) : { 
-          match_score: 0.70, 
-          technical_fit: 0.70,
-          behavioral_fit: 0.70,
-          explanation: "Good general fit" 
-        };
-        
-        return {
-          candidateId: seeker.id,
-          candidateName: seeker.users.full_name,
-          candidateEmail: seeker.users.email,
-          matchScore: parseFloat(matchData.match_score.toFixed(2)),
-          technicalFit: parseFloat(matchData.technical_fit.toFixed(2)),
-          behavioralFit: parseFloat(matchData.behavioral_fit.toFixed(2)),
-          explanation: matchData.explanation
-        };
-      } catch (parseError) {
-        return {
-          candidateId: seeker.id,
-          candidateName: seeker.users.full_name,
-          candidateEmail: seeker.users.email,
-          matchScore: 0.70,
-          technicalFit: 0.70,
-          behavioralFit: 0.70,
-          explanation: "Potential candidate based on requirements"
-        };
+        updates.description = await extractDocumentText(jobDescFile.path);
+      } catch (extractError) {
+        if (extractError instanceof DocumentExtractionError) {
+          return handleExtractionError(res, extractError, jobDescFile);
+        }
+        throw extractError;
       }
-    }));
-
-    // Save all matches to database (even low scores, employer can review)
-    const matchesToInsert = candidateResults.map(match => ({
-      job_seeker_id: match.candidateId,
-      job_listing_id: jobId,
-      match_score: match.matchScore,
-      technical_fit: match.technicalFit,
-      behavioral_fit: match.behavioralFit,
-      status: 'pending',
-      match_date: new Date().toISOString()
-    }));
-
-    if (matchesToInsert.length > 0) {
-      // Use upsert to avoid duplicate entries
-      const { data: insertedMatches, error: matchInsertError } = await supabase
-        .from('matches')
-        .upsert(matchesToInsert, { 
-          onConflict: 'job_seeker_id,job_listing_id',
-          ignoreDuplicates: false 
-        })
-        .select();
-
-      if (matchInsertError) {
-        console.error('Match insert error:', matchInsertError);
-        // Continue anyway, we can still return the candidates
+      jobDescUrl = `/uploads/${jobDescFile.filename}`;
+      updates.description_file_url = jobDescUrl;
+    } else if (description !== undefined) {
+      if (!String(description).trim()) {
+        return res.status(400).json({ success: false, error: 'Job description cannot be empty' });
       }
+      updates.description = description;
     }
 
-    // Sort by match score (descending)
-    const sortedCandidates = candidateResults
-      .sort((a, b) => b.matchScore - a.matchScore)
-      .map(c => ({
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    const contentChanged = ['title', 'description', 'requirements'].some(field =>
+      updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(job[field])
+    );
+
+    let analysis = null;
+    if (contentChanged) {
+      analysis = await analyzeJobPosting({
+        title: updates.title !== undefined ? updates.title : job.title,
+        description: updates.description !== undefined ? updates.description : job.description,
+        requirements: updates.requirements !== undefined ? updates.requirements : job.requirements
+      });
+
+      Object.assign(updates, jobSkillColumns(analysis.requiredSkills));
+      updates.behavioral_traits = analysis.jobData.behavioral_traits;
+      updates.experience_level = analysis.jobData.experience_level;
+      updates.analysis_status = analysis.analysisError ? 'failed' : 'completed';
+      updates.analysis_error = analysis.analysisError;
+      updates.prompt_risk = analysis.promptRisk;
+    }
+
+    const { data, error } = await supabase
+      .from('job_listings')
+      .update(updates)
+      .eq('id', job.id)
+      .select();
+
+    if (error) throw error;
+
+    // Rescore in the background; closed listings are left as they are
+    const matchingJob = contentChanged && data[0].is_active
+      ? await queueMatching('job', job.id, job.employer_id)
+      : null;
+
+    res.json({
+      success: true,
+      job: { ...data[0], status: jobListingStatus(data[0]) },
+      jobDescriptionUrl: signedFileUrl(jobDescUrl, req.user.id, { filename: jobDescFile ? jobDescFile.originalname : null }),
+      reanalyzed: contentChanged,
+      matchingJobId: matchingJob ? matchingJob.id : null,
+      ...(analysis ? {
+        analysisStatus: analysis.analysisError ? 'failed' : 'completed',
+        analysisError: analysis.analysisError,
+        analysis: analysis.jobData,
+        requiredSkills: analysis.requiredSkills,
+        promptRisk: describePromptRisk(analysis.promptRisk)
+      } : {})
+    });
+  } catch (error) {
+    console.error('Error updating job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Close a job listing (reason: filled, cancelled, on_hold or other)
+app.post('/api/job/:jobId/close', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    if (!req.job.is_active) {
+      return res.status(409).json({ success: false, error: 'Listing is already closed' });
+    }
+
+    const reason = (req.body && req.body.reason) || 'other';
+    if (['expired', 'deleted'].includes(reason)) {
+      return res.status(400).json({ success: false, error: `Reason '${reason}' is set automatically` });
+    }
+
+    const job = await closeJob(req.job.id, reason);
+
+    res.json({ success: true, job: { ...job, status: jobListingStatus(job) } });
+  } catch (error) {
+    if (error instanceof JobListingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error closing job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Reopen a closed or expired job listing (expired ones need a new expiresAt)
+app.post('/api/job/:jobId/reopen', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    let expiresAt;
+    if (req.body && req.body.expiresAt !== undefined) {
+      const parsed = parseExpiresAt(req.body.expiresAt);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      expiresAt = parsed.value;
+    }
+
+    const job = await reopenJob(req.job, { expiresAt });
+
+    // Seekers who registered while the listing was closed get scored now
+    const matchingJob = await queueMatching('job', job.id, job.employer_id);
+
+    res.json({
+      success: true,
+      job: { ...job, status: jobListingStatus(job) },
+      matchingJobId: matchingJob ? matchingJob.id : null
+    });
+  } catch (error) {
+    if (error instanceof JobListingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error reopening job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Soft delete a job listing; it and its matches are kept but no longer served
+app.delete('/api/job/:jobId', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    await softDeleteJob(req.job.id);
+
+    res.json({ success: true, message: 'Job listing deleted' });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Apply to a job with an optional cover letter and resume version (defaults to the
+// current one). Links to the pair's match, scoring it in the background if needed.
+app.post('/api/job/:jobId/apply', authenticate, requireRole('job_seeker'), async (req, res) => {
+  try {
+    const { coverLetter, resumeVersionId, screeningAnswers } = req.body;
+
+    const { data: job, error: jobError } = await supabase
+      .from('job_listings')
+      .select('*, employers(*)')
+      .eq('id', req.params.jobId)
+      .maybeSingle();
+
+    if (jobError) throw jobError;
+    if (!job || job.deleted_at) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    const seeker = await getSeeker(req.user.profileId);
+
+    // Answers are checked before anything is stored; required questions must be answered
+    const screening = await prepareScreeningAnswers(job.id, seeker.id, screeningAnswers);
+    const { application, match, screening: screeningResult, pairToScore } = await submitApplication({
+      job,
+      seeker,
+      coverLetter,
+      resumeVersionId,
+      screening
+    });
+
+    const matchingJob = pairToScore
+      ? enqueueMatching({
+        kind: 'application',
+        targetId: application.id,
+        ownerProfileId: seeker.id,
+        pairs: [pairToScore]
+      })
+      : null;
+
+    res.status(201).json({
+      success: true,
+      applicationId: application.id,
+      matchId: match.id,
+      status: application.status,
+      pipelineStatus: screeningResult && screeningResult.disqualified ? 'rejected' : match.status,
+      screeningStatus: screeningResult ? screeningResult.status : null,
+      matchingJobId: matchingJob ? matchingJob.id : null
+    });
+  } catch (error) {
+    if (error instanceof ScreeningError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+    }
+    if (error instanceof ApplicationError || error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error submitting application:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Applicants for a job, kept apart from the AI-suggested candidates (?includeWithdrawn=true)
+app.get('/api/job/:jobId/applications', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const applications = await listApplicationsForJob(req.params.jobId, {
+      includeWithdrawn: req.query.includeWithdrawn === 'true'
+    });
+
+    res.json({
+      success: true,
+      applicationCount: applications.length,
+      blindScreening: Boolean(req.job.blind_screening),
+      applications: applications.map(application => {
+        const seeker = application.job_seekers || { id: application.job_seeker_id };
+        const match = application.matches || {};
+        const hidden = isIdentityHidden(req.job, match);
+        return {
+          applicationId: application.id,
+          ...candidateIdentity(req.job, match, seeker),
+          promptRisk: describePromptRisk(mergePromptRisk(seeker.prompt_risk, match.prompt_risk)),
+          status: application.status,
+          pipelineStatus: match.status || null,
+          screeningStatus: match.screening_status || null,
+          matchId: application.match_id,
+          matchScore: formatPercent(match.match_score),
+          technicalFit: formatPercent(match.technical_fit),
+          behavioralFit: formatPercent(match.behavioral_fit),
+          explanation: match.explanation || null,
+          analysisStatus: match.analysis_status || null,
+          coverLetter: hidden
+            ? redactPii(application.cover_letter, { names: [seeker.users ? seeker.users.full_name : null] })
+            : application.cover_letter,
+          resume: employerResumeView(application.resume_versions, req.user.id, hidden),
+          submittedAt: application.submitted_at,
+          withdrawnAt: application.withdrawn_at
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching applications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A seeker's own applications with where each one is in the employer's pipeline
+app.get('/api/jobseeker/:seekerId/applications', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const applications = await listApplicationsForSeeker(req.params.seekerId);
+
+    res.json({
+      success: true,
+      applicationCount: applications.length,
+      applications: applications.map(application => {
+        const job = application.job_listings || {};
+        const match = application.matches || {};
+        return {
+          applicationId: application.id,
+          jobId: application.job_listing_id,
+          jobTitle: job.title,
+          company: job.employers ? job.employers.company_name : null,
+          location: job.location,
+          jobOpen: Boolean(job.is_active),
+          status: application.status,
+          pipelineStatus: match.status || null,
+          pipelineUpdatedAt: match.status_updated_at || null,
+          matchScore: formatPercent(match.match_score),
+          resume: withSignedResumeUrl(application.resume_versions, req.user.id),
+          submittedAt: application.submitted_at,
+          withdrawnAt: application.withdrawn_at
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching seeker applications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One application (the applicant or the job's employer)
+app.get('/api/application/:applicationId', authenticate, requireApplicationAccess('applicationId'), async (req, res) => {
+  try {
+    const application = await getApplication(req.params.applicationId);
+    const match = application.matches || {};
+    const seeker = application.job_seekers || { id: application.job_seeker_id };
+    const hidden = req.user.userType === 'employer' && isIdentityHidden(application.job_listings, match);
+
+    res.json({
+      success: true,
+      application: {
+        applicationId: application.id,
+        jobId: application.job_listing_id,
+        jobTitle: application.job_listings ? application.job_listings.title : null,
+        ...(req.user.userType === 'employer'
+          ? candidateIdentity(application.job_listings, match, seeker)
+          : { candidateId: application.job_seeker_id }),
+        status: application.status,
+        pipelineStatus: match.status || null,
+        matchId: application.match_id,
+        matchScore: formatPercent(match.match_score),
+        coverLetter: hidden
+          ? redactPii(application.cover_letter, { names: [seeker.users ? seeker.users.full_name : null] })
+          : application.cover_letter,
+        resume: employerResumeView(application.resume_versions, req.user.id, hidden),
+        submittedAt: application.submitted_at,
+        withdrawnAt: application.withdrawn_at
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching application:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Withdraw own application
+app.post('/api/application/:applicationId/withdraw', authenticate, requireRole('job_seeker'), requireApplicationAccess('applicationId'), async (req, res) => {
+  try {
+    const application = await withdrawApplication(req.application);
+
+    res.json({ success: true, applicationId: application.id, status: application.status });
+  } catch (error) {
+    if (error instanceof ApplicationError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error withdrawing application:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Open (or fetch) the message thread for an application; same rules as for its match
+app.post('/api/application/:applicationId/thread', authenticate, requireRole('job_seeker', 'employer'), requireApplicationAccess('applicationId'), async (req, res) => {
+  try {
+    const { thread, created } = await openApplicationThread(req.application);
+    const role = participantRole(req.user);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      thread: describeThread(thread, role, await countUnread(thread, role))
+    });
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error opening thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get candidates for job
+app.get('/api/candidates/:jobId', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    // Stored scores are returned right away; new or changed pairs are scored in the
+    // background (?refresh=true rescores the top-K) and can be followed through
+    // /api/matching/jobs/:matchingJobId
+    const forceRefresh = req.query.refresh === 'true';
+    const topK = parseTopK(req.query.topK);
+    const plan = await planMatchingForJob(jobId, { forceRefresh, topK });
+    const matchingJob = enqueueMatching({
+      kind: 'job',
+      targetId: jobId,
+      ownerProfileId: plan.job.employer_id,
+      pairs: plan.toScore
+    });
+
+    // Only the top-K seekers by local score are sent to the LLM (?topK= overrides);
+    // the rest are listed with their local sub-scores only
+    const seekers = plan.seekers;
+
+    // Seekers who applied are listed under /api/job/:jobId/applications instead
+    const applicants = await applicantSeekerIds(jobId);
+    const matchResults = [...plan.current, ...plan.stale, ...plan.localOnly]
+      .filter(match => !applicants.has(String(match.seekerId)));
+
+    // On blind-screening jobs, candidates not yet shortlisted are listed under a pseudonym
+    const candidateResults = matchResults.map(match => {
+      const seeker = seekers.find(s => String(s.id) === String(match.seekerId));
+      return {
+        ...candidateIdentity(plan.job, { status: match.status, identity_revealed_at: match.identityRevealedAt }, seeker),
+        promptRisk: describePromptRisk(mergePromptRisk(seeker.prompt_risk, match.promptRisk)),
+        matchId: match.matchId,
+        status: match.status,
+        screeningStatus: match.screeningStatus,
+        matchScore: match.matchScore,
+        technicalFit: match.technicalFit,
+        behavioralFit: match.behavioralFit,
+        explanation: match.explanation,
+        analysisStatus: match.analysisStatus,
+        analysisError: match.analysisError,
+        localScores: match.localScores,
+        scoringStage: match.matchScore !== null ? 'ai' : 'local',
+        scoredAt: match.scoredAt,
+        stale: match.stale
+      };
+    });
+
+    // Sort by AI match score (descending), then by local score for the rest
+    const sortedCandidates = candidateResults
+      .sort((a, b) => ((b.matchScore ?? -1) - (a.matchScore ?? -1)) || (b.localScores.localScore - a.localScores.localScore))
+      .map(c => ({
         ...c,
-        matchScore: (c.matchScore * 100).toFixed(0) + '%',
-        technicalFit: (c.technicalFit * 100).toFixed(0) + '%',
-        behavioralFit: (c.behavioralFit * 100).toFixed(0) + '%'
+        matchScore: formatPercent(c.matchScore),
+        technicalFit: formatPercent(c.technicalFit),
+        behavioralFit: formatPercent(c.behavioralFit)
       }));
 
     res.json({ 
       success: true,
+      blindScreening: Boolean(plan.job.blind_screening),
       candidateCount: sortedCandidates.length,
+      applicantCount: applicants.size,
+      pendingCount: plan.toScore.length,
+      matchingJobId: matchingJob ? matchingJob.id : null,
       candidates: sortedCandidates 
     });
   } catch (error) {
-    console.error('Error fetching candidates:', error);
+    console.error('Error fetching candidates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+app.get('/api/matches/:seekerId', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const { seekerId } = req.params;
+
+    // Stored scores are returned right away; new or changed pairs are scored in the
+    // background (?refresh=true rescores the top-K). Every score is stored, including
+    // low ones, so it doesn't have to be recomputed next time. Listings that fail the
+    // seeker's hard preferences (salary, location, remote) are left out before scoring.
+    const forceRefresh = req.query.refresh === 'true';
+    const topK = parseTopK(req.query.topK);
+    const plan = await planMatchingForSeeker(seekerId, { forceRefresh, topK });
+    const matchingJob = enqueueMatching({
+      kind: 'seeker',
+      targetId: seekerId,
+      ownerProfileId: seekerId,
+      pairs: plan.toScore
+    });
+
+    const jobs = plan.jobs;
+    const scoredJobs = [...plan.current, ...plan.stale];
+
+    const matchResults = scoredJobs.map(match => {
+      const job = jobs.find(j => String(j.id) === String(match.jobId));
+      return {
+        jobId: job.id,
+        jobTitle: job.title,
+        company: job.employers.company_name,
+        location: job.location,
+        workMode: job.work_mode,
+        salaryRange: job.salary_range,
+        salary: formatSalary(job),
+        matchId: match.matchId,
+        status: match.status,
+        screeningStatus: match.screeningStatus,
+        matchScore: match.matchScore,
+        technicalFit: match.technicalFit,
+        behavioralFit: match.behavioralFit,
+        explanation: match.explanation,
+        analysisStatus: match.analysisStatus,
+        localScores: match.localScores,
+        scoredAt: match.scoredAt,
+        stale: match.stale
+      };
+    });
+
+    // Filter matches >= 75% (0.75)
+    const goodMatches = matchResults.filter(m => m.matchScore >= 0.75);
+    const failedMatches = matchResults.filter(m => m.analysisStatus === 'failed');
+
+    // Sort by match score (descending)
+    const sortedMatches = goodMatches
+      .sort((a, b) => b.matchScore - a.matchScore)
+      .map(m => ({
+        ...m,
+        matchScore: formatPercent(m.matchScore),
+        technicalFit: formatPercent(m.technicalFit),
+        behavioralFit: formatPercent(m.behavioralFit)
+      }));
+
+    res.json({ 
+      success: true,
+      matchCount: sortedMatches.length,
+      analysisFailures: failedMatches.length,
+      excludedByPreferences: plan.excludedJobs.length,
+      pendingCount: plan.toScore.length,
+      matchingJobId: matchingJob ? matchingJob.id : null,
+      matches: sortedMatches 
+    });
+  } catch (error) {
+    console.error('Error fetching matches:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export a seeker's stored matches as CSV, JSON or XLSX. Query: format, columns,
+// status, minScore, maxScore (0-1).
+app.get('/api/matches/:seekerId/export', authenticate, requireRole('job_seeker'), requireSelf('seekerId'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query, SEEKER_MATCH_COLUMNS);
+    const rows = await buildSeekerMatchRows(req.params.seekerId, options);
+    const rendered = await renderExport(rows, options, { sheetName: 'Matches' });
+
+    sendExport(res, rendered, 'matches');
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting matches:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Background matching job status and partial results (poll)
+app.get('/api/matching/jobs/:matchingJobId', authenticate, (req, res) => {
+  const job = getMatchingJob(req.params.matchingJobId);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Matching job not found' });
+  }
+
+  if (job.ownerProfileId !== req.user.profileId) {
+    return res.status(403).json({ success: false, error: 'You do not have access to this matching job' });
+  }
+
+  res.json({ success: true, job: snapshot(job) });
+});
+
+// Background matching job progress as Server-Sent Events: a 'progress' snapshot on
+// connect and after every pair, a 'result' per scored pair, then 'done'
+app.get('/api/matching/jobs/:matchingJobId/events', authenticateStream, (req, res) => {
+  const job = getMatchingJob(req.params.matchingJobId);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Matching job not found' });
+  }
+
+  if (job.ownerProfileId !== req.user.profileId) {
+    return res.status(403).json({ success: false, error: 'You do not have access to this matching job' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('progress', snapshot(job, { includeResults: false }));
+
+  if (['completed', 'failed'].includes(job.status)) {
+    send('done', snapshot(job, { includeResults: false }));
+    return res.end();
+  }
+
+  const onProgress = data => send('progress', data);
+  const onResult = data => send('result', data);
+  const onDone = data => {
+    send('done', data);
+    res.end();
+  };
+
+  job.events.on('progress', onProgress);
+  job.events.on('result', onResult);
+  job.events.once('done', onDone);
+
+  // Keep intermediaries from closing an idle stream while waiting on rate limits
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.events.off('progress', onProgress);
+    job.events.off('result', onResult);
+    job.events.off('done', onDone);
+  });
+});
+
+// Move a match through the hiring pipeline (employer only)
+app.patch('/api/match/:matchId/status', authenticate, requireRole('employer'), requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const { matchId } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Status is required' 
+      });
+    }
+
+    const match = await transitionMatch(matchId, status, {
+      changedBy: req.user.id,
+      note: note || null
+    });
+
+    if (match.status === 'shortlisted') {
+      const { data: job } = await supabase
+        .from('job_listings')
+        .select('title, employers(company_name)')
+        .eq('id', match.job_listing_id)
+        .maybeSingle();
+
+      await notifySeeker(match.job_seeker_id, 'shortlisted', {
+        jobTitle: job ? job.title : 'a job',
+        company: job && job.employers ? job.employers.company_name : null,
+        matchId: match.id
+      });
+    }
+
+    res.json({ 
+      success: true,
+      matchId: match.id,
+      status: match.status,
+      statusUpdatedAt: match.status_updated_at
+    });
+  } catch (error) {
+    if (error instanceof MatchTransitionError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating match status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Status change history for a match (seeker or owning employer)
+app.get('/api/match/:matchId/history', authenticate, requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const history = await getMatchHistory(req.params.matchId);
+
+    res.json({ 
+      success: true,
+      matchId: req.match.id,
+      status: req.match.status,
+      history: history.map(h => ({
+        fromStatus: h.from_status,
+        toStatus: h.to_status,
+        note: h.note,
+        changedAt: h.changed_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching match history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Skill-gap breakdown for a match (seeker or owning employer): matched skills with
+// resume evidence, missing and extra skills, experience delta and trait comparison
+app.get('/api/match/:matchId/report', authenticate, requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const match = req.match;
+
+    const { data: job, error: jobError } = await supabase
+      .from('job_listings')
+      .select('*, employers(company_name)')
+      .eq('id', match.job_listing_id)
+      .single();
+
+    if (jobError) throw jobError;
+
+    const { data: seeker, error: seekerError } = await supabase
+      .from('job_seekers')
+      .select('*, users(full_name)')
+      .eq('id', match.job_seeker_id)
+      .single();
+
+    if (seekerError) throw seekerError;
+
+    // Resume evidence quotes the resume, so it is redacted while the candidate is hidden
+    const hidden = req.user.userType === 'employer' && isIdentityHidden(job, match);
+    const reportSeeker = hidden
+      ? { ...seeker, resume_text: redactPii(seeker.resume_text, { names: [seeker.users ? seeker.users.full_name : null] }) }
+      : seeker;
+
+    res.json({ 
+      success: true,
+      matchId: match.id,
+      jobId: job.id,
+      jobTitle: job.title,
+      company: job.employers ? job.employers.company_name : null,
+      candidateId: hidden ? candidateIdentity(job, match, seeker).candidateId : seeker.id,
+      status: match.status,
+      report: buildSkillGapReport(job, reportSeeker, match)
+    });
+  } catch (error) {
+    console.error('Error building match report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a job's screening questionnaire (employer only). questions: [{ type:
+// free_text|multiple_choice|knockout, prompt, options, required, requiredAnswer }];
+// an empty list removes it. Earlier answers are kept against the archived questions.
+app.put('/api/job/:jobId/questionnaire', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const questions = await replaceQuestionnaire(req.job.id, req.body.questions);
+
+    res.json({
+      success: true,
+      jobId: req.job.id,
+      questions: questions.map(question => describeQuestion(question, { includeAnswerKey: true }))
+    });
+  } catch (error) {
+    if (error instanceof ScreeningError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error saving questionnaire:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A job's screening questions (anonymous or logged in). The owning employer also
+// sees the knockout answer keys; a seeker sees which questions they have answered.
+app.get('/api/job/:jobId/questionnaire', optionalAuthenticate, async (req, res) => {
+  try {
+    const job = await getPublicJob(req.params.jobId);
+    const isOwner = Boolean(req.user && req.user.userType === 'employer' && String(job.employer_id) === req.user.profileId);
+    const questions = await getQuestionnaire(job.id);
+
+    const answered = req.user && req.user.userType === 'job_seeker'
+      ? (await listAnswers(job.id, req.user.profileId)).map(answer => answer.question_id)
+      : null;
+
+    res.json({
+      success: true,
+      jobId: job.id,
+      questions: questions.map(question => describeQuestion(question, { includeAnswerKey: isOwner })),
+      ...(answered ? { answeredQuestionIds: answered } : {})
+    });
+  } catch (error) {
+    if (error instanceof JobSearchError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching questionnaire:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Answer a job's screening questions once matched (seeker only). answers:
+// [{ questionId, answer }]. A failed knockout rejects the match; otherwise the
+// match is rescored with the free-text answers.
+app.post('/api/match/:matchId/screening', authenticate, requireRole('job_seeker'), requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const match = req.match;
+
+    const { data: job, error: jobError } = await supabase
+      .from('job_listings')
+      .select('*, employers(*)')
+      .eq('id', match.job_listing_id)
+      .single();
+
+    if (jobError) throw jobError;
+    if (!isJobOpen(job)) {
+      return res.status(409).json({ success: false, error: 'This job is no longer accepting answers' });
+    }
+
+    const seeker = await getSeeker(req.user.profileId);
+    const screening = await prepareScreeningAnswers(job.id, seeker.id, req.body.answers);
+
+    if (screening.questions.length === 0) {
+      return res.status(404).json({ success: false, error: 'This job has no screening questions' });
+    }
+    if (screening.rows.length === 0) {
+      return res.status(409).json({ success: false, error: 'You have already answered these screening questions' });
+    }
+
+    const result = await saveScreeningAnswers(screening, match);
+
+    const pair = result.status === 'disqualified' ? null : await pairToRescore(job, seeker, match);
+    const matchingJob = pair
+      ? enqueueMatching({ kind: 'screening', targetId: match.id, ownerProfileId: seeker.id, pairs: [pair] })
+      : null;
+
+    res.json({
+      success: true,
+      matchId: match.id,
+      screeningStatus: result.status,
+      pipelineStatus: result.disqualified ? 'rejected' : match.status,
+      matchingJobId: matchingJob ? matchingJob.id : null
+    });
+  } catch (error) {
+    if (error instanceof ScreeningError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message, ...error.details });
+    }
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error saving screening answers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Screening questions and answers for a match (seeker or owning employer). The
+// employer also sees which knockouts passed; free-text answers are redacted while a
+// blind-screening candidate is still hidden.
+app.get('/api/match/:matchId/screening', authenticate, requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const match = req.match;
+    const isEmployer = req.user.userType === 'employer';
+
+    const { data: job, error: jobError } = await supabase
+      .from('job_listings')
+      .select('id, blind_screening')
+      .eq('id', match.job_listing_id)
+      .single();
+
+    if (jobError) throw jobError;
+
+    const [questions, answers, seeker] = await Promise.all([
+      getQuestionnaire(job.id),
+      listAnswers(job.id, match.job_seeker_id),
+      getSeeker(match.job_seeker_id)
+    ]);
+
+    const names = [seeker.users ? seeker.users.full_name : null];
+    const redact = isEmployer && isIdentityHidden(job, match) ? text => redactPii(text, { names }) : null;
+
+    res.json({
+      success: true,
+      matchId: match.id,
+      screeningStatus: match.screening_status || null,
+      questions: questions.map(question => describeQuestion(question, { includeAnswerKey: isEmployer })),
+      answers: answers.map(answer => describeAnswer(answer, { includeResult: isEmployer, redact }))
+    });
+  } catch (error) {
+    console.error('Error fetching screening answers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-job hiring pipeline: stored matches grouped by status
+app.get('/api/job/:jobId/pipeline', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const { data: matches, error } = await supabase
+      .from('matches')
+      .select('*, job_seekers(id, experience_years, prompt_risk, users(email, full_name))')
+      .eq('job_listing_id', jobId)
+      .order('match_score', { ascending: false, nullsFirst: false });
+
+    if (error) throw error;
+
+    const applicants = await applicantSeekerIds(jobId);
+
+    const pipeline = {};
+    MATCH_STATUSES.forEach(status => {
+      pipeline[status] = [];
+    });
+
+    matches.forEach(match => {
+      const status = match.status || 'pending';
+      const seeker = match.job_seekers || {};
+      (pipeline[status] = pipeline[status] || []).push({
+        matchId: match.id,
+        ...candidateIdentity(req.job, match, { id: match.job_seeker_id, ...seeker }),
+        promptRisk: describePromptRisk(mergePromptRisk(seeker.prompt_risk, match.prompt_risk)),
+        matchScore: match.match_score,
+        technicalFit: match.technical_fit,
+        behavioralFit: match.behavioral_fit,
+        screeningStatus: match.screening_status || null,
+        source: applicants.has(String(match.job_seeker_id)) ? 'application' : 'ai',
+        statusUpdatedAt: match.status_updated_at
+      });
+    });
+
+    const counts = {};
+    Object.keys(pipeline).forEach(status => {
+      counts[status] = pipeline[status].length;
+    });
+
+    res.json({ 
+      success: true,
+      jobId,
+      blindScreening: Boolean(req.job.blind_screening),
+      counts,
+      pipeline
+    });
+  } catch (error) {
+    console.error('Error fetching pipeline:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Export a job's candidates as CSV, JSON or XLSX, best match first. Query: format,
+// columns, status, minScore, maxScore (0-1). Blind-screened candidates are exported
+// under their pseudonym without contact details or a resume link.
+app.get('/api/job/:jobId/export', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const options = parseExportOptions(req.query, CANDIDATE_COLUMNS);
+    const rows = await buildCandidateRows(req.job, options, {
+      viewerId: req.user.id,
+      baseUrl: process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`,
+      req
+    });
+    const rendered = await renderExport(rows, options, {
+      sheetName: req.job.title || 'Candidates',
+      meta: { jobId: req.job.id, jobTitle: req.job.title, blindScreening: Boolean(req.job.blind_screening) }
+    });
+
+    sendExport(res, rendered, `candidates-${req.job.title || req.job.id}`);
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error exporting candidates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Open (or fetch) the message thread for a match. Only once the employer has shortlisted
+// the candidate; either side can open it.
+app.post('/api/match/:matchId/thread', authenticate, requireRole('job_seeker', 'employer'), requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const { thread, created } = await openThread(req.match);
+    const role = participantRole(req.user);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      thread: describeThread(thread, role, await countUnread(thread, role))
+    });
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error opening thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Own message threads with unread counts (?jobId= narrows an employer's list to one job)
+app.get('/api/threads', authenticate, requireRole('job_seeker', 'employer'), async (req, res) => {
+  try {
+    const threads = await listThreads(req.user, { jobId: req.query.jobId || null });
+
+    res.json({
+      success: true,
+      totalUnread: threads.reduce((sum, thread) => sum + thread.unreadCount, 0),
+      threadCount: threads.length,
+      threads
+    });
+  } catch (error) {
+    console.error('Error listing threads:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages in a thread, oldest first (?before= a sentAt timestamp pages back)
+app.get('/api/thread/:threadId/messages', authenticate, requireThreadAccess('threadId'), async (req, res) => {
+  try {
+    const thread = req.thread;
+    const role = participantRole(req.user);
+    const { messages, hasMore } = await listMessages(thread, {
+      before: req.query.before || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      thread: describeThread(thread, role, await countUnread(thread, role)),
+      hasMore,
+      messages: messages.map(message => describeMessage(message, thread, role, req.user.id))
+    });
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a message, optionally with one attachment (same file types and size limit as resumes)
+app.post('/api/thread/:threadId/messages', authenticate, requireThreadAccess('threadId'), upload.single('attachment'), checkUploadedFile, async (req, res) => {
+  try {
+    const message = await sendMessage(req.thread, req.user, {
+      body: req.body.body,
+      attachment: req.file || null
+    });
+
+    // One email per thread until the recipient has read it
+    const thread = describeThread(req.thread, participantRole(req.user), 0);
+    const recipientRole = req.user.userType === 'employer' ? 'seeker' : 'employer';
+    const payload = {
+      senderName: req.user.userType === 'employer' ? thread.company : thread.candidateName,
+      jobTitle: thread.jobTitle,
+      preview: message.body ? message.body.slice(0, 200) : null,
+      threadId: thread.threadId
+    };
+    const options = {
+      dedupeKey: `message:${thread.threadId}:${recipientRole}:${req.thread[`${recipientRole}_last_read_at`] || 'unread'}`
+    };
+
+    if (recipientRole === 'seeker') {
+      await notifySeeker(req.thread.job_seeker_id, 'message_received', payload, options);
+    } else {
+      await notifyEmployer(req.thread.employer_id, 'message_received', payload, options);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: describeMessage(message, req.thread, participantRole(req.user), req.user.id)
+    });
+  } catch (error) {
+    discardUpload(req.file);
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error sending message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Mark a thread read, up to now or up to { messageId }
+app.post('/api/thread/:threadId/read', authenticate, requireThreadAccess('threadId'), async (req, res) => {
+  try {
+    const lastReadAt = await markThreadRead(req.thread, req.user, {
+      upToMessageId: req.body.messageId || null
+    });
+
+    res.json({ success: true, threadId: req.thread.id, lastReadAt });
+  } catch (error) {
+    if (error instanceof MessagingError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error marking thread read:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Publish interview slots for a job. Times without an offset are read in each slot's
+// timeZone, or the request's timeZone (IANA name, e.g. Europe/Berlin)
+app.post('/api/job/:jobId/interview-slots', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const slots = await createSlots(req.job, normalizeSlots(req.body.slots, req.body.timeZone));
+
+    res.status(201).json({
+      success: true,
+      jobId: req.job.id,
+      slots: slots.map(slot => describeSlot(slot))
+    });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error publishing interview slots:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// A job's open and booked interview slots (?timeZone= for local times)
+app.get('/api/job/:jobId/interview-slots', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const timeZone = viewerTimeZone(req.query.timeZone);
+    const slots = await listSlots(req.job.id);
+
+    res.json({
+      success: true,
+      jobId: req.job.id,
+      slots: slots.map(slot => describeSlot(slot, timeZone))
+    });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching interview slots:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Withdraw an unbooked slot
+app.delete('/api/job/:jobId/interview-slots/:slotId', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
+  try {
+    const slot = await cancelSlot(req.job.id, req.params.slotId);
+
+    res.json({ success: true, slotId: slot.id, status: slot.status });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error cancelling interview slot:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Invite a shortlisted candidate to book one of the job's slots; moves the match to interviewing
+app.post('/api/match/:matchId/interview', authenticate, requireRole('employer'), requireMatchAccess('matchId'), async (req, res) => {
+  try {
+    const interview = await inviteCandidate(req.match, {
+      note: req.body.note,
+      invitedBy: req.user.id
+    });
+    const invited = describeInterview(interview);
+
+    await notifySeeker(interview.job_seeker_id, 'interview_invite', {
+      jobTitle: invited.jobTitle,
+      company: invited.company,
+      note: interview.note,
+      interviewId: interview.id
+    });
+
+    const slots = await listSlots(interview.job_listing_id, { openOnly: true });
+
+    res.status(201).json({
+      success: true,
+      interview: invited,
+      availableSlotCount: slots.length
+    });
+  } catch (error) {
+    if (error instanceof InterviewError || error instanceof MatchTransitionError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error inviting candidate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Own interviews, soonest first (?status=, ?jobId=, ?upcoming=true, ?timeZone=)
+app.get('/api/interviews', authenticate, requireRole('job_seeker', 'employer'), async (req, res) => {
+  try {
+    const timeZone = viewerTimeZone(req.query.timeZone);
+    const role = req.user.userType === 'employer' ? 'employer' : 'seeker';
+    const interviews = await listInterviews(role, req.user.profileId, {
+      status: req.query.status || null,
+      jobId: req.query.jobId || null,
+      since: req.query.upcoming === 'true' ? new Date().toISOString() : null
+    });
+
+    res.json({
+      success: true,
+      interviewCount: interviews.length,
+      interviews: interviews.map(interview => describeInterview(interview, timeZone))
+    });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error listing interviews:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One interview with the slots it can be booked or moved into (?timeZone= for local times)
+app.get('/api/interview/:interviewId', authenticate, requireInterviewAccess('interviewId'), async (req, res) => {
+  try {
+    const timeZone = viewerTimeZone(req.query.timeZone);
+    const interview = req.interview;
+    const slots = interview.status === 'cancelled'
+      ? []
+      : await listSlots(interview.job_listing_id, { openOnly: true });
+
+    res.json({
+      success: true,
+      interview: describeInterview(interview, timeZone),
+      availableSlots: slots.map(slot => describeSlot(slot, timeZone))
+    });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error fetching interview:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Candidate books one of the open slots
+app.post('/api/interview/:interviewId/book', authenticate, requireRole('job_seeker'), requireInterviewAccess('interviewId'), async (req, res) => {
+  try {
+    if (req.interview.status !== 'invited') {
+      return res.status(409).json({
+        success: false,
+        error: req.interview.status === 'scheduled'
+          ? 'This interview is already booked. Use reschedule to change the slot.'
+          : 'This interview has been cancelled'
+      });
+    }
+
+    const interview = await bookSlot(req.interview, req.body.slotId);
+
+    res.json({ success: true, interview: describeInterview(interview) });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error booking interview:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Move a scheduled interview to another open slot ({ slotId }). The employer may
+// leave slotId out to send the candidate back to picking a slot.
+app.post('/api/interview/:interviewId/reschedule', authenticate, requireRole('job_seeker', 'employer'), requireInterviewAccess('interviewId'), async (req, res) => {
+  try {
+    const { slotId } = req.body;
+
+    if (req.interview.status !== 'scheduled') {
+      return res.status(409).json({ success: false, error: 'Only scheduled interviews can be rescheduled' });
+    }
+    if (!slotId && req.user.userType !== 'employer') {
+      return res.status(400).json({ success: false, error: 'slotId is required' });
+    }
+
+    const interview = slotId
+      ? await bookSlot(req.interview, slotId)
+      : await reopenInvitation(req.interview);
+
+    res.json({ success: true, interview: describeInterview(interview) });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error rescheduling interview:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel an invitation or a scheduled interview (either side)
+app.post('/api/interview/:interviewId/cancel', authenticate, requireRole('job_seeker', 'employer'), requireInterviewAccess('interviewId'), async (req, res) => {
+  try {
+    const interview = await cancelInterview(req.interview, {
+      role: req.user.userType === 'employer' ? 'employer' : 'seeker',
+      reason: req.body.reason
+    });
+
+    res.json({ success: true, interview: describeInterview(interview) });
+  } catch (error) {
+    if (error instanceof InterviewError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error cancelling interview:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Download a booked (or cancelled, once booked) interview as an .ics file
+app.get('/api/interview/:interviewId/ics', authenticate, requireInterviewAccess('interviewId'), (req, res) => {
+  const interview = req.interview;
+
+  if (!interview.starts_at) {
+    return res.status(409).json({ success: false, error: 'This interview has not been booked yet' });
+  }
+
+  const method = interview.status === 'cancelled' ? 'CANCEL' : 'PUBLISH';
+  sendCalendar(res, buildCalendar([interviewEvent(interview)], { method }), `interview-${interview.id}.ics`);
+});
+
+// Create a private calendar feed URL for the caller's interviews. Creating a new
+// one revokes the previous URL.
+app.post('/api/calendar/feed', authenticate, requireRole('job_seeker', 'employer'), async (req, res) => {
+  try {
+    const token = await createFeedToken(req.user.id);
+    const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+
+    res.status(201).json({ success: true, feedUrl: `${baseUrl}/api/calendar/${token}.ics` });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
-app.get('/api/matches/:seekerId', async (req, res) => {
+
+// Calendar feed (no Authorization header; the token in the URL identifies the user).
+// Booked interviews from the last 30 days on, including cancellations so
+// subscribed calendars drop them.
+app.get('/api/calendar/:feedToken', async (req, res) => {
   try {
-    const { seekerId } = req.params;
+    const user = await findFeedUser(req.params.feedToken.replace(/\.ics$/, ''));
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
 
-    // Get job seeker profile
-    const { data: seeker, error: seekerError } = await supabase
-      .from('job_seekers')
-      .select('*')
-      .eq('id', seekerId)
-      .single();
+    const profile = await getUserProfile(user);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Calendar feed not found' });
+    }
 
-    if (seekerError) throw seekerError;
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const interviews = await listInterviews(user.user_type === 'employer' ? 'employer' : 'seeker', profile.id, { since });
 
-    // Get all active jobs
-    const { data: jobs, error: jobsError } = await supabase
-      .from('job_listings')
-      .select('*, employers(*)')
-      .eq('is_active', true);
+    const events = interviews
+      .filter(interview => interview.starts_at)
+      .map(interviewEvent);
 
-    if (jobsError) throw jobsError;
+    sendCalendar(res, buildCalendar(events, { name: 'Swift Jobs interviews' }));
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Match each job with the seeker
-    const matchResults = await Promise.all(jobs.map(async (job) => {
-      const matchPrompt = `Score this job match (0-1.0):
+// Own email notification preferences: per type 'immediate', 'daily' (digest) or 'off'
+app.get('/api/notifications/preferences', authenticate, async (req, res) => {
+  try {
+    res.json({ success: true, preferences: await getNotificationPreferences(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Job Seeker:
-Skills: ${JSON.stringify(seeker.skills)}
-Experience: ${seeker.experience_years} years
-Preferred Roles: ${JSON.stringify(seeker.preferred_roles)}
-Behavioral Traits: ${JSON.stringify(seeker.behavioral_traits)}
+app.put('/api/notifications/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await updateNotificationPreferences(req.user.id, req.body);
 
-Job:
-Title: ${job.title}
-Required Skills: ${JSON.stringify(job.required_skills)}
-Behavioral Requirements: ${JSON.stringify(job.behavioral_traits)}
-Description: ${job.description}
+    res.json({ success: true, preferences });
+  } catch (error) {
+    if (error instanceof NotificationError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Provide a JSON response:
-{
-  "match_score": 0.85,
-  "technical_fit": 0.90,
-  "behavioral_fit": 0.80,
-  "explanation": "Strong match because..."
-}`;
+// Short-lived signed link to a seeker's resume (current, or ?versionId=). For the
+// seeker, or an employer with a match or application from them.
+app.get('/api/jobseeker/:seekerId/resume/link', authenticate, async (req, res) => {
+  try {
+    const { seekerId } = req.params;
 
-      const matchResult = await analyzeWithGroq(matchPrompt);
-      
-      try {
-        const jsonMatch = matchResult.match(/\{[\s\S]*\}/);
-        const matchData = jsonMatch ? JSON.parse(jsonMatch[0]) : { 
-          match_score: 0.70, 
-          technical_fit: 0.70,
-          behavioral_fit: 0.70,
-          explanation: "Good general fit" 
-        };
-        
-        return {
-          jobId: job.id,
-          jobTitle: job.title,
-          company: job.employers.company_name,
-          location: job.location,
-          salaryRange: job.salary_range,
-          matchScore: parseFloat(matchData.match_score.toFixed(2)),
-          technicalFit: parseFloat(matchData.technical_fit.toFixed(2)),
-          behavioralFit: parseFloat(matchData.behavioral_fit.toFixed(2)),
-          explanation: matchData.explanation
-        };
-      } catch (parseError) {
-        return {
-          jobId: job.id,
-          jobTitle: job.title,
-          company: job.employers.company_name,
-          location: job.location,
-          salaryRange: job.salary_range,
-          matchScore: 0.70,
-          technicalFit: 0.70,
-          behavioralFit: 0.70,
-          explanation: "Potential match based on profile"
-        };
-      }
-    }));
+    if (!(await canAccessResume(req.user, seekerId))) {
+      await recordFileAccess({ seekerId, userId: req.user.id, event: 'denied', reason: 'no_relationship', req });
+      return res.status(403).json({ success: false, error: 'You do not have access to this resume' });
+    }
 
-    // Filter matches >= 75% (0.75)
-    const goodMatches = matchResults.filter(m => m.matchScore >= 0.75);
+    const version = req.query.versionId
+      ? await getResumeVersion(seekerId, req.query.versionId)
+      : null;
+    const seeker = version ? null : await getSeeker(seekerId);
+    const storedUrl = version ? version.resume_url : seeker.resume_url;
 
-    // Save matches to database
-    const matchesToInsert = goodMatches.map(match => ({
-      job_seeker_id: seekerId,
-      job_listing_id: match.jobId,
-      match_score: match.matchScore,
-      technical_fit: match.technicalFit,
-      behavioral_fit: match.behavioralFit,
-      status: 'pending',
-      match_date: new Date().toISOString()
-    }));
-
-    if (matchesToInsert.length > 0) {
-      // Use upsert to avoid duplicate entries
-      const { data: insertedMatches, error: matchInsertError } = await supabase
-        .from('matches')
-        .upsert(matchesToInsert, { 
-          onConflict: 'job_seeker_id,job_listing_id',
-          ignoreDuplicates: false 
-        })
-        .select();
-
-      if (matchInsertError) {
-        console.error('Match insert error:', matchInsertError);
-        // Continue anyway, we can still return the matches
-      }
+    if (!storedUrl) {
+      return res.status(404).json({ success: false, error: 'No resume on file' });
     }
 
-    // Sort by match score (descending)
-    const sortedMatches = goodMatches
-      .sort((a, b) => b.matchScore - a.matchScore)
-      .map(m => ({
-        ...m,
-        matchScore: (m.matchScore * 100).toFixed(0) + '%',
-        technicalFit: (m.technicalFit * 100).toFixed(0) + '%',
-        behavioralFit: (m.behavioralFit * 100).toFixed(0) + '%'
-      }));
+    const url = signedFileUrl(storedUrl, req.user.id, { filename: version ? version.original_filename : null });
+    await recordFileAccess({ fileName: path.basename(storedUrl), seekerId, userId: req.user.id, event: 'link_issued', req });
 
-    res.json({ 
-      success: true,
-      matchCount: sortedMatches.length,
-      matches: sortedMatches 
-    });
+    res.json({ success: true, url, expiresInSeconds: FILE_URL_TTL_SECONDS });
   } catch (error) {
-    console.error('Error fetching matches:', error);
+    if (error instanceof SeekerProfileError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error issuing resume link:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get candidates for job
-app.get('/api/candidates/:jobId', async (req, res) => {
+// Signed link to a job's uploaded description file (owning employer)
+app.get('/api/job/:jobId/description-file/link', authenticate, requireRole('employer'), requireJobOwner('jobId'), async (req, res) => {
   try {
-    const { jobId } = req.params;
+    const storedUrl = req.job.description_file_url;
+    if (!storedUrl) {
+      return res.status(404).json({ success: false, error: 'This job has no uploaded description file' });
+    }
 
-    // Get job details
-    const { data: job, error: jobError } = await supabase
-      .from('job_listings')
-      .select('*, employers(*)')
-      .eq('id', jobId)
-      .single();
+    const url = signedFileUrl(storedUrl, req.user.id);
+    await recordFileAccess({ fileName: path.basename(storedUrl), userId: req.user.id, event: 'link_issued', req });
 
-    if (jobError) throw jobError;
+    res.json({ success: true, url, expiresInSeconds: FILE_URL_TTL_SECONDS });
+  } catch (error) {
+    console.error('Error issuing job description link:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Get all job seekers
-    const { data: seekers, error: seekersError } = await supabase
-      .from('job_seekers')
-      .select('*, users(email, full_name)');
+// Download an upload through a signed link. Every attempt is recorded.
+app.get('/api/files/:token', async (req, res) => {
+  try {
+    const file = await openSignedFile(req.params.token);
+    await recordFileAccess({ fileName: file.fileName, userId: file.userId, event: 'download', req });
+
+    // attachment() guesses a type from the name, so the sniffed type is set after it
+    res.attachment(file.filename || file.fileName);
+    res.set({
+      'Content-Type': file.contentType,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, no-store'
+    });
+    res.sendFile(file.filePath);
+  } catch (error) {
+    if (error instanceof FileAccessError) {
+      await recordFileAccess({ fileName: error.fileName, userId: error.userId, event: 'denied', reason: error.code, req });
+      return res.status(error.statusCode).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Error serving file:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (seekersError) throw seekersError;
+// Skill taxonomy (admin only)
+app.get('/api/admin/skills', authenticate, requireRole('admin'), (req, res) => {
+  const skills = listSkills();
+  res.json({ success: true, skillCount: skills.length, skills });
+});
 
-    // Match each candidate with the job
-    const candidateResults = await Promise.all(seekers.map(async (seeker) => {
-      const matchPrompt = `Score this candidate match (0-1.0):
+// Add a canonical skill: { name, category, parentId?, id?, aliases? }
+app.post('/api/admin/skills', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const { id, name, category, parentId, aliases } = req.body;
+    const skill = await addSkill({ id, name, category, parentId, aliases: aliases || [] });
+    res.status(201).json({ success: true, skill });
+  } catch (error) {
+    if (error instanceof SkillTaxonomyError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error adding skill:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Job Requirements:
-Company: ${job.employers.company_name}
-Title: ${job.title}
-Required Skills: ${JSON.stringify(job.required_skills)}
-Behavioral Requirements: ${JSON.stringify(job.behavioral_traits)}
-Description: ${job.description}
+// Add an alias to a canonical skill: { alias }
+app.post('/api/admin/skills/:skillId/aliases', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const skill = await addAlias(req.params.skillId, req.body.alias);
+    res.status(201).json({ success: true, skill });
+  } catch (error) {
+    if (error instanceof SkillTaxonomyError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error adding skill alias:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Candidate Profile:
-Name: ${seeker.users.full_name}
-Skills: ${JSON.stringify(seeker.skills)}
-Experience: ${seeker.experience_years} years
-Preferred Roles: ${JSON.stringify(seeker.preferred_roles)}
-Behavioral Traits: ${JSON.stringify(seeker.behavioral_traits)}
+// Re-normalize all stored seeker and job skills with the current taxonomy
+app.post('/api/admin/skills/renormalize', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const counts = await renormalizeStoredSkills();
+    res.json({ success: true, updated: counts });
+  } catch (error) {
+    console.error('Error re-normalizing skills:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-Provide a JSON response:
-{
-  "match_score": 0.85,
-  "technical_fit": 0.90,
-  "behavioral_fit": 0.80,
-  "explanation": "Strong candidate because..."
-}`;
+// Notification outbox (admin only): recent rows (?status=failed), and a manual
+// digest + send run
+app.get('/api/admin/notifications/outbox', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const rows = await listOutbox({ status: req.query.status || null, limit: req.query.limit });
 
-      const matchResult = await analyzeWithGroq(matchPrompt);
-      
-      try {
-        const jsonMatch = matchResult.match(/\{[\s\S]*\}/);
-        const matchData = jsonMatch ? JSON.parse(jsonMatch[0]) : { 
-          match_score: 0.70, 
-          technical_fit: 0.70,
-          behavioral_fit: 0.70,
-          explanation: "Good general fit" 
-        };
-        
-        return {
-          candidateId: seeker.id,
-          candidateName: seeker.users.full_name,
-          candidateEmail: seeker.users.email,
-          matchScore: parseFloat(matchData.match_score.toFixed(2)),
-          technicalFit: parseFloat(matchData.technical_fit.toFixed(2)),
-          behavioralFit: parseFloat(matchData.behavioral_fit.toFixed(2)),
-          explanation: matchData.explanation
-        };
-      } catch (parseError) {
-        return {
-          candidateId: seeker.id,
-          candidateName: seeker.users.full_name,
-          candidateEmail: seeker.users.email,
-          matchScore: 0.70,
-          technicalFit: 0.70,
-          behavioralFit: 0.70,
-          explanation: "Potential candidate based on requirements"
-        };
-      }
-    }));
-
-    // Save all matches to database
-    const matchesToInsert = candidateResults.map(match => ({
-      job_seeker_id: match.candidateId,
-      job_listing_id: jobId,
-      match_score: match.matchScore,
-      technical_fit: match.technicalFit,
-      behavioral_fit: match.behavioralFit,
-      status: 'pending',
-      match_date: new Date().toISOString()
-    }));
-
-    if (matchesToInsert.length > 0) {
-      const { error: matchInsertError } = await supabase
-        .from('matches')
-        .upsert(matchesToInsert, { 
-          onConflict: 'job_seeker_id,job_listing_id',
-          ignoreDuplicates: false 
-        })
-        .select();
-
-      if (matchInsertError) {
-        console.error('Match insert error:', matchInsertError);
-      }
-    }
+    res.json({ success: true, count: rows.length, outbox: rows });
+  } catch (error) {
+    console.error('Error fetching notification outbox:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Sort by match score
-    const sortedCandidates = candidateResults
-      .sort((a, b) => b.matchScore - a.matchScore)
-      .map(c => ({
-        ...c,
-        matchScore: (c.matchScore * 100).toFixed(0) + '%',
-        technicalFit: (c.technicalFit * 100).toFixed(0) + '%',
-        behavioralFit: (c.behavioralFit * 100).toFixed(0) + '%'
-      }));
+app.post('/api/admin/notifications/run', authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const digest = req.body.digest ? await sendDailyDigests() : null;
+    const outbox = await processOutbox({ limit: 100 });
 
-    res.json({ 
-      success: true,
-      candidateCount: sortedCandidates.length,
-      candidates: sortedCandidates 
-    });
+    res.json({ success: true, digest, outbox });
   } catch (error) {
-    console.error('Error fetching candidates:', error);
+    console.error('Error running notifications:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  // A provider that can't be set up (e.g. a missing API key) is reported, not thrown
+  let provider = null;
+  let providerError = null;
+  try {
+    provider = llm.getProvider();
+  } catch (error) {
+    providerError = error.message;
+  }
+
+  res.json({ 
+    status: providerError ? 'degraded' : 'ok', 
+    timestamp: new Date().toISOString(),
+    llm: {
+      provider: provider ? provider.name : null,
+      model: provider ? provider.defaultModel : null,
+      error: providerError,
+      usage: llm.getUsageTotals(),
+      warnings: llm.getConfigWarnings()
+    }
+  });
 });
 
 // Login endpoint
@@ -843,13 +2826,9 @@ app.post('/api/login', async (req, res) => {
     }
 
     // Get user from database
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
+    const user = await findUserByEmail(normalizeEmail(email));
 
-    if (userError || !user) {
+    if (!user) {
       return res.status(401).json({ 
         success: false, 
         error: 'Invalid email or password' 
@@ -866,24 +2845,20 @@ app.post('/api/login', async (req, res) => {
       });
     }
 
-    // Get additional profile data based on user type
-    let profileData = null;
-    if (user.user_type === 'job_seeker') {
-      const { data } = await supabase
-        .from('job_seekers')
-        .select('*')
-        .eq('user_id', user.id)
-        .single();
-      profileData = data;
-    } else if (user.user_type === 'employer') {
-      const { data } = await supabase
-        .from('employers')
-        .select('*')
-        .eq('user_id', user.id)
-        .single();
-      profileData = data;
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please confirm your email address before logging in',
+        code: 'email_not_verified'
+      });
     }
 
+    // Get additional profile data based on user type
+    const profileData = await getUserProfile(user);
+
+    // Issue access/refresh tokens scoped to the user's role and profile
+    const tokens = await issueTokens(user, profileData ? profileData.id : null);
+
     // Return user info (excluding password hash)
     res.json({
       success: true,
@@ -892,9 +2867,11 @@ app.post('/api/login', async (req, res) => {
         email: user.email,
         fullName: user.full_name,
         userType: user.user_type,
+        emailVerified: Boolean(user.email_verified_at),
         createdAt: user.created_at
       },
-      profile: profileData
+      profile: profileData,
+      tokens
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -902,6 +2879,214 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Confirm an email address with the token from the verification email
+app.post('/api/email/verify', accountTokenLimit, async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+
+    const { data: updated, error } = await supabase
+      .from('users')
+      .update({ email_verified_at: new Date().toISOString() })
+      .eq('id', userId)
+      .is('email_verified_at', null)
+      .select();
+
+    if (error) throw error;
+
+    // First confirmation: the account is ready, say hello
+    if (updated.length > 0) {
+      await notifyUser(userId, 'welcome', { userType: updated[0].user_type });
+    }
+
+    res.json({ success: true, message: 'Email address confirmed' });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a new verification email
+app.post('/api/email/verify/resend', accountEmailLimit, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user && !user.email_verified_at && await canIssueToken(user.id, 'email_verification')) {
+      await sendAccountTokenEmail(user, 'email_verification');
+    }
+
+    res.json({ success: true, message: ACCOUNT_EMAIL_SENT });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Email a password reset link
+app.post('/api/password/forgot', accountEmailLimit, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email address is required' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (user && await canIssueToken(user.id, 'password_reset')) {
+      await sendAccountTokenEmail(user, 'password_reset');
+    }
+
+    res.json({ success: true, message: ACCOUNT_EMAIL_SENT });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a new password with the token from the reset email. Signs the user out of
+// every session, and confirms the email address since the link reached it.
+app.post('/api/password/reset', accountTokenLimit, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Checked first so a weak password doesn't use up the token
+    if (!password || password.length < 6) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Password must be at least 6 characters long' 
+      });
+    }
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('email_verified_at')
+      .eq('id', userId)
+      .single();
+
+    if (error) throw error;
+
+    const { error: updateError } = await supabase
+      .from('users')
+      .update({
+        password_hash: hashedPassword,
+        email_verified_at: user.email_verified_at || new Date().toISOString()
+      })
+      .eq('id', userId);
+
+    if (updateError) throw updateError;
+
+    await revokeAllRefreshTokens(userId);
+
+    res.json({ success: true, message: 'Password updated. Please log in with your new password.' });
+  } catch (error) {
+    if (error instanceof AccountTokenError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token is revoked)
+app.post('/api/token/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Refresh token is required' 
+      });
+    }
+
+    const storedToken = await findValidRefreshToken(refreshToken);
+
+    if (!storedToken) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', storedToken.user_id)
+      .single();
+
+    if (userError || !user) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const revoked = await revokeRefreshToken(refreshToken);
+    if (!revoked) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid or expired refresh token' 
+      });
+    }
+
+    const profileData = await getUserProfile(user);
+    const tokens = await issueTokens(user, profileData ? profileData.id : null);
+
+    res.json({ success: true, tokens });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Logout: revoke the given refresh token so it can no longer be exchanged
+app.post('/api/logout', authenticate, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Refresh token is required' 
+      });
+    }
+
+    const storedToken = await findValidRefreshToken(refreshToken);
+
+    if (storedToken && String(storedToken.user_id) === req.user.id) {
+      await revokeRefreshToken(refreshToken);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Merge admin-added skills and aliases into the built-in taxonomy
+loadCustomTaxonomy().catch(error => {
+  console.error('Error loading custom skill taxonomy:', error.message);
+});
+
+// Close listings past their expiry date, now and then hourly
+startExpirySweep();
+startNotificationWorker();
+
+markInterruptedImports()
+  .then(count => {
+    if (count > 0) console.log(`Marked ${count} unfinished job import(s) as interrupted`);
+  })
+  .catch(error => console.error('Error marking interrupted job imports:', error.message));
+
 app.listen(PORT, () => {
   console.log(`Swift Jobs API running on port ${PORT}`);
   console.log(`Uploads directory: ${uploadDir}`);
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+const db = useFakeSupabase(createFakeSupabase({
+  unique: {
+    matches: [['job_seeker_id', 'job_listing_id']],
+    applications: [['job_listing_id', 'job_seeker_id']]
+  }
+}));
+
+const { submitApplication, withdrawApplication } = require('../lib/applications');
+
+const job = { id: 'j1', title: 'Backend Engineer', description: 'APIs', is_active: true, employers: null };
+const seeker = { id: 's1', skills: ['Node.js'], experience_years: 3 };
+
+const rejects = (promise, statusCode, message) => assert.rejects(promise, error =>
+  error.name === 'ApplicationError' && error.statusCode === statusCode && error.message === message);
+
+test('closed jobs and overlong cover letters are refused', async () => {
+  await rejects(submitApplication({ job: { ...job, is_active: false }, seeker }), 409, 'This job is no longer accepting applications');
+  await rejects(submitApplication({ job, seeker, coverLetter: 'x'.repeat(10001) }), 400, 'Cover letter cannot be longer than 10000 characters');
+  assert.strictEqual((db.tables.applications || []).length, 0);
+});
+
+test('one application per job: it can be withdrawn once and then submitted again', async () => {
+  const first = await submitApplication({ job, seeker, coverLetter: '  Hello  ' });
+  assert.strictEqual(first.application.status, 'submitted');
+  assert.strictEqual(first.application.cover_letter, 'Hello');
+  assert.strictEqual(first.application.match_id, first.match.id);
+  assert.strictEqual(first.match.analysis_status, 'pending');
+  assert.ok(first.pairToScore, 'an unscored match is queued for scoring');
+
+  await rejects(submitApplication({ job, seeker }), 409, 'You have already applied to this job');
+
+  const withdrawn = await withdrawApplication(first.application);
+  assert.strictEqual(withdrawn.status, 'withdrawn');
+  assert.ok(withdrawn.withdrawn_at);
+  await rejects(withdrawApplication(withdrawn), 409, 'Application is already withdrawn');
+
+  const again = await submitApplication({ job, seeker });
+  assert.strictEqual(again.application.id, first.application.id);
+  assert.strictEqual(again.application.status, 'submitted');
+  assert.strictEqual(again.application.withdrawn_at, null);
+  assert.strictEqual(db.tables.applications.length, 1);
+  assert.strictEqual(db.tables.matches.length, 1);
+});
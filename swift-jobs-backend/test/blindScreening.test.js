@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { redactPii } = require('../lib/blindScreening');
+
+test('names are redacted in full first, and ordinary words that share a name are kept', () => {
+  const text = 'Mark Smith\nSMITH, MARK\nI will mark tasks done. In May we won a grant. Smith\'s team grew.';
+  assert.strictEqual(
+    redactPii(text, { names: ['Mark Smith'] }),
+    '[NAME]\n[NAME], MARK\nI will mark tasks done. In May we won a grant. [NAME]\'s team grew.'
+  );
+  assert.strictEqual(
+    redactPii('Will Rose joined. will rose early. Rose garden, Will do.', { names: ['Will Rose'] }),
+    '[NAME] joined. will rose early. Rose garden, Will do.'
+  );
+});
+
+test('only phone-shaped numbers are redacted as phones', () => {
+  const kept = 'ISBN 978-0-13-468599-1 (978-0-13-468599-1), order 1234567890123456, code A1234567890, versions 1.2.3-4.5.6, ' +
+    'build 10.0.19041.1234, 2015-2019 2020';
+  assert.strictEqual(redactPii(kept), kept);
+
+  assert.strictEqual(
+    redactPii('Call +1 555 123 4567, (555) 123-4567 +44 (0)20 7946 0958, 555.123.4567, +15551234567 or 07700 900123.'),
+    'Call [PHONE], [PHONE] [PHONE], [PHONE], [PHONE] or [PHONE].'
+  );
+});
+
+test('phone numbers written without separators or as local 3-4 numbers are redacted', () => {
+  assert.strictEqual(
+    redactPii('Call 5551234567 or 555-1234 (desk: 555 1234).'),
+    'Call [PHONE] or [PHONE] (desk: [PHONE]).'
+  );
+  assert.strictEqual(redactPii('Pi is 3.14159265358, ID 55512345678901234.'), 'Pi is 3.14159265358, ID 55512345678901234.');
+});
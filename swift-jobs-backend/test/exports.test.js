@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+useFakeSupabase(createFakeSupabase({
+  tables: {
+    users: [
+      { id: 'u1', full_name: 'Ana Hidden', email: 'ana@example.com' },
+      { id: 'u2', full_name: 'Ben Shortlisted', email: 'ben@example.com' }
+    ],
+    job_seekers: [
+      { id: 's1', user_id: 'u1', skills: ['Go'], experience_years: 5, resume_url: '/uploads/ana.pdf' },
+      { id: 's2', user_id: 'u2', skills: ['Go'], experience_years: 3, resume_url: '/uploads/ben.pdf' }
+    ],
+    matches: [
+      { id: 'm1', job_listing_id: 'j1', job_seeker_id: 's1', status: 'pending', match_score: 0.9 },
+      { id: 'm2', job_listing_id: 'j1', job_seeker_id: 's2', status: 'shortlisted', match_score: 0.8, identity_revealed_at: '2026-10-01T00:00:00.000Z' }
+    ],
+    applications: []
+  }
+}));
+
+const { CANDIDATE_COLUMNS, buildCandidateRows, parseExportOptions, renderExport } = require('../lib/exports');
+
+test('CSV cells that a spreadsheet would run as a formula are escaped', async () => {
+  const columns = CANDIDATE_COLUMNS.filter(column => ['candidateName', 'explanation'].includes(column.key));
+  const rows = [
+    { candidateName: '=HYPERLINK("http://evil.example","x")', explanation: '+1 strong' },
+    { candidateName: '@SUM(A1)', explanation: '-2 weak' },
+    { candidateName: 'Plain Name', explanation: 'Good fit, solid Go' }
+  ];
+
+  const { body } = await renderExport(rows, { format: 'csv', columns }, { sheetName: 'Candidates' });
+  assert.strictEqual(body, '﻿Name,Explanation\r\n' +
+    '"\'=HYPERLINK(""http://evil.example"",""x"")",\'+1 strong\r\n' +
+    '\'@SUM(A1),\'-2 weak\r\n' +
+    'Plain Name,"Good fit, solid Go"\r\n');
+});
+
+test('blind-screened candidates are exported under a pseudonym without contact details or resume', async () => {
+  const job = { id: 'j1', blind_screening: true };
+  const options = parseExportOptions({ format: 'csv' }, CANDIDATE_COLUMNS);
+  const rows = await buildCandidateRows(job, options, { viewerId: 'employer-user', baseUrl: 'http://api.example', req: null });
+
+  const [hidden, revealed] = rows;
+  assert.match(hidden.candidateId, /^C-[0-9A-F]{8}$/);
+  assert.deepStrictEqual([hidden.candidateName, hidden.candidateEmail, hidden.resumeUrl], [null, null, null]);
+  assert.deepStrictEqual([revealed.candidateName, revealed.candidateEmail], ['Ben Shortlisted', 'ben@example.com']);
+  assert.match(revealed.resumeUrl, /^http:\/\/api\.example\/api\/files\//);
+
+  const { body } = await renderExport(rows, options, { sheetName: 'Candidates' });
+  assert.ok(!body.includes('Ana Hidden') && !body.includes('ana@example.com'));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+process.env.FILE_URL_SECRET = 'test-file-secret';
+useFakeSupabase(createFakeSupabase({
+  tables: {
+    job_listings: [
+      { id: 'open-job', employer_id: 'e1', blind_screening: false },
+      { id: 'blind-job', employer_id: 'e3', blind_screening: true }
+    ],
+    matches: [
+      { id: 'm1', job_listing_id: 'open-job', job_seeker_id: 's1', status: 'pending' },
+      { id: 'm2', job_listing_id: 'blind-job', job_seeker_id: 's1', status: 'pending' }
+    ]
+  }
+}));
+
+const { canAccessResume, checkFileType, openSignedFile, signedFileUrl } = require('../lib/fileAccess');
+
+const tokenOf = url => url.replace('/api/files/', '');
+
+const refused = (promise, statusCode, code) => assert.rejects(promise, error =>
+  error.name === 'FileAccessError' && error.statusCode === statusCode && error.code === code);
+
+test('expired and forged download links are refused', async () => {
+  await refused(openSignedFile(tokenOf(signedFileUrl('/uploads/resume.pdf', 'u1', { ttlSeconds: -60 }))), 410, 'expired');
+
+  const [payload, signature] = tokenOf(signedFileUrl('/uploads/resume.pdf', 'u1')).split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, f: 'someone-else.pdf' })).toString('base64url');
+  await refused(openSignedFile(`${forged}.${signature}`), 403, 'invalid_signature');
+  await refused(openSignedFile(`${payload}.${signature.slice(1)}x`), 403, 'invalid_signature');
+});
+
+test('a file whose content does not match its extension is not served', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-access-'));
+  try {
+    const filePath = path.join(dir, 'resume.pdf');
+    fs.writeFileSync(filePath, 'plain text pretending to be a PDF');
+    await refused(checkFileType(filePath, 'resume.pdf'), 415, 'content_mismatch');
+    assert.strictEqual((await checkFileType(filePath, 'resume.txt')).contentType, 'text/plain; charset=utf-8');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('only employers with a visible match or application can see a resume', async () => {
+  assert.strictEqual(await canAccessResume({ userType: 'employer', profileId: 'e1' }, 's1'), true);
+  assert.strictEqual(await canAccessResume({ userType: 'employer', profileId: 'e2' }, 's1'), false);
+  // A blind-screening candidate who hasn't been shortlisted stays hidden
+  assert.strictEqual(await canAccessResume({ userType: 'employer', profileId: 'e3' }, 's1'), false);
+  assert.strictEqual(await canAccessResume({ userType: 'job_seeker', profileId: 's2' }, 's1'), false);
+});
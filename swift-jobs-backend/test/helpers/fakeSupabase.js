@@ -0,0 +1,462 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// In-memory stand-in for the supabase-js client, covering the query builder calls
+// lib/ makes: filters (including or() strings and filters on embedded columns),
+// embedded selects resolved through <table>_id columns, order/limit/range,
+// single/maybeSingle, insert/upsert/update/delete with returned rows, and unique
+// constraints that fail with Postgres' 23505. Rows get an id and created_at when
+// they don't bring their own.
+const SUPABASE_PATH = path.join(__dirname, '..', '..', 'lib', 'supabase.js');
+
+function singular(table) {
+  return table.replace(/ies$/, 'y').replace(/(ch|sh|x)es$/, '$1').replace(/s$/, '');
+}
+
+// Split on commas outside parentheses, brackets, braces and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && '([{'.includes(char)) depth++;
+    if (!quoted && ')]}'.includes(char)) depth--;
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// 'a, alias:b, rel!inner(x, y)' -> [{ name, alias, inner, columns }]
+function parseColumns(columns = '*') {
+  return splitTopLevel(columns.replace(/\s+/g, ' ')).map(item => {
+    const match = item.match(/^(?:([\w]+):)?([\w*]+)(?:!([\w]+))?(?:\((.*)\))?$/s);
+    if (!match) throw new Error(`Fake supabase can't parse column '${item}'`);
+    const [, alias, name, hint, nested] = match;
+    return { name, alias: alias || name, inner: hint === 'inner', columns: nested === undefined ? null : nested };
+  });
+}
+
+function parseLiteral(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function parseList(value) {
+  const text = String(value).trim();
+  if (/^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text.slice(1, -1).split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+    }
+  }
+  return text.replace(/^\(|\)$/g, '').split(',').map(item => parseLiteral(item.trim().replace(/^"|"$/g, '')));
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T|$)/.test(value);
+}
+
+function compare(a, b) {
+  if (isIsoDate(a) && isIsoDate(b)) return new Date(a) - new Date(b);
+  const numberA = typeof a === 'number' ? a : Number(a);
+  const numberB = typeof b === 'number' ? b : Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  return String(a).localeCompare(String(b));
+}
+
+function contains(haystack, needle) {
+  if (Array.isArray(needle)) {
+    return Array.isArray(haystack) && needle.every(item => haystack.some(entry => contains(entry, item)));
+  }
+  if (needle && typeof needle === 'object') {
+    return Boolean(haystack) && typeof haystack === 'object' &&
+      Object.entries(needle).every(([key, value]) => contains(haystack[key], value));
+  }
+  return haystack === needle;
+}
+
+function likePattern(pattern, flags) {
+  const source = String(pattern)
+    .replace(/\\([%_\\])/g, (match, char) => `\u0000${char}`)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.')
+    .replace(/\u0000(.)/g, (match, char) => `\\${char}`);
+  return new RegExp(`^${source}$`, flags);
+}
+
+function test(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual !== null && actual !== undefined && compare(actual, expected) === 0;
+    case 'neq': return actual !== null && actual !== undefined && compare(actual, expected) !== 0;
+    case 'gt': return actual !== null && actual !== undefined && compare(actual, expected) > 0;
+    case 'gte': return actual !== null && actual !== undefined && compare(actual, expected) >= 0;
+    case 'lt': return actual !== null && actual !== undefined && compare(actual, expected) < 0;
+    case 'lte': return actual !== null && actual !== undefined && compare(actual, expected) <= 0;
+    case 'is': return expected === null ? actual === null || actual === undefined : actual === expected;
+    case 'in': return expected.some(value => actual !== null && actual !== undefined && compare(actual, value) === 0);
+    case 'like': return actual !== null && actual !== undefined && likePattern(expected, '').test(String(actual));
+    case 'ilike': return actual !== null && actual !== undefined && likePattern(expected, 'i').test(String(actual));
+    case 'cs': return contains(actual, expected);
+    case 'ov': return Array.isArray(actual) && expected.some(value => actual.includes(value));
+    default: throw new Error(`Fake supabase doesn't support the '${op}' filter`);
+  }
+}
+
+function valueAt(row, column) {
+  return column.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return Array.isArray(value) ? value.map(item => item && item[key]) : value[key];
+  }, row);
+}
+
+// One 'column.op.value' term of an or()/and() string
+function stringFilter(term) {
+  const group = term.match(/^(and|or)\((.*)\)$/s);
+  if (group) {
+    const filters = splitTopLevel(group[2]).map(stringFilter);
+    return group[1] === 'and'
+      ? row => filters.every(filter => filter(row))
+      : row => filters.some(filter => filter(row));
+  }
+  const match = term.match(/^([\w.]+?)\.(not\.)?(eq|neq|gt|gte|lt|lte|is|in|like|ilike|cs|ov)\.(.*)$/s);
+  if (!match) throw new Error(`Fake supabase can't parse filter '${term}'`);
+  const [, column, negated, op, raw] = match;
+  const expected = ['in', 'cs', 'ov'].includes(op) ? parseList(raw) : parseLiteral(raw);
+  return row => test(op, valueAt(row, column), expected) !== Boolean(negated);
+}
+
+class FakeQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = null;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.cardinality = null;
+    this.countMode = null;
+    this.head = false;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = columns;
+    this.countMode = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflictColumns = onConflict.split(',').map(column => column.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  where(column, op, expected, negated = false) {
+    this.filters.push(row => test(op, valueAt(row, column), expected) !== negated);
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  is(column, value) { return this.where(column, 'is', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+  contains(column, value) { return this.where(column, 'cs', typeof value === 'string' ? parseList(value) : value); }
+  overlaps(column, value) { return this.where(column, 'ov', value); }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  not(column, op, value) {
+    const expected = op === 'in' ? parseList(value) : value;
+    return this.where(column, op, expected, true);
+  }
+
+  filter(column, op, value) {
+    this.filters.push(stringFilter(`${column}.${op}.${value}`));
+    return this;
+  }
+
+  or(filters) {
+    this.filters.push(stringFilter(`or(${filters})`));
+    return this;
+  }
+
+  // Every word has to appear somewhere in the row
+  textSearch(column, query) {
+    const words = String(query).toLowerCase().split(/\s+/).filter(word => /\w/.test(word));
+    this.filters.push(row => {
+      const text = JSON.stringify(row).toLowerCase();
+      return words.every(word => text.includes(word.replace(/^[-"]+|"+$/g, '')));
+    });
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  // Filters see the row's own columns plus whatever the select embeds
+  matching(rows) {
+    return rows.filter(row => {
+      const embedded = this.client.embed(this.table, row, this.columns || '*');
+      return embedded !== null && this.filters.every(filter => filter({ ...row, ...embedded }));
+    });
+  }
+
+  execute() {
+    const client = this.client;
+    client.calls.push({ table: this.table, action: this.action, values: this.values });
+    const rows = client.rows(this.table);
+    let affected;
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      affected = [];
+      for (const values of this.values) {
+        const existing = this.action === 'upsert'
+          ? rows.find(row => this.conflictColumns.every(column => compare(row[column], values[column]) === 0))
+          : null;
+        if (existing) {
+          if (!this.ignoreDuplicates) {
+            Object.assign(existing, structuredClone(values));
+            affected.push(existing);
+          }
+          continue;
+        }
+        const row = client.withDefaults(this.table, structuredClone(values));
+        const conflict = client.uniqueConflict(this.table, row);
+        if (conflict) return { data: null, error: conflict, count: null };
+        rows.push(row);
+        affected.push(row);
+      }
+    } else if (this.action === 'update') {
+      affected = this.matching(rows);
+      for (const row of affected) {
+        const updated = { ...row, ...structuredClone(this.values) };
+        const conflict = client.uniqueConflict(this.table, updated, row);
+        if (conflict) return { data: null, error: conflict, count: null };
+      }
+      affected.forEach(row => Object.assign(row, structuredClone(this.values)));
+    } else if (this.action === 'delete') {
+      affected = this.matching(rows);
+      client.tables[this.table] = rows.filter(row => !affected.includes(row));
+    } else {
+      affected = this.matching(rows);
+    }
+
+    if (this.action !== 'select' && this.columns === null) {
+      return { data: null, error: null, count: null };
+    }
+
+    let data = affected.map(row => client.embed(this.table, row, this.columns || '*'));
+    if (this.orders.length > 0) {
+      data = data.slice().sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of this.orders) {
+          const x = valueAt(a, column);
+          const y = valueAt(b, column);
+          const xNull = x === null || x === undefined;
+          const yNull = y === null || y === undefined;
+          if (xNull || yNull) {
+            if (xNull && yNull) continue;
+            return xNull === nullsFirst ? -1 : 1;
+          }
+          const order = compare(x, y);
+          if (order !== 0) return ascending ? order : -order;
+        }
+        return 0;
+      });
+    }
+
+    const count = this.countMode ? data.length : null;
+    data = data.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+    data = structuredClone(data);
+    if (this.head) return { data: null, error: null, count };
+
+    if (this.cardinality) {
+      if (data.length > 1 || (data.length === 0 && this.cardinality === 'single')) {
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned (${data.length})` },
+          count
+        };
+      }
+      return { data: data[0] || null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+}
+
+class FakeSupabase {
+  // tables: { name: [rows] }; unique: { name: [['column'], ['a', 'b']] };
+  // defaults: { name: { column: value } }; relations: { 'table.embedded': column }
+  // for foreign keys that don't follow the <singular table>_id naming
+  constructor({ tables = {}, unique = {}, defaults = {}, relations = {} } = {}) {
+    this.tables = {};
+    Object.entries(tables).forEach(([name, rows]) => {
+      this.tables[name] = rows.map(row => this.withDefaults(name, structuredClone(row)));
+    });
+    this.unique = unique;
+    this.defaults = defaults;
+    this.relations = relations;
+    this.calls = [];
+  }
+
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  withDefaults(table, row) {
+    return {
+      id: crypto.randomUUID(),
+      created_at: new Date().toISOString(),
+      ...((this.defaults || {})[table] || {}),
+      ...row
+    };
+  }
+
+  uniqueConflict(table, row, self = null) {
+    const constraints = [['id'], ...((this.unique || {})[table] || [])];
+    const clash = constraints.find(columns =>
+      columns.every(column => row[column] !== null && row[column] !== undefined) &&
+      this.rows(table).some(other => other !== self && columns.every(column =>
+        String(other[column]).toLowerCase() === String(row[column]).toLowerCase())));
+    return clash
+      ? { code: '23505', message: `duplicate key value violates unique constraint on ${table} (${clash.join(', ')})` }
+      : null;
+  }
+
+  // The foreign key joining table to an embedded table: a to-one key on the row
+  // itself, or a to-many key on the embedded rows
+  relation(table, embedded, row) {
+    const configured = this.relations[`${table}.${embedded}`];
+    if (configured) return { column: configured, toOne: true };
+    const name = singular(embedded);
+    const candidates = [`${name}_id`, `${name.split('_').pop()}_id`];
+    const column = candidates.find(key => key in row);
+    if (column) return { column, toOne: true };
+    const parentName = singular(table);
+    return { column: [`${parentName}_id`, `${parentName.split('_').pop()}_id`], toOne: false };
+  }
+
+  // A row with the selected columns and embedded rows; null when an !inner embed
+  // has nothing to join
+  embed(table, row, columns) {
+    if (!columns) return row;
+    const result = {};
+    for (const item of parseColumns(columns)) {
+      if (item.columns === null) {
+        if (item.name === '*') Object.assign(result, row);
+        else result[item.alias] = row[item.name] === undefined ? null : row[item.name];
+        continue;
+      }
+      const { column, toOne } = this.relation(table, item.name, row);
+      if (toOne) {
+        const target = this.rows(item.name).find(other => other.id === row[column]);
+        result[item.alias] = target ? this.embed(item.name, target, item.columns) : null;
+        if (item.inner && !result[item.alias]) return null;
+      } else {
+        const key = column.find(name => this.rows(item.name).some(other => name in other)) || column[0];
+        result[item.alias] = this.rows(item.name)
+          .filter(other => other[key] === row.id)
+          .map(other => this.embed(item.name, other, item.columns))
+          .filter(Boolean);
+        if (item.inner && result[item.alias].length === 0) return null;
+      }
+    }
+    return result;
+  }
+}
+
+function createFakeSupabase(options) {
+  return new FakeSupabase(options);
+}
+
+// Make require('../lib/supabase') return client (an empty object by default, for
+// modules that only need the database in code the test doesn't reach). Call it
+// before requiring anything from lib/.
+function useFakeSupabase(client = {}) {
+  require.cache[SUPABASE_PATH] = { id: SUPABASE_PATH, filename: SUPABASE_PATH, loaded: true, exports: client };
+  return client;
+}
+
+module.exports = {
+  createFakeSupabase,
+  useFakeSupabase
+};
@@ -0,0 +1,20 @@
+// Preloaded into the server by scripts/e2e-offline.js (node --require) so the
+// offline run needs no Supabase: lib/supabase.js becomes an in-memory database with
+// the column defaults and unique keys the migrations set up.
+const { createFakeSupabase, useFakeSupabase } = require('./fakeSupabase');
+
+useFakeSupabase(createFakeSupabase({
+  unique: {
+    users: [['email']],
+    matches: [['job_seeker_id', 'job_listing_id']],
+    notification_outbox: [['dedupe_key']],
+    account_tokens: [['token_hash']]
+  },
+  defaults: {
+    users: { notification_preferences: {}, email_verified_at: null },
+    job_seekers: { analysis_status: 'completed', skill_ids: [], profile_overrides: {}, match_preferences: {} },
+    job_listings: { analysis_status: 'completed', required_skill_ids: [], blind_screening: false, is_active: true, deleted_at: null, expires_at: null },
+    matches: { status: 'pending', analysis_status: 'completed' },
+    notification_outbox: { attempts: 0 }
+  }
+}));
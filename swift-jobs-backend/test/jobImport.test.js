@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+useFakeSupabase(createFakeSupabase({
+  tables: {
+    job_listings: [{
+      id: 'listing-1',
+      employer_id: 'e1',
+      external_ref: 'REQ-1',
+      title: 'Backend Engineer',
+      description: 'Build APIs.',
+      requirements: null,
+      location: 'Berlin',
+      salary_range: null,
+      expires_at: null,
+      blind_screening: false,
+      is_active: true,
+      deleted_at: null
+    }]
+  }
+}));
+
+const { planImport } = require('../lib/jobImport');
+
+test('CSV delimiters are detected and quoted fields keep delimiters, quotes and line breaks', async () => {
+  const content = 'id;title;description;location\n' +
+    'REQ-2;"Data Engineer; Platform";"Pipelines, ""big"" ones\nand dashboards";Remote\n';
+  const { format, rows } = await planImport('e1', { content });
+
+  assert.strictEqual(format, 'csv');
+  assert.deepStrictEqual(rows.map(row => [row.externalRef, row.fields.title, row.fields.description, row.action]), [
+    ['REQ-2', 'Data Engineer; Platform', 'Pipelines, "big" ones\nand dashboards', 'create']
+  ]);
+});
+
+test('XML feeds are detected from the content and their job elements are found', async () => {
+  const content = '<?xml version="1.0"?><source><jobs>' +
+    '<job><referencenumber>REQ-3</referencenumber><title>QA Lead</title><description><![CDATA[<p>Test &amp; ship</p>]]></description></job>' +
+    '<job><referencenumber>REQ-4</referencenumber><title>SRE</title><description>Keep it up</description></job>' +
+    '</jobs></source>';
+  const { format, rows } = await planImport('e1', { content });
+
+  assert.strictEqual(format, 'xml');
+  assert.deepStrictEqual(rows.map(row => [row.externalRef, row.fields.title, row.fields.description]), [
+    ['REQ-3', 'QA Lead', 'Test & ship'],
+    ['REQ-4', 'SRE', 'Keep it up']
+  ]);
+});
+
+test('a repeated externalRef fails every row after the first', async () => {
+  const content = JSON.stringify([
+    { id: 'REQ-5', title: 'One', description: 'First' },
+    { id: 'REQ-5', title: 'Two', description: 'Second' }
+  ]);
+  const { rows } = await planImport('e1', { content });
+
+  assert.deepStrictEqual(rows.map(row => row.action), ['create', null]);
+  assert.deepStrictEqual(rows[1].errors, [{ field: 'externalRef', message: "Duplicate externalRef 'REQ-5' (also on row 1)" }]);
+});
+
+test('a row matching its stored listing is unchanged, and any difference is an update', async () => {
+  const content = JSON.stringify({
+    jobs: [
+      { externalRef: 'REQ-1', title: 'Backend Engineer', description: 'Build APIs.', location: 'Berlin' }
+    ]
+  });
+  const unchanged = await planImport('e1', { content });
+  assert.strictEqual(unchanged.rows[0].action, 'unchanged');
+  assert.deepStrictEqual(unchanged.rows[0].changes, {});
+
+  const updated = await planImport('e1', { content: content.replace('Build APIs.', 'Build and run APIs.') });
+  assert.strictEqual(updated.rows[0].action, 'update');
+  assert.deepStrictEqual(updated.rows[0].changes, { description: 'Build and run APIs.' });
+});
+
+test('invalid blindScreening and expiresAt values fail the row', async () => {
+  const content = JSON.stringify([
+    { id: 'REQ-6', title: 'PM', description: 'Plan', blindScreening: 'maybe', expiresAt: 'next week' },
+    { id: 'REQ-7', title: 'PM', description: 'Plan', expiresAt: '2001-01-01' },
+    { id: 'REQ-8', title: 'PM', description: 'Plan', blindScreening: 'yes', expiresAt: '2999-01-01' }
+  ]);
+  const { rows } = await planImport('e1', { content });
+
+  assert.deepStrictEqual(rows.map(row => row.errors.map(error => error.field)), [
+    ['expiresAt', 'blindScreening'],
+    ['expiresAt'],
+    []
+  ]);
+  assert.strictEqual(rows[2].fields.blindScreening, true);
+  assert.strictEqual(rows[2].fields.expiresAt, '2999-01-01T00:00:00.000Z');
+});
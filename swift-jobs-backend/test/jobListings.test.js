@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+
+useFakeSupabase();
+
+const { isJobOpen, jobListingStatus, whereNotExpired } = require('../lib/jobListings');
+
+const past = new Date(Date.now() - 60 * 1000).toISOString();
+const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+test('listings past their expiry are not open before the sweep closes them', () => {
+  assert.strictEqual(isJobOpen({ is_active: true, expires_at: null }), true);
+  assert.strictEqual(isJobOpen({ is_active: true, expires_at: future }), true);
+  assert.strictEqual(isJobOpen({ is_active: true, expires_at: past }), false);
+  assert.strictEqual(jobListingStatus({ is_active: true, expires_at: past }), 'expired');
+  assert.strictEqual(jobListingStatus({ is_active: true, expires_at: future }), 'active');
+});
+
+test('queries are limited to listings without an expiry or with one ahead', () => {
+  const filters = [];
+  const query = { or: filter => { filters.push(filter); return query; } };
+  const now = new Date('2026-05-01T12:00:00Z');
+
+  assert.strictEqual(whereNotExpired(query, now), query);
+  assert.deepStrictEqual(filters, ['expires_at.is.null,expires_at.gt.2026-05-01T12:00:00.000Z']);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LLM_DIR = path.join(__dirname, '..', 'lib', 'llm');
+
+// The LLM layer reads its settings when loaded, so each test loads a fresh copy
+function loadLlm(env = {}) {
+  Object.keys(require.cache)
+    .filter(file => file.startsWith(LLM_DIR))
+    .forEach(file => delete require.cache[file]);
+
+  const saved = {};
+  Object.entries({ LLM_PROVIDER: 'mock', LLM_TEMPERATURE: undefined, LLM_MOCK_FIXTURES: undefined, ...env }).forEach(([key, value]) => {
+    saved[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  });
+
+  try {
+    return {
+      llm: require(path.join(LLM_DIR, 'index')),
+      structured: require(path.join(LLM_DIR, 'structured')),
+      schemas: require(path.join(LLM_DIR, 'schemas'))
+    };
+  } finally {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    });
+  }
+}
+
+const JOB_PROMPT = `Analyze this job posting:
+
+Title: Senior Backend Engineer
+Description:
+Build APIs in Node.js and PostgreSQL with Docker. Lead a small team.`;
+
+test('mock provider answers deterministically and reports usage', async () => {
+  const { llm } = loadLlm();
+
+  const first = await llm.complete(JOB_PROMPT, { task: 'job_analysis' });
+  const second = await llm.complete(JOB_PROMPT, { task: 'job_analysis', model: 'override-model', temperature: 0 });
+
+  assert.strictEqual(first.provider, 'mock');
+  assert.strictEqual(first.content, second.content);
+  assert.strictEqual(second.model, 'override-model');
+  assert.deepStrictEqual(JSON.parse(first.content).required_skills, ['Node.js', 'PostgreSQL', 'Docker']);
+  assert.ok(first.usage.totalTokens > 0);
+
+  const calls = llm.getUsageTotals().reduce((sum, totals) => sum + totals.calls, 0);
+  assert.strictEqual(calls, 2);
+});
+
+test('structured analyses validate against their schemas offline', async () => {
+  const { structured, schemas } = loadLlm();
+
+  const job = await structured.analyzeStructured(JOB_PROMPT, schemas.jobAnalysisSchema, { task: 'job_analysis' });
+  assert.strictEqual(job.experience_level, 'senior');
+
+  const seeker = await structured.analyzeStructured(
+    'Analyze this job seeker profile:\n\nResume:\nBackend Developer, 6 years of Node.js, SQL and Docker. Led a team of four.',
+    schemas.seekerProfileSchema,
+    { task: 'seeker_profile' }
+  );
+  assert.strictEqual(seeker.experience_years, 6);
+  assert.ok(seeker.technical_skills.includes('Node.js'));
+
+  const match = await structured.analyzeStructured(
+    'Score this candidate match\nRequired Skills: ["Node.js","Docker"]\nSkills: ["Node.js"]',
+    schemas.matchScoreSchema,
+    { task: 'match_score' }
+  );
+  assert.strictEqual(match.technical_fit, 0.5);
+});
+
+test('mock provider serves fixtures keyed by prompt hash', async () => {
+  const prompt = 'Analyze this job posting:\nfixture';
+  const fixturesPath = path.join(os.tmpdir(), `llm-fixtures-${process.pid}.json`);
+  const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+  fs.writeFileSync(fixturesPath, JSON.stringify({ [hash]: { required_skills: ['Rust'] } }));
+
+  // the provider (and its fixtures) is created on the first call
+  const { llm } = loadLlm();
+  process.env.LLM_MOCK_FIXTURES = fixturesPath;
+  try {
+    const result = await llm.complete(prompt);
+    assert.deepStrictEqual(JSON.parse(result.content), { required_skills: ['Rust'] });
+  } finally {
+    delete process.env.LLM_MOCK_FIXTURES;
+    fs.unlinkSync(fixturesPath);
+  }
+});
+
+test('bad LLM settings fall back to the defaults with a warning', () => {
+  const { llm } = loadLlm({ LLM_PROVIDER: 'bogus', LLM_TEMPERATURE: 'warm' });
+  const warnings = llm.getConfigWarnings();
+
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[0], /LLM_TEMPERATURE 'warm'/);
+  assert.match(warnings[1], /Unknown LLM_PROVIDER 'bogus'.*using groq/);
+});
+
+test('empty LLM settings use the defaults silently', () => {
+  const { llm } = loadLlm({ LLM_PROVIDER: '', LLM_TEMPERATURE: '' });
+  assert.deepStrictEqual(llm.getConfigWarnings(), []);
+});
+
+test('scores are read as fractions, explicit percentages or 10-100 percentages', () => {
+  const { schemas } = loadLlm();
+  const scoreOf = matchScore => schemas.validate(schemas.matchScoreSchema, {
+    match_score: matchScore, technical_fit: 0.5, behavioral_fit: 0.5, explanation: 'ok'
+  });
+
+  assert.strictEqual(scoreOf(0.85).value.match_score, 0.85);
+  assert.strictEqual(scoreOf(1.2).value.match_score, 1);
+  assert.strictEqual(scoreOf(85).value.match_score, 0.85);
+  assert.strictEqual(scoreOf('2%').value.match_score, 0.02);
+  [2, 7, 150, -1, '120%'].forEach(value => {
+    assert.strictEqual(scoreOf(value).errors.length, 1, `${value} should be rejected`);
+  });
+});
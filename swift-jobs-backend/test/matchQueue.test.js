@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Score pairs without the database or an LLM; each call waits for release()
+const scored = [];
+let waiting = [];
+const matchingPath = path.join(__dirname, '..', 'lib', 'matching.js');
+require.cache[matchingPath] = {
+  id: matchingPath,
+  filename: matchingPath,
+  loaded: true,
+  exports: {
+    scoreAndStorePair: pair => new Promise(resolve => {
+      waiting.push(() => {
+        scored.push(`${pair.job.id}:${pair.seeker.id}`);
+        resolve({ jobId: pair.job.id, matchScore: 0.8, status: 'new' });
+      });
+    })
+  }
+};
+
+const { enqueueMatching, getMatchingJob } = require('../lib/matchQueue');
+
+function release() {
+  const callbacks = waiting;
+  waiting = [];
+  callbacks.forEach(callback => callback());
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+const pair = (jobId, seekerId) => ({ job: { id: jobId }, seeker: { id: seekerId } });
+
+test('pairs for a target with a running batch are merged into it', async () => {
+  const first = enqueueMatching({
+    kind: 'seeker',
+    targetId: 's1',
+    ownerProfileId: 's1',
+    pairs: [pair('j1', 's1'), pair('j2', 's1'), pair('j3', 's1'), pair('j4', 's1')]
+  });
+
+  // j4 hasn't started yet, so only j5 is new
+  const second = enqueueMatching({
+    kind: 'seeker',
+    targetId: 's1',
+    ownerProfileId: 's1',
+    pairs: [pair('j4', 's1'), pair('j5', 's1')]
+  });
+
+  assert.strictEqual(second.id, first.id);
+  assert.strictEqual(second.total, 5);
+
+  while (waiting.length > 0) await release();
+
+  const job = getMatchingJob(first.id);
+  assert.strictEqual(job.status, 'completed');
+  assert.strictEqual(job.completed, 5);
+  assert.deepStrictEqual(scored.sort(), ['j1:s1', 'j2:s1', 'j3:s1', 'j4:s1', 'j5:s1']);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+const db = useFakeSupabase(createFakeSupabase({
+  tables: {
+    users: [{ id: 'u1', email: 'ana@example.com', full_name: 'Ana', notification_preferences: {} }]
+  }
+}));
+
+// Capture emails instead of sending them
+const sent = [];
+const transportPath = path.join(__dirname, '..', 'lib', 'notifications', 'transport.js');
+require.cache[transportPath] = {
+  id: transportPath,
+  filename: transportPath,
+  loaded: true,
+  exports: { sendEmail: async email => { sent.push(email); return `message-${sent.length}`; } }
+};
+
+const { notifyUser, processOutbox } = require('../lib/notifications');
+
+test('a password reset link is emailed but not kept in the outbox', async () => {
+  const token = 'raw-reset-token-1234567890';
+  await notifyUser('u1', 'password_reset', { token, expiresAt: '2026-10-19T10:00:00.000Z' });
+
+  const [queued] = db.tables.notification_outbox;
+  assert.deepStrictEqual(queued.payload, { expiresAt: '2026-10-19T10:00:00.000Z' });
+
+  const counts = await processOutbox();
+  assert.strictEqual(counts.sent, 1);
+  assert.ok(sent[0].text.includes(`/reset-password?token=${token}`));
+
+  const [stored] = db.tables.notification_outbox;
+  assert.strictEqual(stored.status, 'sent');
+  assert.ok(!JSON.stringify(stored).includes(token));
+});
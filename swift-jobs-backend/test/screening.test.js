@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFakeSupabase, useFakeSupabase } = require('./helpers/fakeSupabase');
+
+const db = useFakeSupabase(createFakeSupabase({
+  unique: {
+    matches: [['job_seeker_id', 'job_listing_id']],
+    applications: [['job_listing_id', 'job_seeker_id']],
+    screening_answers: [['question_id', 'job_seeker_id']]
+  },
+  defaults: { matches: { status: 'pending' } }
+}));
+
+const { prepareScreeningAnswers, replaceQuestionnaire } = require('../lib/screening');
+const { submitApplication } = require('../lib/applications');
+
+const job = { id: 'j1', title: 'Forklift Driver', description: 'Warehouse work', is_active: true, employers: null };
+
+test('failing a knockout rejects the candidate and keeps them out of scoring', async () => {
+  const [knockout, openQuestion] = await replaceQuestionnaire('j1', [
+    { type: 'knockout', prompt: 'Do you hold a forklift licence?', requiredAnswer: 'Yes' },
+    { type: 'free_text', prompt: 'Tell us about your last warehouse job.' }
+  ]);
+
+  const answers = { [knockout.id]: 'no', [openQuestion.id]: 'Three years at a distribution centre.' };
+  const screening = await prepareScreeningAnswers('j1', 's1', answers);
+  const result = await submitApplication({ job, seeker: { id: 's1' }, screening });
+
+  assert.deepStrictEqual(result.screening, { status: 'disqualified', disqualified: true, failedQuestionIds: [knockout.id] });
+  assert.strictEqual(result.pairToScore, null);
+
+  const [match] = db.tables.matches;
+  assert.strictEqual(match.status, 'rejected');
+  assert.strictEqual(match.screening_status, 'disqualified');
+});
+
+test('passing every knockout leaves the candidate in the pipeline', async () => {
+  const [knockout, openQuestion] = await replaceQuestionnaire('j1', [
+    { type: 'knockout', prompt: 'Can you work weekends?', requiredAnswer: 'Yes' },
+    { type: 'free_text', prompt: 'Why this role?', required: false }
+  ]);
+
+  const screening = await prepareScreeningAnswers('j1', 's2', { [knockout.id]: 'Yes', [openQuestion.id]: '' });
+  const result = await submitApplication({ job, seeker: { id: 's2' }, screening });
+
+  assert.deepStrictEqual(result.screening, { status: 'passed', disqualified: false, failedQuestionIds: [] });
+  assert.ok(result.pairToScore);
+  assert.strictEqual(db.tables.matches.find(match => match.job_seeker_id === 's2').status, 'pending');
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+
+useFakeSupabase();
+
+const { buildSkillGapReport } = require('../lib/skillGap');
+
+function evidenceFor(skillName, resumeText) {
+  const report = buildSkillGapReport(
+    { required_skills: [skillName], behavioral_traits: {} },
+    { skills: [skillName], resume_text: resumeText, behavioral_traits: {} }
+  );
+  return report.matchedSkills[0].evidence;
+}
+
+// These used to loop forever: a one-letter skill left no terms to search for
+test('one-letter skills are found only as whole capitalized tokens', () => {
+  assert.deepStrictEqual(evidenceFor('R', 'Built models in R and Python.'), ['Built models in R and Python.']);
+  assert.deepStrictEqual(evidenceFor('R', 'Led R&D for a year, then a r ... nothing else.'), []);
+  assert.deepStrictEqual(evidenceFor('C', 'Wrote firmware in C for sensors.'), ['Wrote firmware in C for sensors.']);
+  assert.deepStrictEqual(evidenceFor('C', 'Reported to the C-level team.'), []);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useFakeSupabase } = require('./helpers/fakeSupabase');
+
+// The taxonomy only needs the database for admin-added skills
+useFakeSupabase();
+
+const { normalizeSkills, seekerSkillColumns, storedSkills } = require('../lib/skillTaxonomy');
+
+test('unknown skills are stored apart from canonical IDs with their category', () => {
+  const skills = [
+    ...normalizeSkills(['JS', 'Basket Weaving'], { defaultCategory: 'technical' }),
+    ...normalizeSkills(['Empathy Mapping'], { defaultCategory: 'soft' })
+  ];
+  const columns = seekerSkillColumns(skills);
+
+  assert.deepStrictEqual(columns.skills, ['JavaScript', 'Basket Weaving', 'Empathy Mapping']);
+  assert.deepStrictEqual(columns.skill_ids, ['javascript']);
+  assert.deepStrictEqual(columns.unknown_skills, [
+    { id: 'basket-weaving', name: 'Basket Weaving', category: 'technical' },
+    { id: 'empathy-mapping', name: 'Empathy Mapping', category: 'soft' }
+  ]);
+
+  const stored = storedSkills({ ids: columns.skill_ids, unknown: columns.unknown_skills, names: columns.skills });
+  assert.deepStrictEqual(stored.map(skill => [skill.id, skill.category]), [
+    ['javascript', 'technical'],
+    ['basket-weaving', 'technical'],
+    ['empathy-mapping', 'soft']
+  ]);
+});
+
+test('rows stored before the unknown list existed are normalized from their names', () => {
+  const stored = storedSkills({ ids: ['javascript', 'basket-weaving'], unknown: null, names: ['JavaScript', 'Basket Weaving'] });
+  assert.deepStrictEqual(stored.map(skill => [skill.id, skill.name, skill.known]), [
+    ['javascript', 'JavaScript', true],
+    ['basket-weaving', 'Basket Weaving', false]
+  ]);
+});
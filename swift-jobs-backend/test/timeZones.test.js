@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseDateTime } = require('../lib/timeZones');
+
+test('impossible dates and times are invalid, not daylight-saving gaps', () => {
+  ['2026-02-30T12:00', '2026-03-10T24:00', '2026-13-01T09:00', '2026-02-30T12:00Z'].forEach(value => {
+    assert.deepStrictEqual(parseDateTime(value, 'America/New_York'), { error: 'is not a valid date/time' }, value);
+  });
+
+  assert.match(parseDateTime('2026-03-08T02:30', 'America/New_York').error, /daylight saving/);
+  assert.strictEqual(parseDateTime('2024-02-29T10:00', 'America/New_York').date.toISOString(), '2024-02-29T15:00:00.000Z');
+});